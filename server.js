@@ -5,19 +5,472 @@ const path = require('path');
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const csv = require('csv-parser');
+const sharp = require('sharp');
+const crypto = require('crypto');
 const { createReadStream } = require('fs');
+const { pipeline, Readable } = require('stream');
+const readline = require('readline');
+const zlib = require('zlib');
 
 const app = express();
 const PORT = process.env.PORT || 8081;
 
-// Your data directory path
-const DATA_PATH = '/home/shanks/Music/01-01-70-01-10-47-835';
+// Server configuration file (JSON). Datasets listed here are mounted at startup.
+const CONFIG_PATH = path.resolve(process.env.CONFIG_PATH || path.join(__dirname, 'config.json'));
 
-// Enable CORS for all routes
+// Load the configuration file, falling back to an empty config if it is missing or invalid
+const loadConfig = () => {
+  try {
+    if (!fsSync.existsSync(CONFIG_PATH)) return {};
+    return JSON.parse(fsSync.readFileSync(CONFIG_PATH, 'utf8'));
+  } catch (error) {
+    console.error(`Error reading config file ${CONFIG_PATH}:`, error.message);
+    return {};
+  }
+};
+
+const config = loadConfig();
+
+// Dataset registry: one entry per mounted recording root (one per drive day)
+const datasets = new Map();
+let defaultDatasetId = null;
+
+const DATASET_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Directories that datasets added through POST /api/datasets must sit inside; with none
+// configured, datasets can only come from the config file or the environment
+const datasetRoots = (process.env.DATASET_ROOTS ? process.env.DATASET_ROOTS.split(',') : config.datasetRoots || [])
+  .map(root => String(root).trim())
+  .filter(Boolean)
+  .map(root => path.resolve(root));
+
+// Register a recording root under an ID usable in /api/datasets/:datasetId/... routes
+const registerDataset = ({ id, path: rootPath, name, source = 'runtime' }) => {
+  if (!id || !DATASET_ID_PATTERN.test(id)) {
+    throw new Error(`Invalid dataset id "${id}" (use letters, digits, "_" or "-")`);
+  }
+  if (!rootPath || typeof rootPath !== 'string') {
+    throw new Error(`Dataset "${id}" is missing a path`);
+  }
+  if (datasets.has(id)) {
+    throw new Error(`Dataset "${id}" is already registered`);
+  }
+
+  const dataset = {
+    id,
+    name: name || id,
+    path: path.resolve(rootPath),
+    source,
+    addedAt: new Date().toISOString()
+  };
+
+  datasets.set(id, dataset);
+  if (!defaultDatasetId) defaultDatasetId = id;
+  return dataset;
+};
+
+// Remove a dataset from the registry, moving the default to the next one if needed
+const unregisterDataset = (id) => {
+  const dataset = datasets.get(id);
+  if (!dataset) return null;
+
+  datasets.delete(id);
+  staticHandlers.delete(dataset);
+  closeDatasetIndex(id);
+  reviewStores.delete(id);
+  if (defaultDatasetId === id) {
+    defaultDatasetId = datasets.size > 0 ? datasets.keys().next().value : null;
+  }
+  return dataset;
+};
+
+// Look up a dataset by ID, or the default dataset when no ID is given
+const getDataset = (id) => datasets.get(id || defaultDatasetId) || null;
+
+// Registration details of a dataset; the server path is only shown to admins
+const describeDataset = (dataset, user = null) => ({
+  id: dataset.id,
+  name: dataset.name,
+  ...(user && user.role === 'admin' ? { path: dataset.path } : {}),
+  source: dataset.source,
+  addedAt: dataset.addedAt,
+  isDefault: dataset.id === defaultDatasetId,
+  apiBase: `/api/datasets/${dataset.id}`,
+  dataBase: `${datasetPrefix(dataset)}/data`,
+  index: datasetIndexes.has(dataset.id) ? {
+    status: datasetIndexes.get(dataset.id).status,
+    lastRefresh: datasetIndexes.get(dataset.id).lastRefresh
+  } : null
+});
+
+// URL prefix for file routes: the default dataset keeps the original /data and /list URLs
+const datasetPrefix = (dataset) => (dataset.id === defaultDatasetId ? '' : `/datasets/${dataset.id}`);
+
+// Build a /data URL for a file inside a dataset
+const dataUrl = (dataset, ...parts) => `${datasetPrefix(dataset)}/data/${parts.join('/')}`;
+
+// Build an /api URL for a route of a dataset
+const apiUrl = (dataset, ...parts) => `/api${dataset.id === defaultDatasetId ? '' : `/datasets/${dataset.id}`}/${parts.join('/')}`;
+
+// Build a /thumbs URL (resized copy) for an image inside a dataset
+const thumbnailUrl = (dataset, ...parts) => `${datasetPrefix(dataset)}/thumbs/${parts.join('/')}`;
+
+// Image listing entry with its full-size and thumbnail URLs (and, with redaction on, whether
+// the redacted copy served at url has been rendered yet)
+const describeImage = (dataset, session, camera, anomalyType, image, redactionLookup = null) => ({
+  ...image,
+  url: dataUrl(dataset, session, camera, anomalyType, 'images', image.name),
+  thumbnailUrl: thumbnailUrl(dataset, session, camera, anomalyType, 'images', image.name),
+  ...(redactionConfig.enabled ? { redaction: describeImageRedaction(dataset, session, camera, anomalyType, image, redactionLookup) } : {})
+});
+
+// Parse DATASETS="id=/path/one,other=/path/two" from the environment
+const parseDatasetsEnv = (value) => {
+  if (!value) return [];
+  return value.split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf('=');
+      return separator === -1
+        ? { id: path.basename(entry), path: entry }
+        : { id: entry.slice(0, separator).trim(), path: entry.slice(separator + 1).trim() };
+    });
+};
+
+// Write runtime-registered datasets back to the config file so they survive a restart.
+// A config file that no longer parses is left alone: rewriting it would drop every other setting
+const saveDatasetConfig = async () => {
+  const persisted = [...datasets.values()]
+    .filter(dataset => dataset.source !== 'env')
+    .map(({ id, name, path: rootPath }) => ({ id, name, path: rootPath }));
+
+  const text = await fs.readFile(CONFIG_PATH, 'utf8').catch(error => {
+    if (error.code === 'ENOENT') return '{}';
+    throw error;
+  });
+  let current;
+  try {
+    current = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${CONFIG_PATH} is not valid JSON (${error.message}); not overwriting it`);
+  }
+  if (!current || typeof current !== 'object' || Array.isArray(current)) {
+    throw new Error(`${CONFIG_PATH} does not hold a JSON object; not overwriting it`);
+  }
+  current.datasets = persisted;
+  current.defaultDataset = defaultDatasetId;
+
+  // Write a sibling file and rename it over the config, so a crash never leaves half a file
+  const temporary = `${CONFIG_PATH}.${process.pid}.tmp`;
+  await fs.writeFile(temporary, JSON.stringify(current, null, 2) + '\n');
+  await fs.rename(temporary, CONFIG_PATH).catch(async error => {
+    await fs.unlink(temporary).catch(() => {});
+    throw error;
+  });
+};
+
+// Load datasets from the config file, then DATASETS, then the legacy single DATA_PATH
+const loadDatasets = () => {
+  const sources = [
+    ...(Array.isArray(config.datasets) ? config.datasets : []).map(entry => ({ ...entry, source: 'config' })),
+    ...parseDatasetsEnv(process.env.DATASETS).map(entry => ({ ...entry, source: 'env' }))
+  ];
+
+  if (process.env.DATA_PATH) {
+    sources.push({ id: process.env.DATASET_ID || 'default', path: process.env.DATA_PATH, source: 'env' });
+  }
+
+  for (const entry of sources) {
+    try {
+      registerDataset(entry);
+    } catch (error) {
+      console.error(`Skipping dataset from ${entry.source}:`, error.message);
+    }
+  }
+
+  const preferredDefault = process.env.DEFAULT_DATASET || config.defaultDataset;
+  if (preferredDefault && datasets.has(preferredDefault)) {
+    defaultDatasetId = preferredDefault;
+  }
+};
+
+// Attach the dataset named in the URL (or the default dataset) to the request
+const resolveDataset = (req, res, next) => {
+  const dataset = getDataset(req.params.datasetId);
+  if (!dataset) {
+    return res.status(404).json({
+      success: false,
+      error: req.params.datasetId
+        ? `Dataset not found: ${req.params.datasetId}`
+        : 'No dataset configured',
+      message: 'Register a dataset via config.json, DATASETS/DATA_PATH or POST /api/datasets'
+    });
+  }
+  if (!canAccess(req.user, { dataset })) {
+    return res.status(403).json({
+      success: false,
+      error: `Access denied to dataset ${dataset.id}`,
+      message: 'Access denied'
+    });
+  }
+  req.dataset = dataset;
+  next();
+};
+
+// Routes that read dataset contents; mounted at /api and /api/datasets/:datasetId
+const api = express.Router({ mergeParams: true });
+
+loadDatasets();
+
+// ---------------------------------------------------------------------------
+// Authentication: API keys and local users (JWT sessions) with viewer,
+// reviewer and admin roles, optionally restricted to datasets, sessions
+// and cameras
+// ---------------------------------------------------------------------------
+
+const ROLE_LEVELS = { viewer: 1, reviewer: 2, admin: 3 };
+const PASSWORD_HASH_PREFIX = 'scrypt';
+
+// Allowed values for a scope list; missing or containing "*" means unrestricted
+const parseScope = (value) => {
+  if (value === undefined || value === null) return null;
+  const list = (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+  return list.includes('*') ? null : list;
+};
+
+// Validate a configured user or API key, dropping it (with a warning) if it is unusable
+const loadPrincipal = (item, kind) => {
+  const name = kind === 'user' ? item.username : item.name;
+  if (!name || !ROLE_LEVELS[item.role]) {
+    console.warn(`Ignoring ${kind} "${name || '?'}": a name and a role (${Object.keys(ROLE_LEVELS).join(', ')}) are required`);
+    return null;
+  }
+  return {
+    name,
+    kind,
+    role: item.role,
+    datasets: parseScope(item.datasets),
+    sessions: parseScope(item.sessions),
+    cameras: parseScope(item.cameras)
+  };
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const authConfig = (() => {
+  const settings = config.auth || {};
+  const users = new Map();
+  const apiKeys = new Map();
+
+  (settings.users || []).forEach(user => {
+    const principal = loadPrincipal(user, 'user');
+    if (principal && user.passwordHash) users.set(principal.name, { ...principal, passwordHash: user.passwordHash });
+  });
+  (settings.apiKeys || []).forEach(apiKey => {
+    const principal = loadPrincipal(apiKey, 'apiKey');
+    const keyHash = apiKey.keyHash ? apiKey.keyHash.replace(/^sha256:/, '') : apiKey.key && sha256(apiKey.key);
+    if (principal && keyHash) apiKeys.set(keyHash.toLowerCase(), principal);
+  });
+
+  const jwtSecret = process.env.AUTH_JWT_SECRET || settings.jwtSecret;
+  return {
+    enabled: process.env.AUTH_ENABLED ? process.env.AUTH_ENABLED !== 'false' : (settings.enabled ?? (users.size > 0 || apiKeys.size > 0)),
+    users,
+    apiKeys,
+    // Without a configured secret, tokens are only valid until the server restarts
+    jwtSecret: jwtSecret || crypto.randomBytes(32).toString('hex'),
+    jwtSecretConfigured: Boolean(jwtSecret),
+    tokenTtlSeconds: parseInt(process.env.AUTH_TOKEN_TTL_SECONDS || settings.tokenTtlSeconds || 12 * 3600)
+  };
+})();
+
+// Allowed CORS origins; "*" (or no setting) keeps the old allow-all behaviour
+const corsOrigins = parseScope(process.env.CORS_ORIGINS || config.cors?.origins || '*');
+
+const forbidden = (message) => Object.assign(new Error(message), { status: 403 });
+
+// Password hashes are stored as "scrypt$<salt>$<hash>" (hex)
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16);
+  return [PASSWORD_HASH_PREFIX, salt.toString('hex'), crypto.scryptSync(password, salt, 64).toString('hex')].join('$');
+};
+
+const verifyPassword = (password, stored) => {
+  const [prefix, salt, hash] = String(stored).split('$');
+  if (prefix !== PASSWORD_HASH_PREFIX || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+// `node server.js hash-password <password>` prints a passwordHash for config.json auth.users
+if (require.main === module && process.argv[2] === 'hash-password') {
+  if (!process.argv[3]) {
+    console.error('Usage: node server.js hash-password <password>');
+    process.exit(1);
+  }
+  console.log(hashPassword(process.argv[3]));
+  process.exit(0);
+}
+
+// Minimal HS256 JSON Web Tokens
+const signJwtPart = (data) => crypto.createHmac('sha256', authConfig.jwtSecret).update(data).digest();
+
+const signToken = (payload) => {
+  const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${header}.${body}.${signJwtPart(`${header}.${body}`).toString('base64url')}`;
+};
+
+// Decoded payload of a valid, unexpired token, or null
+const verifyToken = (token) => {
+  const [header, body, signature, ...rest] = String(token).split('.');
+  if (!header || !body || !signature || rest.length > 0) return null;
+
+  const expected = signJwtPart(`${header}.${body}`);
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+  try {
+    if (JSON.parse(Buffer.from(header, 'base64url').toString()).alg !== 'HS256') return null;
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+    return typeof payload.exp === 'number' && payload.exp * 1000 > Date.now() ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Issue a session token for a user
+const issueToken = (user) => {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const expiresAt = issuedAt + authConfig.tokenTtlSeconds;
+  return {
+    token: signToken({ sub: user.name, role: user.role, iat: issuedAt, exp: expiresAt }),
+    expiresAt: new Date(expiresAt * 1000).toISOString()
+  };
+};
+
+// Credentials from "Authorization: Bearer <jwt>", "Authorization: ApiKey <key>",
+// X-API-Key, or ?access_token=<jwt> (for <img> tags, which cannot send headers)
+const readCredentials = (req) => {
+  const [scheme, value] = (req.get('Authorization') || '').split(/\s+/, 2);
+  if (/^bearer$/i.test(scheme) && value) return { token: value };
+  if (/^apikey$/i.test(scheme) && value) return { apiKey: value };
+  if (req.get('X-API-Key')) return { apiKey: req.get('X-API-Key') };
+  if (typeof req.query.access_token === 'string') return { token: req.query.access_token };
+  return null;
+};
+
+// The user or API key behind a request's credentials, or null if they are not valid
+const resolvePrincipal = (credentials) => {
+  if (credentials.apiKey) return authConfig.apiKeys.get(sha256(credentials.apiKey)) || null;
+  const payload = verifyToken(credentials.token);
+  // Re-read the account so role/scope changes and removals apply to existing tokens
+  return (payload && authConfig.users.get(payload.sub)) || null;
+};
+
+const PUBLIC_PATHS = new Set(['/health', '/api', '/api/auth/login']);
+
+// Attach req.user for every request; without auth enabled req.user stays null (full access)
+const authenticate = (req, res, next) => {
+  req.user = null;
+  if (!authConfig.enabled || PUBLIC_PATHS.has(req.path.replace(/\/+$/, '') || '/')) return next();
+
+  const credentials = readCredentials(req);
+  const principal = credentials && resolvePrincipal(credentials);
+  if (!principal) {
+    res.setHeader('WWW-Authenticate', 'Bearer realm="surveillance-data"');
+    return res.status(401).json({
+      success: false,
+      error: credentials ? 'Invalid or expired credentials' : 'Authentication required',
+      message: 'Log in via POST /api/auth/login or send an API key'
+    });
+  }
+
+  const { passwordHash, ...user } = principal;
+  req.user = user;
+  next();
+};
+
+// Route guard: the authenticated user needs at least the given role
+const requireRole = (role) => (req, res, next) => {
+  if (!req.user || ROLE_LEVELS[req.user.role] >= ROLE_LEVELS[role]) return next();
+  res.status(403).json({
+    success: false,
+    error: `Requires the ${role} role (you are ${req.user.role})`,
+    message: 'Access denied'
+  });
+};
+
+// Route guard for changes to what the server mounts, indexes or renders: with auth off
+// there is no admin to check, so they are refused rather than open to every client
+const requireAdmin = (req, res, next) => {
+  if (authConfig.enabled) return requireRole('admin')(req, res, next);
+  res.status(403).json({
+    success: false,
+    error: 'Requires the admin role, and authentication is not enabled (auth in the config file)',
+    message: 'Access denied'
+  });
+};
+
+// Whether a user may see a dataset / session / camera (omitted parts are not checked)
+const canAccess = (user, { dataset, session, camera } = {}) => {
+  if (!user) return true;
+  if (dataset && user.datasets && !user.datasets.includes(dataset.id)) return false;
+  if (session && user.sessions && !user.sessions.includes(session)) return false;
+  if (camera && user.cameras && !user.cameras.includes(camera)) return false;
+  return true;
+};
+
+// API routes that name a session or camera in the URL check it against the user's scope
+const checkScopeParam = (part) => (req, res, next, value) => {
+  if (canAccess(req.user, { [part]: value })) return next();
+  res.status(403).json({
+    success: false,
+    error: `Access denied to ${part} ${value}`,
+    message: 'Access denied'
+  });
+};
+
+// File routes (/data, /thumbs, /list) check the session and camera folders of the (validated) path
+const authorizeFilePath = async (req, res, next) => {
+  if (!req.user || (!req.user.sessions && !req.user.cameras)) return next();
+
+  const { relative } = req.dataPath;
+  const [session, second] = relative.split('/').filter(Boolean);
+
+  // The second segment is a camera only if it is a folder (gps_log.csv etc. sit beside the cameras)
+  let camera = null;
+  if (session && second && req.user.cameras) {
+    const stat = await fs.stat(path.join(req.dataset.path, session, second)).catch(() => null);
+    camera = stat && stat.isDirectory() ? second : null;
+  }
+
+  if (!session || canAccess(req.user, { session, camera })) return next();
+  res.status(403).json({
+    success: false,
+    error: `Access denied to ${relative}`,
+    message: 'Access denied'
+  });
+};
+
+const describeUser = (user) => user && {
+  name: user.name,
+  kind: user.kind,
+  role: user.role,
+  datasets: user.datasets,
+  sessions: user.sessions,
+  cameras: user.cameras
+};
+
+// Enable CORS for the configured origins
 app.use(cors({
-  origin: true,
-  methods: ['GET', 'HEAD', 'OPTIONS', 'POST'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'Cache-Control', 'Range'],
+  origin: corsOrigins ? (origin, callback) => callback(null, !origin || corsOrigins.includes(origin)) : true,
+  methods: ['GET', 'HEAD', 'OPTIONS', 'POST', 'PATCH', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'Cache-Control', 'Range', 'X-API-Key', 'X-Reviewer'],
   credentials: false,
   optionsSuccessStatus: 200
 }));
@@ -33,6 +486,162 @@ app.use((req, res, next) => {
   next();
 });
 
+// Every route below requires credentials once authentication is enabled
+app.use(authenticate);
+
+// ---------------------------------------------------------------------------
+// Request validation: route and query parameter rules, paths canonicalised
+// against the data root, and server paths kept out of responses
+// ---------------------------------------------------------------------------
+
+// A single folder name: no separators, control characters or leading dot (rules out "." and "..")
+const PATH_SEGMENT_PATTERN = /^(?!\.)[^/\\\x00-\x1f]{1,255}$/;
+
+const ROUTE_PARAM_RULES = {
+  session: { pattern: PATH_SEGMENT_PATTERN, expected: 'a session folder name' },
+  camera: { pattern: PATH_SEGMENT_PATTERN, expected: 'a camera folder name' },
+  anomalyType: { pattern: PATH_SEGMENT_PATTERN, expected: 'a class folder name' },
+  recordIndex: { pattern: /^\d{1,9}$/, expected: 'a record index' },
+  tripIndex: { pattern: /^\d{1,9}$/, expected: 'a trip index' },
+  incidentId: { pattern: /^inc_[0-9a-f]{12}$/, expected: 'an incident id (inc_ + 12 hex digits)' }
+};
+
+// Query parameters shared by many routes; route-specific ones are parsed by the route
+// (session/camera/anomalyType may be objects on /search, e.g. camera[in]=..., so only strings are checked)
+const QUERY_PARAM_RULES = {
+  session: { type: 'segment' },
+  camera: { type: 'segment' },
+  anomalyType: { type: 'segment' },
+  precision: { type: 'integer', min: 0, max: 10 },
+  polyline: { type: 'boolean' },
+  only: { type: 'boolean' },
+  download: { type: 'boolean' },
+  bucket: { type: 'integer', min: 1, max: 31 * 24 * 3600 },
+  maxPoints: { type: 'integer', min: 1, max: 100000 },
+  thumbnails: { type: 'boolean' },
+  redacted: { type: 'boolean' },
+  includeRejected: { type: 'boolean' }
+};
+
+const invalidParameter = (res, error) => res.status(400).json({
+  success: false,
+  error,
+  message: 'Invalid request parameters'
+});
+
+Object.entries(ROUTE_PARAM_RULES).forEach(([name, rule]) => {
+  api.param(name, (req, res, next, value) => (rule.pattern.test(value)
+    ? next()
+    : invalidParameter(res, `Invalid ${name} "${value}": expected ${rule.expected}`)));
+});
+
+// Scope checks run after the rules above, so a malformed session or camera answers 400, not a 403
+api.param('session', checkScopeParam('session'));
+api.param('camera', checkScopeParam('camera'));
+
+// Error text for a query value that breaks its rule, or null
+const checkQueryValue = (name, value, rule) => {
+  if (Array.isArray(value)) return `${name} may only be given once`;
+  if (typeof value !== 'string') return rule.type === 'segment' ? null : `Invalid ${name}`;
+
+  switch (rule.type) {
+    case 'segment':
+      return value === '' || value.split(',').every(item => PATH_SEGMENT_PATTERN.test(item.trim()))
+        ? null
+        : `Invalid ${name} "${value}": expected a folder name`;
+    case 'integer': {
+      const number = Number(value);
+      return Number.isInteger(number) && number >= rule.min && number <= rule.max
+        ? null
+        : `Invalid ${name} "${value}": expected an integer from ${rule.min} to ${rule.max}`;
+    }
+    case 'boolean':
+      return value === 'true' || value === 'false' ? null : `Invalid ${name} "${value}": expected true or false`;
+    default:
+      return null;
+  }
+};
+
+const validateQuery = (req, res, next) => {
+  for (const [name, rule] of Object.entries(QUERY_PARAM_RULES)) {
+    if (req.query[name] === undefined) continue;
+    const problem = checkQueryValue(name, req.query[name], rule);
+    if (problem) return invalidParameter(res, problem);
+  }
+  next();
+};
+
+const isInsideDirectory = (root, target) => target === root || target.startsWith(root + path.sep);
+
+// Canonical location of a path inside a dataset. Rejects ".." segments, absolute paths and
+// symlinks leading out of the data root; the path itself does not have to exist
+const resolveDataPath = async (dataset, relativePath) => {
+  const requested = String(relativePath || '');
+  if (requested.includes('\0') || path.isAbsolute(requested) || requested.split(/[\\/]/).includes('..')) {
+    throw badRequest('Invalid path: absolute paths, ".." segments and NUL bytes are not allowed');
+  }
+
+  const absolute = path.resolve(dataset.path, requested);
+  if (!isInsideDirectory(dataset.path, absolute)) throw badRequest('Invalid path: outside the data directory');
+
+  // Check the deepest part of the path that exists; missing files are reported by the route itself
+  const realRoot = await fs.realpath(dataset.path).catch(() => dataset.path);
+  let realTarget = null;
+  for (let current = absolute; !realTarget && isInsideDirectory(dataset.path, current); current = path.dirname(current)) {
+    realTarget = await fs.realpath(current).catch(() => null);
+  }
+  if (realTarget && !isInsideDirectory(realRoot, realTarget)) {
+    throw badRequest('Invalid path: links outside the data directory');
+  }
+
+  return { absolute, relative: path.relative(dataset.path, absolute).split(path.sep).join('/') };
+};
+
+// File routes (/data, /list, /thumbs): canonicalise the requested path into req.dataPath
+const validateFilePath = async (req, res, next) => {
+  try {
+    // app.use('/data') mounts see the rest of the URL in req.path; the other routes have a :path param
+    const requested = req.route ? req.params.path : decodeURIComponent(req.path).replace(/^\/+/, '');
+    req.dataPath = await resolveDataPath(req.dataset, requested);
+    next();
+  } catch (error) {
+    invalidParameter(res, error.status ? error.message : 'Invalid path: malformed URL encoding');
+  }
+};
+
+// Replace absolute server paths (dataset roots, state and cache directories) in error text
+const redactServerPaths = (text) => {
+  let result = text;
+  [...datasets.values()].forEach(dataset => {
+    result = result.split(dataset.path + path.sep).join('').split(dataset.path).join('.');
+  });
+  [stateDir, thumbnailConfig.cacheDir, path.dirname(CONFIG_PATH), __dirname].forEach(dir => {
+    result = result.split(dir).join('[server]');
+  });
+  // Anything else a filesystem error names, e.g. "ENOENT: ..., open '/elsewhere/file.csv'"
+  return result.replace(/'\/[^']*'/g, "'[path]'");
+};
+
+const redactErrors = (value) => {
+  if (Array.isArray(value)) return value.map(redactErrors);
+  if (!value || typeof value !== 'object' || Object.getPrototypeOf(value) !== Object.prototype) return value;
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    key === 'error' && typeof item === 'string' ? redactServerPaths(item) : redactErrors(item)
+  ]));
+};
+
+// "error" fields in error responses often carry fs messages with absolute paths. Successful
+// responses can be large (GPS points, search pages), so the few that report a partial failure
+// redact their own error text instead of having every body copied here
+app.use((req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => json(res.statusCode >= 400 ? redactErrors(body) : body);
+  next();
+});
+
+app.use(validateQuery);
+
 // Utility function to read CSV files
 const readCSV = (filePath) => {
   return new Promise((resolve, reject) => {
@@ -51,115 +660,475 @@ const readCSV = (filePath) => {
   });
 };
 
-// Utility function to extract GPS data from metadata records
-const extractGPSData = (metadataRecords, session, camera, anomalyType) => {
-  const gpsData = [];
-  
-  // Common GPS field names to look for
-  const gpsFields = {
-    latitude: ['latitude', 'lat', 'gps_lat', 'gps_latitude', 'y_coord', 'y'],
-    longitude: ['longitude', 'lng', 'lon', 'gps_lng', 'gps_longitude', 'x_coord', 'x'],
-    timestamp: ['timestamp', 'time', 'datetime', 'created_at', 'date', 'detection_time']
-  };
-  
-  metadataRecords.forEach((record, index) => {
-    // Find latitude field
-    let lat = null;
-    for (const field of gpsFields.latitude) {
-      if (record[field] && record[field] !== '' && !isNaN(parseFloat(record[field]))) {
-        lat = parseFloat(record[field]);
-        break;
-      }
-    }
-    
-    // Find longitude field
-    let lng = null;
-    for (const field of gpsFields.longitude) {
-      if (record[field] && record[field] !== '' && !isNaN(parseFloat(record[field]))) {
-        lng = parseFloat(record[field]);
-        break;
-      }
-    }
-    
-    // Find timestamp field
-    let timestamp = null;
-    for (const field of gpsFields.timestamp) {
-      if (record[field] && record[field] !== '') {
-        timestamp = record[field];
-        break;
+// Utility function to read a CSV file row by row (for await ... of) without holding it in memory
+// (pipeline closes the file when the reader stops early or the parser fails)
+const streamCSV = (filePath) => pipeline(createReadStream(filePath), csv(), () => {});
+
+// Common timestamp column names in metadata records, tried in order by the schema
+const TIMESTAMP_FIELDS = ['timestamp', 'time', 'datetime', 'created_at', 'date', 'detection_time'];
+
+// ---------------------------------------------------------------------------
+// CSV schema: column type inference and the mapping from CSV headers onto the
+// canonical field names used by every route, with per-session/camera/class
+// overrides from config.schema.mappings
+// ---------------------------------------------------------------------------
+
+// Canonical fields, the column types they accept and the headers tried in order
+const CANONICAL_FIELDS = {
+  latitude: { types: ['coordinate'], range: 90, aliases: ['latitude', 'lat', 'gps_lat', 'gps_latitude', 'y_coord', 'y'] },
+  longitude: { types: ['coordinate'], range: 180, aliases: ['longitude', 'lng', 'lon', 'gps_lng', 'gps_longitude', 'x_coord', 'x'] },
+  timestamp: { types: ['timestamp', 'numeric'], aliases: TIMESTAMP_FIELDS },
+  gpsTime: { types: ['timestamp', 'numeric'], aliases: ['gps_time', 'gps_timestamp', 'gps_datetime', 'utc_time', 'gnss_time', 'utc'] },
+  speed: { types: ['numeric'], aliases: ['speed', 'speed_kmh', 'gps_speed', 'velocity'] },
+  confidence: { types: ['numeric'], aliases: ['confidence', 'score', 'conf', 'probability'] },
+  label: { types: ['string'], aliases: ['label', 'class', 'class_name', 'category'] },
+  frame: { types: ['numeric'], aliases: ['frame', 'frame_id', 'frame_number', 'frame_index'] },
+  image: { types: ['string'], aliases: ['image', 'image_name', 'image_path', 'filename', 'file_name', 'file'] },
+  bbox: { types: ['bbox'], aliases: ['bbox', 'bounding_box', 'box'] },
+  bboxXMin: { types: ['numeric'], aliases: ['xmin', 'x_min', 'x1', 'bbox_x1', 'bbox_x', 'left'] },
+  bboxYMin: { types: ['numeric'], aliases: ['ymin', 'y_min', 'y1', 'bbox_y1', 'bbox_y', 'top'] },
+  bboxXMax: { types: ['numeric'], aliases: ['xmax', 'x_max', 'x2', 'bbox_x2', 'right'] },
+  bboxYMax: { types: ['numeric'], aliases: ['ymax', 'y_max', 'y2', 'bbox_y2', 'bottom'] },
+  bboxWidth: { types: ['numeric'], aliases: ['bbox_w', 'bbox_width', 'box_w', 'width', 'w'] },
+  bboxHeight: { types: ['numeric'], aliases: ['bbox_h', 'bbox_height', 'box_h', 'height', 'h'] }
+};
+
+// Canonical scalar fields copied onto every detection record
+const DETECTION_CANONICAL_FIELDS = ['timestamp', 'confidence', 'speed', 'frame', 'label'];
+
+const SCHEMA_SAMPLE_SIZE = 200;
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+const BBOX_PATTERN = /^[[(]?\s*[-+]?[\d.]+([\s,;]+[-+]?[\d.]+){3}\s*[\])]?$/;
+const DATE_PATTERNS = [
+  /^\d{4}-\d{2}-\d{2}([T\s]\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?)?/,
+  /^\d{1,2}[-/.]\d{1,2}[-/.]\d{2,4}[T\s_-]\d{1,2}[:-]\d{2}([:-]\d{2})?/
+];
+const TIME_HINT_PATTERN = /(^|_)(time|timestamp|datetime|date|epoch|ts)($|_)/i;
+
+// Infer the type of one column from a sample of its non-empty values
+const inferColumnType = (name, values) => {
+  if (values.length === 0) return 'empty';
+  if (values.every(value => NUMBER_PATTERN.test(value))) {
+    if (TIME_HINT_PATTERN.test(name) && values.every(value => Math.abs(parseFloat(value)) >= 1e8)) return 'timestamp';
+    return 'numeric';
+  }
+  if (values.every(value => /^(true|false)$/i.test(value))) return 'boolean';
+  if (values.every(value => BBOX_PATTERN.test(value))) return 'bbox';
+  if (values.every(value => DATE_PATTERNS.some(pattern => pattern.test(value)))) return 'timestamp';
+  if (values.every(value => TIME_OF_DAY_PATTERN.test(value))) return 'time';
+  return 'string';
+};
+
+// Whether a column of the given type can hold a canonical field
+const columnFitsField = (column, field) => {
+  const spec = CANONICAL_FIELDS[field];
+  if (column.type === 'empty') return false;
+  if (spec.types.includes('coordinate')) {
+    return column.type === 'numeric' && column.values.every(value => Math.abs(parseFloat(value)) <= spec.range);
+  }
+  if (spec.types.includes('string')) return true;
+  return spec.types.includes(column.type);
+};
+
+// Mapping rules from config.schema.mappings that apply to a file, least specific first
+const findSchemaOverrides = ({ session, camera, anomalyType, file = 'metadata.csv' }) => {
+  const rules = config.schema?.mappings || [];
+  return rules
+    .filter(rule => (rule.file || 'metadata.csv') === file &&
+      (!rule.session || rule.session === session) &&
+      (!rule.camera || rule.camera === camera) &&
+      (!rule.anomalyType || rule.anomalyType === anomalyType))
+    .map((rule, order) => ({ rule, order, specificity: ['session', 'camera', 'anomalyType'].filter(key => rule[key]).length }))
+    .sort((a, b) => a.specificity - b.specificity || a.order - b.order)
+    .map(({ rule }) => rule);
+};
+
+// Column types and canonical field mapping for a CSV's rows
+const resolveSchema = (records, target = {}) => {
+  const names = records.length > 0 ? Object.keys(records[0]) : [];
+  const sample = records.slice(0, SCHEMA_SAMPLE_SIZE);
+  const columns = names.map(name => {
+    const values = sample.map(record => record[name]).filter(value => value !== undefined && value !== null && String(value).trim() !== '').map(value => String(value).trim());
+    return { name, type: inferColumnType(name, values), values };
+  });
+
+  const mapping = {};
+  const mappingSource = {};
+  const claimed = new Set();
+  Object.entries(CANONICAL_FIELDS).forEach(([field, spec]) => {
+    const column = spec.aliases
+      .map(alias => columns.find(candidate => candidate.name.toLowerCase() === alias && !claimed.has(candidate.name)))
+      .find(candidate => candidate && columnFitsField(candidate, field));
+    mapping[field] = column ? column.name : null;
+    mappingSource[field] = 'inferred';
+    if (column) claimed.add(column.name);
+  });
+
+  const overrides = findSchemaOverrides(target);
+  const warnings = [];
+  overrides.forEach(rule => {
+    Object.entries(rule.fields || {}).forEach(([field, column]) => {
+      if (!CANONICAL_FIELDS[field]) {
+        warnings.push(`Unknown canonical field "${field}" in schema mapping`);
+        return;
       }
-    }
-    
-    // If we found valid GPS coordinates
-    if (lat !== null && lng !== null) {
-      // Basic validation for reasonable GPS coordinates
-      if (lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180) {
-        gpsData.push({
-          latitude: lat,
-          longitude: lng,
-          timestamp: timestamp,
-          session: session,
-          camera: camera,
-          anomalyType: anomalyType,
-          recordIndex: index,
-          originalRecord: record
-        });
+      if (column !== null && !names.includes(column)) {
+        warnings.push(`Mapped column "${column}" for ${field} is not in the CSV header`);
       }
-    }
+      mapping[field] = column;
+      mappingSource[field] = 'config';
+    });
   });
-  
-  return gpsData;
+
+  if (names.length > 0 && !mapping.timestamp) warnings.push('No timestamp column found');
+  if (names.length > 0 && Boolean(mapping.latitude) !== Boolean(mapping.longitude)) {
+    warnings.push('Only one of latitude/longitude is mapped');
+  }
+
+  const canonicalByColumn = {};
+  Object.entries(mapping).forEach(([field, column]) => {
+    if (column) canonicalByColumn[column] = field;
+  });
+
+  return {
+    columns: columns.map(column => ({
+      name: column.name,
+      // Numeric columns holding a mapped latitude/longitude are reported as coordinates
+      type: ['latitude', 'longitude'].includes(canonicalByColumn[column.name]) && column.type === 'numeric' ? 'coordinate' : column.type,
+      canonical: canonicalByColumn[column.name] || null,
+      nonEmpty: column.values.length,
+      examples: [...new Set(column.values)].slice(0, 3)
+    })),
+    mapping,
+    mappingSource,
+    overrides,
+    // Layout of a single bbox column: xyxy (corners), xywh or cxcywh; null means detect
+    bboxFormat: overrides.reduce((format, rule) => rule.bboxFormat || format, null),
+    // Record-to-image strategy for this folder (see imageLinkConfig); null means the global default
+    imageLinking: overrides.reduce((strategy, rule) => rule.imageLinking || strategy, null),
+    sampledRows: sample.length,
+    warnings
+  };
 };
 
-// Utility function to scan for all metadata.csv files
-const scanForMetadataFiles = async (basePath) => {
-  const metadataFiles = [];
-  
-  const scanDirectory = async (dirPath, relativePath = '') => {
-    try {
-      const items = await fs.readdir(dirPath);
-      
-      for (const item of items) {
-        const fullPath = path.join(dirPath, item);
-        const relPath = path.join(relativePath, item);
-        const stat = await fs.stat(fullPath);
-        
-        if (stat.isDirectory()) {
-          // Recursively scan subdirectories
-          await scanDirectory(fullPath, relPath);
-        } else if (item === 'metadata.csv') {
-          const pathParts = relativePath.split(path.sep);
-          
-          // Handle different directory structures
-          let session, camera, anomalyType;
-          
-          if (pathParts.length >= 3) {
-            // Structure: session/camera/class/metadata.csv
-            session = pathParts[0];
-            camera = pathParts[1];
-            anomalyType = pathParts[2];
-          } else if (pathParts.length === 2) {
-            // Structure: session/camera/metadata.csv (general class)
-            session = pathParts[0];
-            camera = pathParts[1];
-            anomalyType = 'general';
-          } else {
-            // Fallback
-            session = pathParts[0] || 'unknown';
-            camera = 'unknown';
-            anomalyType = 'general';
-          }
+// Value of a canonical field in a record, or null when unmapped or empty
+const getCanonicalValue = (record, schema, field) => {
+  const column = schema.mapping[field];
+  if (!column) return null;
+  const value = record[column];
+  return value === undefined || value === '' ? null : value;
+};
+
+// Canonical field values to merge into a detection record
+const canonicalFields = (record, schema) => {
+  const fields = {};
+  DETECTION_CANONICAL_FIELDS.forEach(field => {
+    const value = getCanonicalValue(record, schema, field);
+    if (value !== null) fields[field] = value;
+  });
+  return fields;
+};
+
+// ---------------------------------------------------------------------------
+// Timestamps: epoch seconds/milliseconds, ISO and device-local values turned
+// into UTC using a per-session clock (timezone, configured offset and a
+// correction for device clocks that booted at 1970, learned from GPS time)
+// ---------------------------------------------------------------------------
+
+const timestampConfig = {
+  // Timezone for values without one: an IANA name ("Asia/Kolkata") or a fixed offset ("+05:30")
+  timezone: process.env.TIMESTAMP_TIMEZONE || config.timestamps?.timezone || 'UTC',
+  // Field order of device-local dates such as 01-03-25 10:00:00: dmy, mdy or ymd
+  dateOrder: process.env.TIMESTAMP_DATE_ORDER || config.timestamps?.dateOrder || 'dmy',
+  clockOffsetSeconds: parseFloat(process.env.TIMESTAMP_CLOCK_OFFSET_SECONDS || config.timestamps?.clockOffsetSeconds || 0),
+  gpsCorrection: process.env.TIMESTAMP_GPS_CORRECTION ? process.env.TIMESTAMP_GPS_CORRECTION !== 'false' : (config.timestamps?.gpsCorrection ?? true),
+  // Per-session { timezone, clockOffsetSeconds } overrides
+  sessions: config.timestamps?.sessions || {}
+};
+
+// Times before this come from a device clock that was never set (it boots at 1970-01-01)
+const MIN_VALID_TIME_MS = Date.UTC(2000, 0, 1);
+
+const ZONED_ISO_PATTERN = /^\d{4}-\d{2}-\d{2}[T\s]\d{1,2}:\d{2}(:\d{2}([.,]\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})$/i;
+const YMD_PATTERN = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T\s](\d{1,2}):(\d{2})(?::(\d{2})(?:[.,](\d+))?)?)?$/;
+const DEVICE_DATE_PATTERN = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})(?:[T\s_-](\d{1,2})[:-](\d{2})(?:[:-](\d{2})(?:[.,:-](\d{1,3}))?)?)?$/;
+const FIXED_OFFSET_PATTERN = /^(?:UTC|GMT)?([+-])(\d{1,2}):?(\d{2})?$/i;
+
+const timezoneFormatters = new Map();
+
+// Check a configured timezone, falling back to UTC with a warning
+const resolveTimezone = (timeZone) => {
+  if (!timeZone || timeZone === 'UTC' || FIXED_OFFSET_PATTERN.test(timeZone)) return timeZone || 'UTC';
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return timeZone;
+  } catch (error) {
+    console.warn(`Unknown timezone "${timeZone}", using UTC`);
+    return 'UTC';
+  }
+};
+
+// Offset of a timezone from UTC at a given instant, in milliseconds
+const timezoneOffsetMs = (timeZone, utcMs) => {
+  if (timeZone === 'UTC') return 0;
+  const fixed = FIXED_OFFSET_PATTERN.exec(timeZone);
+  if (fixed) return (fixed[1] === '-' ? -1 : 1) * (parseInt(fixed[2]) * 60 + parseInt(fixed[3] || 0)) * 60000;
+
+  if (!timezoneFormatters.has(timeZone)) {
+    timezoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  const parts = {};
+  timezoneFormatters.get(timeZone).formatToParts(new Date(utcMs)).forEach(part => {
+    parts[part.type] = parseInt(part.value);
+  });
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wall - Math.floor(utcMs / 1000) * 1000;
+};
+
+// UTC instant of a wall-clock time (given as if it were UTC) in a timezone
+const wallTimeToUtc = (wallMs, timeZone) => {
+  const guess = wallMs - timezoneOffsetMs(timeZone, wallMs);
+  return wallMs - timezoneOffsetMs(timeZone, guess);
+};
+
+// Wall-clock time of a zoneless date string, as milliseconds read as UTC
+const parseWallTime = (text) => {
+  let year, month, day, time, format;
+  const ymd = YMD_PATTERN.exec(text);
+  const device = ymd ? null : DEVICE_DATE_PATTERN.exec(text);
+
+  if (ymd) {
+    [year, month, day] = ymd.slice(1, 4).map(Number);
+    time = ymd.slice(4);
+    format = 'local';
+  } else if (device) {
+    const [a, b, c] = device.slice(1, 4).map(Number);
+    if (timestampConfig.dateOrder === 'mdy') [month, day, year] = [a, b, c];
+    else if (timestampConfig.dateOrder === 'ymd') [year, month, day] = [a, b, c];
+    else [day, month, year] = [a, b, c];
+    if (year < 100) year += year < 70 ? 2000 : 1900;
+    time = device.slice(4);
+    format = 'device-local';
+  } else {
+    return null;
+  }
+
+  const [hour = 0, minute = 0, second = 0] = time.slice(0, 3).map(value => (value === undefined ? 0 : Number(value)));
+  const millisecond = time[3] ? Number(time[3].padEnd(3, '0').slice(0, 3)) : 0;
+  if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59 || second > 60) return null;
+  return { ms: Date.UTC(year, month - 1, day, hour, minute, second, millisecond), format };
+};
+
+// Clock for a session before any GPS correction: timezone and configured offset
+const sessionClockConfig = (session) => {
+  const overrides = timestampConfig.sessions[session] || {};
+  return {
+    session,
+    timezone: resolveTimezone(overrides.timezone || timestampConfig.timezone),
+    offsetMs: parseFloat(overrides.clockOffsetSeconds ?? timestampConfig.clockOffsetSeconds) * 1000,
+    correctionMs: null,
+    correctionSource: null
+  };
+};
+
+const UTC_CLOCK = { session: null, timezone: 'UTC', offsetMs: 0, correctionMs: null, correctionSource: null };
+
+// Parse any supported timestamp into { ms, format, corrected } using a session clock, or null
+const parseTimestamp = (value, clock = UTC_CLOCK) => {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  if (text === '') return null;
+
+  let ms;
+  let format;
+  if (NUMBER_PATTERN.test(text)) {
+    const number = parseFloat(text);
+    const magnitude = Math.abs(number);
+    if (magnitude >= 1e17) [ms, format] = [number / 1e6, 'epoch-ns'];
+    else if (magnitude >= 1e14) [ms, format] = [number / 1e3, 'epoch-us'];
+    else if (magnitude >= 1e11) [ms, format] = [number, 'epoch-ms'];
+    else [ms, format] = [number * 1000, 'epoch-s'];
+  } else if (ZONED_ISO_PATTERN.test(text)) {
+    [ms, format] = [Date.parse(text.replace(/\s+(?=Z|[+-]\d)/i, '').replace(' ', 'T')), 'iso'];
+  } else {
+    const wall = parseWallTime(text);
+    if (!wall) return null;
+    [ms, format] = [wallTimeToUtc(wall.ms, clock.timezone), wall.format];
+  }
+  if (isNaN(ms)) return null;
+
+  ms += clock.offsetMs;
+  const corrected = ms < MIN_VALID_TIME_MS && clock.correctionMs !== null;
+  if (corrected) ms += clock.correctionMs;
+  return { ms: Math.round(ms), format, corrected };
+};
+
+// Canonical ISO string for a timestamp value, or null when it cannot be parsed
+const normalizeTimestamp = (value, clock) => {
+  const parsed = parseTimestamp(value, clock);
+  return parsed ? new Date(parsed.ms).toISOString() : null;
+};
+
+// Learn how far an unset (1970) device clock is behind GPS time from gps_log.csv
+// rows that carry both the device timestamp and the GPS/UTC time
+const estimateClockCorrection = (records, source, clock) => {
+  const schema = resolveSchema(records, { session: source, file: 'gps_log.csv' });
+  if (!schema.mapping.timestamp || !schema.mapping.gpsTime) return null;
+
+  const offsets = [];
+  records.forEach(record => {
+    const device = parseTimestamp(getCanonicalValue(record, schema, 'timestamp'), clock);
+    const gps = parseTimestamp(getCanonicalValue(record, schema, 'gpsTime'));
+    if (device && gps && device.ms < MIN_VALID_TIME_MS && gps.ms >= MIN_VALID_TIME_MS) offsets.push(gps.ms - device.ms);
+  });
+  if (offsets.length === 0) return null;
+
+  offsets.sort((a, b) => a - b);
+  return {
+    correctionMs: offsets[Math.floor(offsets.length / 2)],
+    correctionSource: `${source}/gps_log.csv`,
+    correctionSamples: offsets.length
+  };
+};
+
+// Session clock as shown in API responses
+const describeClock = (clock) => ({
+  timezone: clock.timezone,
+  clockOffsetSeconds: clock.offsetMs / 1000,
+  correctionSeconds: clock.correctionMs === null ? null : clock.correctionMs / 1000,
+  correctionSource: clock.correctionSource,
+  correctionSamples: clock.correctionSamples || 0
+});
+
+// Utility function to extract GPS data from metadata records
+const extractGPSData = (metadataRecords, session, camera, anomalyType, schema = resolveSchema(metadataRecords, { session, camera, anomalyType }), clock = sessionClockConfig(session)) => {
+  const gpsData = [];
+  
+  metadataRecords.forEach((record, index) => {
+    // Coordinates and timestamp from the columns the schema mapped
+    const latValue = getCanonicalValue(record, schema, 'latitude');
+    const lngValue = getCanonicalValue(record, schema, 'longitude');
+    const lat = latValue !== null && !isNaN(parseFloat(latValue)) ? parseFloat(latValue) : null;
+    const lng = lngValue !== null && !isNaN(parseFloat(lngValue)) ? parseFloat(lngValue) : null;
+    const timestamp = getCanonicalValue(record, schema, 'timestamp');
+    
+    // If we found valid GPS coordinates
+    if (lat !== null && lng !== null) {
+      // Basic validation for reasonable GPS coordinates
+      if (lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180) {
+        gpsData.push({
+          latitude: lat,
+          longitude: lng,
+          timestamp: timestamp,
+          timestampISO: normalizeTimestamp(timestamp, clock),
+          session: session,
+          camera: camera,
+          anomalyType: anomalyType,
+          recordIndex: index,
+          gpsSource: 'measured',
+          originalRecord: record
+        });
+      }
+    }
+  });
+  
+  return gpsData;
+};
+
+// Work out session/camera/class from a metadata.csv directory relative to the data root
+const describeMetadataDirectory = (relativeDir) => {
+  const pathParts = relativeDir.split(path.sep);
+  
+  // Handle different directory structures
+  let session, camera, anomalyType;
+  
+  if (pathParts.length >= 3) {
+    // Structure: session/camera/class/metadata.csv
+    session = pathParts[0];
+    camera = pathParts[1];
+    anomalyType = pathParts[2];
+  } else if (pathParts.length === 2) {
+    // Structure: session/camera/metadata.csv (general class)
+    session = pathParts[0];
+    camera = pathParts[1];
+    anomalyType = 'general';
+  } else {
+    // Fallback
+    session = pathParts[0] || 'unknown';
+    camera = 'unknown';
+    anomalyType = 'general';
+  }
+  
+  return { session, camera, anomalyType, depth: pathParts.length };
+};
+
+// Utility function to convert one gps_log.csv row to the standardized GPS point format;
+// timestampISO prefers the receiver's GPS time over the device clock when the log has both
+const standardizeGpsPoint = (record, index, session, schema, clock) => {
+  const timestamp = getCanonicalValue(record, schema, 'timestamp');
+  const gpsTime = parseTimestamp(getCanonicalValue(record, schema, 'gpsTime'));
+  return {
+    latitude: parseFloat(getCanonicalValue(record, schema, 'latitude')),
+    longitude: parseFloat(getCanonicalValue(record, schema, 'longitude')),
+    timestamp: timestamp !== null ? timestamp : getCanonicalValue(record, schema, 'gpsTime'),
+    timestampISO: gpsTime && gpsTime.ms >= MIN_VALID_TIME_MS ? new Date(gpsTime.ms).toISOString() : normalizeTimestamp(timestamp, clock),
+    speed: getCanonicalValue(record, schema, 'speed'),
+    session,
+    camera: 'gps_logger',
+    anomalyType: 'tracking',
+    recordIndex: index,
+    source: 'gps_log.csv',
+    originalRecord: record
+  };
+};
+
+const hasCoordinates = (point) => !isNaN(point.latitude) && !isNaN(point.longitude);
+
+// Utility function to convert gps_log.csv rows to standardized GPS points
+const standardizeGpsLog = (records, session, schema = resolveSchema(records, { session, file: 'gps_log.csv' }), clock = sessionClockConfig(session)) => records
+  .map((record, index) => standardizeGpsPoint(record, index, session, schema, clock))
+  .filter(hasCoordinates);
+
+// Utility function to scan a dataset for all metadata.csv files
+const scanForMetadataFiles = async (dataset) => {
+  const metadataFiles = [];
+  
+  const scanDirectory = async (dirPath, relativePath = '') => {
+    try {
+      const items = await fs.readdir(dirPath);
+      
+      for (const item of items) {
+        const fullPath = path.join(dirPath, item);
+        const relPath = path.join(relativePath, item);
+        const stat = await fs.stat(fullPath);
+        
+        if (stat.isDirectory()) {
+          // images/ folders only hold frames, so there is no metadata.csv to find there
+          if (item === 'images') continue;
+          // Recursively scan subdirectories
+          await scanDirectory(fullPath, relPath);
+        } else if (item === 'metadata.csv') {
+          const { session, camera, anomalyType, depth } = describeMetadataDirectory(relativePath);
           
           metadataFiles.push({
+            datasetId: dataset.id,
             path: fullPath,
             relativePath: relPath,
+            relativeDir: relativePath,
             session,
             camera,
             anomalyType,
-            depth: pathParts.length
+            depth
           });
-          
-          console.log(`Found metadata.csv: ${session}/${camera}/${anomalyType}`);
         }
       }
     } catch (error) {
@@ -167,7 +1136,7 @@ const scanForMetadataFiles = async (basePath) => {
     }
   };
   
-  await scanDirectory(basePath);
+  await scanDirectory(dataset.path);
   
   // Sort by session, camera, then anomaly type for consistent ordering
   metadataFiles.sort((a, b) => {
@@ -176,7 +1145,6 @@ const scanForMetadataFiles = async (basePath) => {
     return a.anomalyType.localeCompare(b.anomalyType);
   });
   
-  console.log(`Found ${metadataFiles.length} metadata.csv files total`);
   return metadataFiles;
 };
 
@@ -211,147 +1179,1826 @@ const getImagesInDirectory = async (dirPath) => {
   }
 };
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ status: 'OK', message: 'Surveillance server is running' });
-});
+// Error for invalid client input; routes answer these with 400 instead of 500
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+const notFound = (message) => Object.assign(new Error(message), { status: 404 });
 
-// Get GPS data from F2/gps_log.csv
-app.get('/api/gps-data', async (req, res) => {
+const SEARCH_DEFAULT_LIMIT = 100;
+const SEARCH_MAX_LIMIT = parseInt(process.env.SEARCH_MAX_LIMIT || 1000);
+
+// Opaque cursor for offset-based paging (base64url JSON)
+const encodeCursor = (offset) => Buffer.from(JSON.stringify({ o: offset })).toString('base64url');
+
+const decodeCursor = (cursor) => {
   try {
-    const gpsPath = path.join(DATA_PATH, 'F2', 'gps_log.csv');
-    const gpsData = await readCSV(gpsPath);
-    
-    res.json({
-      success: true,
-      count: gpsData.length,
-      data: gpsData,
-      metadata: {
-        source: 'F2/gps_log.csv',
-        type: 'GPS tracking data'
-      }
-    });
+    const { o } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (Number.isInteger(o) && o >= 0) return o;
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      message: 'Failed to read GPS data'
-    });
+    // fall through to the error below
   }
-});
+  throw badRequest(`Invalid cursor: ${cursor}`);
+};
 
-// NEW: Get all GPS data from metadata files across all cameras and sessions
-app.get('/api/gps-data/metadata', async (req, res) => {
-  try {
-    const metadataFiles = await scanForMetadataFiles(DATA_PATH);
-    const allGPSData = [];
-    const gpsStats = {
-      totalFiles: metadataFiles.length,
-      filesWithGPS: 0,
-      totalGPSPoints: 0,
-      sessions: {},
-      cameras: {},
-      anomalyTypes: {}
-    };
-    
-    for (const file of metadataFiles) {
-      try {
-        const metadataData = await readCSV(file.path);
-        const gpsData = extractGPSData(metadataData, file.session, file.camera, file.anomalyType);
-        
-        if (gpsData.length > 0) {
-          gpsStats.filesWithGPS++;
-          gpsStats.totalGPSPoints += gpsData.length;
-          
-          // Update stats
-          if (!gpsStats.sessions[file.session]) gpsStats.sessions[file.session] = 0;
-          if (!gpsStats.cameras[file.camera]) gpsStats.cameras[file.camera] = 0;
-          if (!gpsStats.anomalyTypes[file.anomalyType]) gpsStats.anomalyTypes[file.anomalyType] = 0;
-          
-          gpsStats.sessions[file.session] += gpsData.length;
-          gpsStats.cameras[file.camera] += gpsData.length;
-          gpsStats.anomalyTypes[file.anomalyType] += gpsData.length;
-          
-          allGPSData.push(...gpsData);
-        }
-      } catch (error) {
-        console.error(`Error processing GPS data from ${file.path}:`, error.message);
-      }
-    }
-    
-    // Sort by timestamp if available
-    allGPSData.sort((a, b) => {
-      if (a.timestamp && b.timestamp) {
-        return new Date(a.timestamp) - new Date(b.timestamp);
+// Parse limit/offset/cursor query parameters
+const parsePaging = (query) => {
+  const limit = query.limit === undefined ? SEARCH_DEFAULT_LIMIT : parseInt(query.limit);
+  if (isNaN(limit) || limit < 1) throw badRequest(`Invalid limit: ${query.limit}`);
+
+  let offset = 0;
+  if (query.cursor) {
+    offset = decodeCursor(query.cursor);
+  } else if (query.offset !== undefined) {
+    offset = parseInt(query.offset);
+    if (isNaN(offset) || offset < 0) throw badRequest(`Invalid offset: ${query.offset}`);
+  }
+
+  return { limit: Math.min(limit, SEARCH_MAX_LIMIT), offset };
+};
+
+// Parse sort=confidence:desc,timestamp (or -confidence) into [{field, direction}]
+const parseSort = (sort) => {
+  if (!sort) return [];
+  return String(sort).split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      if (part.startsWith('-')) return { field: part.slice(1), direction: -1 };
+      const [field, direction = 'asc'] = part.split(':');
+      if (!['asc', 'desc'].includes(direction.toLowerCase())) {
+        throw badRequest(`Invalid sort direction "${direction}" for ${field}`);
       }
-      return 0;
+      return { field, direction: direction.toLowerCase() === 'desc' ? -1 : 1 };
     });
-    
-    res.json({
-      success: true,
-      count: allGPSData.length,
-      data: allGPSData,
-      statistics: gpsStats,
-      metadata: {
-        source: 'All metadata.csv files',
-        type: 'GPS data extracted from anomaly detection metadata',
-        description: 'GPS coordinates found in metadata files across all cameras and sessions'
+};
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+// Compare two column values: numerically when both are numbers, otherwise as natural strings
+const compareValues = (a, b) => {
+  if (isMissing(a) || isMissing(b)) return isMissing(a) === isMissing(b) ? 0 : (isMissing(a) ? 1 : -1);
+
+  const aNumber = Number(a);
+  const bNumber = Number(b);
+  if (!isNaN(aNumber) && !isNaN(bNumber)) return aNumber - bNumber;
+
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+};
+
+// Sort records by one or more columns; missing values always sort last
+const sortRecords = (records, sortSpec) => {
+  if (sortSpec.length === 0) return records;
+  return records
+    .map((record, position) => ({ record, position }))
+    .sort((a, b) => {
+      for (const { field, direction } of sortSpec) {
+        const aValue = a.record[field];
+        const bValue = b.record[field];
+        const result = compareValues(aValue, bValue);
+        if (result !== 0) return isMissing(aValue) || isMissing(bValue) ? result : result * direction;
       }
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      message: 'Failed to extract GPS data from metadata files'
-    });
+      return a.position - b.position;
+    })
+    .map(({ record }) => record);
+};
+
+// Parse fields=a,b,c; the record id is always kept so clients can page and link back
+const parseFields = (fields) => {
+  if (!fields) return null;
+  const list = String(fields).split(',').map(field => field.trim()).filter(Boolean);
+  return list.length > 0 ? ['id', ...list.filter(field => field !== 'id')] : null;
+};
+
+const projectRecord = (record, fields) => {
+  if (!fields) return record;
+  const projected = {};
+  fields.forEach(field => {
+    if (record[field] !== undefined) projected[field] = record[field];
+  });
+  return projected;
+};
+
+// Sort, page and project a list of records according to the request query
+const paginateRecords = (records, query) => {
+  const { limit, offset } = parsePaging(query);
+  const sortSpec = parseSort(query.sort);
+  const fields = parseFields(query.fields);
+
+  // A column no record has would sort nothing; with no records there is nothing to check against
+  const unknown = records.length > 0
+    ? sortSpec.filter(({ field }) => !records.some(record => Object.prototype.hasOwnProperty.call(record, field))).map(({ field }) => field)
+    : [];
+  if (unknown.length > 0) throw badRequest(`Unknown sort field(s): ${unknown.join(', ')}`);
+
+  const sorted = sortRecords(records, sortSpec);
+  const page = sorted.slice(offset, offset + limit).map(record => projectRecord(record, fields));
+  const nextOffset = offset + page.length;
+
+  return {
+    total: sorted.length,
+    count: page.length,
+    limit,
+    offset,
+    nextCursor: nextOffset < sorted.length ? encodeCursor(nextOffset) : null,
+    sort: sortSpec.map(({ field, direction }) => `${field}:${direction === 1 ? 'asc' : 'desc'}`),
+    fields,
+    results: page
+  };
+};
+
+// ---------------------------------------------------------------------------
+// Search query language: filters on any metadata column, combined with AND/OR
+//
+//   Query params:  ?confidence[gte]=0.8&camera[in]=argus0,argus1&image[contains]=frame
+//   Expression:    ?q=anomalyType = pothole AND confidence > 0.7 AND (camera = argus0 OR camera = argus1)
+//   JSON body:     { "filter": { "and": [{ "field": "confidence", "op": "gte", "value": 0.8 }, ...] } }
+// ---------------------------------------------------------------------------
+
+const FILTER_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin', 'contains', 'startsWith', 'endsWith', 'regex', 'exists'];
+
+// Query parameters that control the search itself rather than filter a column
+// (session/camera/anomalyType are ordinary columns and may use operators too)
+const SEARCH_RESERVED_PARAMS = new Set([
+  'startDate', 'endDate', 'hasGPS',
+  'limit', 'offset', 'cursor', 'sort', 'fields', 'q', 'where', 'filter', 'access_token'
+]);
+
+const EXPRESSION_OPERATORS = {
+  '=': 'eq',
+  '==': 'eq',
+  '!=': 'ne',
+  '>': 'gt',
+  '>=': 'gte',
+  '<': 'lt',
+  '<=': 'lte',
+  '~': 'contains',
+  '=~': 'regex',
+  '!~': 'regex'
+};
+
+const MAX_REGEX_LENGTH = 200;
+// Filters are parsed and compiled recursively, so nesting and length are capped well below the stack limit
+const MAX_FILTER_DEPTH = 32;
+const MAX_QUERY_TOKENS = 1000;
+
+// Split a q= expression into tokens
+const tokenizeExpression = (input) => {
+  const tokens = [];
+  let position = 0;
+
+  while (position < input.length) {
+    const char = input[position];
+
+    if (/\s/.test(char)) {
+      position++;
+    } else if (char === '(' || char === ')' || char === ',') {
+      tokens.push({ type: char });
+      position++;
+    } else if (char === '"' || char === "'") {
+      const end = input.indexOf(char, position + 1);
+      if (end === -1) throw badRequest(`Unterminated string in query at position ${position}`);
+      tokens.push({ type: 'value', value: input.slice(position + 1, end), quoted: true });
+      position = end + 1;
+    } else if (char === '/' && tokens.length > 0 && tokens[tokens.length - 1].type === 'op' && tokens[tokens.length - 1].op === 'regex') {
+      const match = /^\/((?:\\.|[^/\\])*)\/([a-z]*)/.exec(input.slice(position));
+      if (!match) throw badRequest(`Unterminated regular expression in query at position ${position}`);
+      tokens.push({ type: 'value', value: match[1], flags: match[2], quoted: true });
+      position += match[0].length;
+    } else {
+      const operator = ['>=', '<=', '!=', '==', '=~', '!~', '=', '>', '<', '~'].find(op => input.startsWith(op, position));
+      if (operator) {
+        tokens.push({ type: 'op', op: EXPRESSION_OPERATORS[operator], negate: operator === '!~' });
+        position += operator.length;
+        continue;
+      }
+
+      const match = /^[^\s()=<>!~,"']+/.exec(input.slice(position));
+      if (!match) throw badRequest(`Unexpected character "${char}" in query at position ${position}`);
+      const word = match[0];
+      const keyword = word.toUpperCase();
+      tokens.push(['AND', 'OR', 'NOT', 'IN'].includes(keyword) ? { type: keyword } : { type: 'value', value: word });
+      position += word.length;
+    }
+    if (tokens.length > MAX_QUERY_TOKENS) throw badRequest(`Query longer than ${MAX_QUERY_TOKENS} tokens`);
   }
-});
 
-// NEW: Get combined GPS data from both gps_log.csv and metadata files
-app.get('/api/gps-data/combined', async (req, res) => {
-  try {
-    const allGPSData = [];
-    const sources = [];
-    
-    // Get GPS data from F2/gps_log.csv
-    try {
-      const gpsPath = path.join(DATA_PATH, 'F2', 'gps_log.csv');
-      const gpsLogData = await readCSV(gpsPath);
-      
-      // Convert gps_log format to standardized format
-      const standardizedGpsLog = gpsLogData.map((record, index) => ({
-        latitude: parseFloat(record.latitude || record.lat),
-        longitude: parseFloat(record.longitude || record.lng || record.lon),
-        timestamp: record.timestamp || record.time || record.datetime,
-        session: 'F2',
-        camera: 'gps_logger',
-        anomalyType: 'tracking',
-        recordIndex: index,
-        source: 'gps_log.csv',
-        originalRecord: record
-      })).filter(point => !isNaN(point.latitude) && !isNaN(point.longitude));
-      
-      allGPSData.push(...standardizedGpsLog);
-      sources.push({
-        source: 'F2/gps_log.csv',
-        type: 'GPS tracking log',
-        count: standardizedGpsLog.length
-      });
-    } catch (error) {
-      console.warn('Could not read GPS log file:', error.message);
+  return tokens;
+};
+
+// Parse a q= expression into a filter tree (recursive descent over the tokens); depth is how
+// deeply the expression already sits inside a JSON filter
+const parseQueryExpression = (input, depth = 0) => {
+  const tokens = tokenizeExpression(String(input));
+  let position = 0;
+
+  // Each "(" and NOT recurses once more
+  const nested = (parse) => {
+    if (++depth > MAX_FILTER_DEPTH) throw badRequest(`Query nested deeper than ${MAX_FILTER_DEPTH} levels`);
+    const node = parse();
+    depth--;
+    return node;
+  };
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const expect = (type) => {
+    const token = next();
+    if (!token || token.type !== type) throw badRequest(`Expected "${type}" in query`);
+    return token;
+  };
+
+  const parseValueList = () => {
+    expect('(');
+    const values = [];
+    while (peek() && peek().type !== ')') {
+      values.push(expect('value').value);
+      if (peek() && peek().type === ',') next();
     }
-    
-    // Get GPS data from metadata files
-    try {
-      const metadataFiles = await scanForMetadataFiles(DATA_PATH);
-      let metadataGPSCount = 0;
-      
-      for (const file of metadataFiles) {
-        try {
-          const metadataData = await readCSV(file.path);
-          const gpsData = extractGPSData(metadataData, file.session, file.camera, file.anomalyType);
-          
-          if (gpsData.length > 0) {
+    expect(')');
+    return values;
+  };
+
+  const parseComparison = () => {
+    const field = expect('value');
+    if (field.quoted) throw badRequest('Field names must not be quoted');
+
+    const token = peek();
+    if (token && token.type === 'IN') {
+      next();
+      return { field: field.value, op: 'in', value: parseValueList() };
+    }
+    if (token && token.type === 'NOT' && tokens[position + 1] && tokens[position + 1].type === 'IN') {
+      position += 2;
+      return { field: field.value, op: 'nin', value: parseValueList() };
+    }
+    if (!token || token.type !== 'op') {
+      // A bare field name means "has a value"
+      return { field: field.value, op: 'exists', value: true };
+    }
+
+    next();
+    const value = expect('value');
+    const condition = { field: field.value, op: token.op, value: value.value };
+    if (value.flags) condition.flags = value.flags;
+    return token.negate ? { not: condition } : condition;
+  };
+
+  const parsePrimary = () => {
+    if (peek() && peek().type === '(') {
+      next();
+      const node = nested(parseOr);
+      expect(')');
+      return node;
+    }
+    return parseComparison();
+  };
+
+  const parseNot = () => {
+    if (peek() && peek().type === 'NOT') {
+      next();
+      return { not: nested(parseNot) };
+    }
+    return parsePrimary();
+  };
+
+  const parseAnd = () => {
+    const nodes = [parseNot()];
+    while (peek() && peek().type === 'AND') {
+      next();
+      nodes.push(parseNot());
+    }
+    return nodes.length === 1 ? nodes[0] : { and: nodes };
+  };
+
+  const parseOr = () => {
+    const nodes = [parseAnd()];
+    while (peek() && peek().type === 'OR') {
+      next();
+      nodes.push(parseAnd());
+    }
+    return nodes.length === 1 ? nodes[0] : { or: nodes };
+  };
+
+  if (tokens.length === 0) return null;
+  const tree = parseOr();
+  if (position < tokens.length) throw badRequest('Unexpected input at end of query');
+  return tree;
+};
+
+// Turn any accepted filter form into a tree of {and}/{or}/{not}/{field, op, value} nodes
+const normalizeFilter = (node, depth = 0) => {
+  if (node === null || node === undefined) return null;
+  if (depth > MAX_FILTER_DEPTH) throw badRequest(`Filter nested deeper than ${MAX_FILTER_DEPTH} levels`);
+  const normalizeChild = (child) => normalizeFilter(child, depth + 1);
+  if (typeof node === 'string') return parseQueryExpression(node, depth);
+  if (Array.isArray(node)) return { and: node.map(normalizeChild).filter(Boolean) };
+  if (typeof node !== 'object') throw badRequest('Filter must be an object, array or expression string');
+
+  if (node.and) return { and: [].concat(node.and).map(normalizeChild).filter(Boolean) };
+  if (node.or) return { or: [].concat(node.or).map(normalizeChild).filter(Boolean) };
+  if (node.not) return { not: normalizeChild(node.not) };
+  if (node.field !== undefined) {
+    const op = node.op || 'eq';
+    if (!FILTER_OPERATORS.includes(op)) throw badRequest(`Unknown filter operator "${op}"`);
+    return { field: String(node.field), op, value: node.value, flags: node.flags };
+  }
+
+  // Shorthand: { confidence: { gte: 0.8 }, camera: "argus0", anomalyType: { in: [...] } }
+  const conditions = [];
+  Object.entries(node).forEach(([field, condition]) => {
+    if (condition !== null && typeof condition === 'object' && !Array.isArray(condition)) {
+      Object.entries(condition).forEach(([op, value]) => {
+        if (!FILTER_OPERATORS.includes(op)) throw badRequest(`Unknown filter operator "${op}" for ${field}`);
+        conditions.push({ field, op, value });
+      });
+    } else {
+      conditions.push({ field, op: Array.isArray(condition) ? 'in' : 'eq', value: condition });
+    }
+  });
+  return conditions.length === 1 ? conditions[0] : { and: conditions };
+};
+
+const TIME_OF_DAY_PATTERN = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/;
+
+// Seconds since midnight for "10:30" style values, or the time part of a timestamp
+const timeOfDaySeconds = (value) => {
+  const text = String(value);
+  const match = TIME_OF_DAY_PATTERN.exec(text) || /[T\s](\d{1,2}):(\d{2})(?::(\d{2}))?/.exec(text);
+  if (!match) return null;
+  return parseInt(match[1]) * 3600 + parseInt(match[2]) * 60 + parseInt(match[3] || 0);
+};
+
+const looksLikeDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) && !isNaN(Date.parse(value));
+
+// Order a record value against a filter value: numbers, dates, times of day, then strings
+const compareFilterValues = (recordValue, filterValue) => {
+  const recordNumber = Number(recordValue);
+  const filterNumber = Number(filterValue);
+  if (recordValue !== '' && filterValue !== '' && !isNaN(recordNumber) && !isNaN(filterNumber)) {
+    return recordNumber - filterNumber;
+  }
+
+  if (TIME_OF_DAY_PATTERN.test(String(filterValue))) {
+    const recordSeconds = timeOfDaySeconds(recordValue);
+    if (recordSeconds !== null) return recordSeconds - timeOfDaySeconds(filterValue);
+  }
+
+  if (looksLikeDate(String(recordValue)) && looksLikeDate(String(filterValue))) {
+    return Date.parse(recordValue) - Date.parse(filterValue);
+  }
+
+  return String(recordValue).localeCompare(String(filterValue), undefined, { numeric: true });
+};
+
+const toList = (value) => (Array.isArray(value) ? value : String(value).split(',').map(item => item.trim()));
+
+// Why a pattern could backtrack exponentially on one record, or null: backreferences, and
+// repeated groups that themselves hold a repetition or an alternation ((a+)+, (a|ab)*)
+const unsafeRegexReason = (pattern) => {
+  const groups = [{ varies: false }];
+  let inClass = false;
+  const repeatAt = (position) => /^(?:[*+]|\{\d+(?:,\d*)?\})/.test(pattern.slice(position));
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') {
+      if (!inClass && /[1-9k]/.test(pattern[i + 1] || '')) return 'backreferences are not supported';
+      i++;
+      if (!inClass && repeatAt(i + 1)) groups[groups.length - 1].varies = true;
+    } else if (inClass) {
+      if (char === ']') inClass = false;
+      if (!inClass && repeatAt(i + 1)) groups[groups.length - 1].varies = true;
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push({ varies: false });
+    } else if (char === '|') {
+      groups[groups.length - 1].varies = true;
+    } else if (char === ')' && groups.length > 1) {
+      const group = groups.pop();
+      const repeated = repeatAt(i + 1);
+      if (repeated && group.varies) return 'nested quantifiers are not supported';
+      if (repeated || group.varies) groups[groups.length - 1].varies = true;
+    } else if (repeatAt(i + 1)) {
+      groups[groups.length - 1].varies = true;
+    }
+  }
+  return null;
+};
+
+const compileRegex = (pattern, flags = 'i') => {
+  if (String(pattern).length > MAX_REGEX_LENGTH) throw badRequest(`Regular expression longer than ${MAX_REGEX_LENGTH} characters`);
+  // Every record is matched on the only event loop, so patterns that can backtrack catastrophically are refused
+  const unsafe = unsafeRegexReason(String(pattern));
+  if (unsafe) throw badRequest(`Regular expression not allowed: ${unsafe}`);
+  try {
+    return new RegExp(String(pattern), flags);
+  } catch (error) {
+    throw badRequest(`Invalid regular expression: ${error.message}`);
+  }
+};
+
+// Compile a normalised filter tree into a predicate over detection records
+const compileFilter = (node) => {
+  if (!node) return () => true;
+
+  if (node.and) {
+    const predicates = node.and.map(compileFilter);
+    return (record) => predicates.every(predicate => predicate(record));
+  }
+  if (node.or) {
+    const predicates = node.or.map(compileFilter);
+    return (record) => predicates.some(predicate => predicate(record));
+  }
+  if (node.not) {
+    const predicate = compileFilter(node.not);
+    return (record) => !predicate(record);
+  }
+
+  const { field, op, value } = node;
+  const present = (record) => !isMissing(record[field]);
+
+  switch (op) {
+    case 'eq':
+      return (record) => present(record) && compareFilterValues(record[field], value) === 0;
+    case 'ne':
+      return (record) => !present(record) || compareFilterValues(record[field], value) !== 0;
+    case 'gt':
+      return (record) => present(record) && compareFilterValues(record[field], value) > 0;
+    case 'gte':
+      return (record) => present(record) && compareFilterValues(record[field], value) >= 0;
+    case 'lt':
+      return (record) => present(record) && compareFilterValues(record[field], value) < 0;
+    case 'lte':
+      return (record) => present(record) && compareFilterValues(record[field], value) <= 0;
+    case 'in': {
+      const values = toList(value);
+      return (record) => present(record) && values.some(item => compareFilterValues(record[field], item) === 0);
+    }
+    case 'nin': {
+      const values = toList(value);
+      return (record) => !present(record) || values.every(item => compareFilterValues(record[field], item) !== 0);
+    }
+    case 'contains': {
+      const needle = String(value).toLowerCase();
+      return (record) => present(record) && String(record[field]).toLowerCase().includes(needle);
+    }
+    case 'startsWith': {
+      const prefix = String(value).toLowerCase();
+      return (record) => present(record) && String(record[field]).toLowerCase().startsWith(prefix);
+    }
+    case 'endsWith': {
+      const suffix = String(value).toLowerCase();
+      return (record) => present(record) && String(record[field]).toLowerCase().endsWith(suffix);
+    }
+    case 'regex': {
+      const regex = compileRegex(value, node.flags || 'i');
+      return (record) => present(record) && regex.test(String(record[field]));
+    }
+    case 'exists': {
+      const expected = !(value === false || value === 'false' || value === '0');
+      return (record) => present(record) === expected;
+    }
+    default:
+      throw badRequest(`Unknown filter operator "${op}"`);
+  }
+};
+
+// Collect filters from a query string or JSON body: column params, where=, filter= and q=
+const buildSearchFilter = (source) => {
+  const nodes = [];
+
+  Object.entries(source).forEach(([field, value]) => {
+    if (SEARCH_RESERVED_PARAMS.has(field) || value === undefined) return;
+    nodes.push(normalizeFilter({ [field]: value }));
+  });
+
+  if (source.where) {
+    let where = source.where;
+    if (typeof where === 'string') {
+      try {
+        where = JSON.parse(where);
+      } catch (error) {
+        throw badRequest(`where must be a JSON filter object: ${error.message}`);
+      }
+    }
+    nodes.push(normalizeFilter(where));
+  }
+  if (source.filter) nodes.push(normalizeFilter(source.filter));
+  if (source.q) nodes.push(parseQueryExpression(source.q));
+
+  const active = nodes.filter(Boolean);
+  if (active.length === 0) return null;
+  return active.length === 1 ? active[0] : { and: active };
+};
+
+// ---------------------------------------------------------------------------
+// Geospatial helpers (coordinates in WGS84 degrees, GeoJSON order [lng, lat])
+// ---------------------------------------------------------------------------
+
+const EARTH_RADIUS_METERS = 6371008.8;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle distance between two points in metres
+const haversineDistance = (lat1, lng1, lat2, lng2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+// Ray casting test against one linear ring of [lng, lat] positions
+const pointInRing = (lng, lat, ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// Inside the outer ring and outside every hole
+const pointInPolygon = (lng, lat, rings) => {
+  if (!pointInRing(lng, lat, rings[0])) return false;
+  return !rings.slice(1).some(hole => pointInRing(lng, lat, hole));
+};
+
+const isPosition = (position) => Array.isArray(position) && position.length >= 2 &&
+  position.slice(0, 2).every(value => typeof value === 'number' && isFinite(value));
+
+// Collect the polygons ([ring, ...holes]) from a GeoJSON geometry, Feature or FeatureCollection
+const extractPolygons = (geojson) => {
+  if (!geojson || typeof geojson !== 'object') throw badRequest('polygon must be a GeoJSON object');
+
+  switch (geojson.type) {
+    case 'FeatureCollection':
+      return (geojson.features || []).flatMap(extractPolygons);
+    case 'Feature':
+      return extractPolygons(geojson.geometry);
+    case 'Polygon':
+      return [geojson.coordinates];
+    case 'MultiPolygon':
+      return geojson.coordinates;
+    default:
+      throw badRequest(`Unsupported GeoJSON type "${geojson.type}" (use Polygon, MultiPolygon, Feature or FeatureCollection)`);
+  }
+};
+
+const validatePolygons = (polygons) => {
+  if (polygons.length === 0) throw badRequest('GeoJSON contains no polygons');
+  polygons.forEach(rings => {
+    if (!Array.isArray(rings) || rings.length === 0) throw badRequest('Polygon has no rings');
+    rings.forEach(ring => {
+      if (!Array.isArray(ring) || ring.length < 4 || !ring.every(isPosition)) {
+        throw badRequest('Each polygon ring needs at least 4 [lng, lat] positions');
+      }
+    });
+  });
+  return polygons;
+};
+
+// Parse a required numeric query parameter within a range
+const parseCoordinate = (value, name, min, max) => {
+  const number = parseFloat(value);
+  if (value === undefined || value === '' || isNaN(number) || number < min || number > max) {
+    throw badRequest(`${name} must be a number between ${min} and ${max}`);
+  }
+  return number;
+};
+
+// Bounding box from bbox=minLng,minLat,maxLng,maxLat or minLat/minLng/maxLat/maxLng params
+const parseBoundingBox = (query) => {
+  let values;
+  if (query.bbox) {
+    values = String(query.bbox).split(',');
+    if (values.length !== 4) throw badRequest('bbox must be minLng,minLat,maxLng,maxLat');
+  } else {
+    values = [query.minLng, query.minLat, query.maxLng, query.maxLat];
+  }
+
+  const [minLng, minLat, maxLng, maxLat] = [
+    parseCoordinate(values[0], 'minLng', -180, 180),
+    parseCoordinate(values[1], 'minLat', -90, 90),
+    parseCoordinate(values[2], 'maxLng', -180, 180),
+    parseCoordinate(values[3], 'maxLat', -90, 90)
+  ];
+  if (minLat > maxLat) throw badRequest('minLat must not be greater than maxLat');
+
+  return { minLng, minLat, maxLng, maxLat };
+};
+
+// Longitude test that also handles boxes crossing the antimeridian (minLng > maxLng)
+const inBoundingBox = (lat, lng, { minLng, minLat, maxLng, maxLat }) => {
+  if (lat < minLat || lat > maxLat) return false;
+  return minLng <= maxLng ? lng >= minLng && lng <= maxLng : lng >= minLng || lng <= maxLng;
+};
+
+// ---------------------------------------------------------------------------
+// Geotagging: positions for detections whose metadata has no coordinates,
+// interpolated from the gps_log.csv track by timestamp
+// ---------------------------------------------------------------------------
+
+const geotagConfig = {
+  enabled: process.env.GEOTAG_ENABLED ? process.env.GEOTAG_ENABLED !== 'false' : (config.geotag?.enabled ?? true),
+  // Largest gap between two GPS fixes that we are willing to interpolate across
+  maxGapSeconds: parseFloat(process.env.GEOTAG_MAX_GAP_SECONDS ?? config.geotag?.maxGapSeconds ?? 10)
+};
+
+// Time-sorted fixes from standardized gps_log points
+const buildTrack = (points) => points
+  .map(point => ({ time: point.timestampISO ? Date.parse(point.timestampISO) : null, latitude: point.latitude, longitude: point.longitude }))
+  .filter(fix => fix.time !== null)
+  .sort((a, b) => a.time - b.time);
+
+// Position at a time, linearly interpolated between the surrounding fixes
+const interpolatePosition = (track, time, maxGapMs) => {
+  if (track.length === 0 || time === null) return null;
+  if (time < track[0].time || time > track[track.length - 1].time) return null;
+
+  // Last fix at or before the requested time
+  let low = 0;
+  let high = track.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (track[middle].time <= time) low = middle;
+    else high = middle - 1;
+  }
+
+  const before = track[low];
+  if (before.time === time) return { latitude: before.latitude, longitude: before.longitude, gapSeconds: 0 };
+
+  const after = track[low + 1];
+  const gap = after.time - before.time;
+  if (gap > maxGapMs) return null;
+
+  const ratio = (time - before.time) / gap;
+  return {
+    latitude: before.latitude + (after.latitude - before.latitude) * ratio,
+    longitude: before.longitude + (after.longitude - before.longitude) * ratio,
+    gapSeconds: gap / 1000
+  };
+};
+
+// Add interpolated GPS points for records that have no coordinates of their own; each record is
+// positioned from the first track ({session, fixes}) covering its time, never between fixes of two
+// different logs, and remembers whose gps_log.csv placed it
+const geotagEntry = (entry, tracks) => {
+  const measured = entry.measuredGps || entry.gps;
+  entry.measuredGps = measured;
+
+  const measuredRecords = new Set(measured.map(point => point.recordIndex));
+  const points = [...measured];
+  const maxGapMs = geotagConfig.maxGapSeconds * 1000;
+
+  if (tracks.some(track => track.fixes.length > 0)) {
+    entry.records.forEach((record, recordIndex) => {
+      if (measuredRecords.has(recordIndex)) return;
+
+      const timestamp = getCanonicalValue(record, entry.schema, 'timestamp');
+      const parsed = parseTimestamp(timestamp, entry.clock);
+      let source = null;
+      const position = tracks.reduce((found, track) => {
+        if (found) return found;
+        source = track.session;
+        return interpolatePosition(track.fixes, parsed ? parsed.ms : null, maxGapMs);
+      }, null);
+      if (!position) return;
+
+      points.push({
+        latitude: position.latitude,
+        longitude: position.longitude,
+        timestamp,
+        timestampISO: new Date(parsed.ms).toISOString(),
+        session: entry.session,
+        camera: entry.camera,
+        anomalyType: entry.anomalyType,
+        recordIndex,
+        gpsSource: 'interpolated',
+        gpsLogSession: source,
+        interpolationGapSeconds: position.gapSeconds,
+        originalRecord: record
+      });
+    });
+  }
+
+  entry.gps = points.sort((a, b) => a.recordIndex - b.recordIndex);
+  entry.detections = buildDetections(entry);
+  return entry;
+};
+
+// ---------------------------------------------------------------------------
+// Metadata index: sessions, cameras, classes, records, images and GPS points
+// for each dataset, built once at startup and kept current by a file watcher
+// ---------------------------------------------------------------------------
+
+const indexConfig = {
+  watch: process.env.INDEX_WATCH ? process.env.INDEX_WATCH !== 'false' : (config.index?.watch ?? true),
+  debounceMs: parseInt(process.env.INDEX_DEBOUNCE_MS || config.index?.debounceMs || 500),
+  // Used when recursive fs.watch is not available on this platform
+  pollIntervalMs: parseInt(process.env.INDEX_POLL_INTERVAL_MS || config.index?.pollIntervalMs || 60000)
+};
+
+const datasetIndexes = new Map();
+
+const IMAGE_LINK_STRATEGIES = ['auto', 'filename', 'frame', 'timestamp', 'index'];
+
+// A configured strategy, or auto when it is not one we know (an unknown one would fail every index build)
+const configuredLinkStrategy = (strategy, source) => {
+  if (IMAGE_LINK_STRATEGIES.includes(strategy)) return strategy;
+  console.warn(`Ignoring image linking strategy "${strategy}" in ${source}: expected one of ${IMAGE_LINK_STRATEGIES.join(', ')}, using auto`);
+  return 'auto';
+};
+
+const imageLinkConfig = {
+  // filename, frame, timestamp, index, or auto (filename, then frame, then timestamp per record)
+  strategy: configuredLinkStrategy(
+    process.env.IMAGE_LINK_STRATEGY || config.imageLinking?.strategy || 'auto',
+    process.env.IMAGE_LINK_STRATEGY ? 'IMAGE_LINK_STRATEGY' : 'imageLinking.strategy'
+  ),
+  // Furthest a record's timestamp may be from the image's for the timestamp strategy
+  timestampToleranceSeconds: parseFloat(process.env.IMAGE_LINK_TOLERANCE_SECONDS || config.imageLinking?.timestampToleranceSeconds || 1)
+};
+
+(config.schema?.mappings || []).forEach((rule, i) => {
+  if (rule && rule.imageLinking) rule.imageLinking = configuredLinkStrategy(rule.imageLinking, `schema.mappings[${i}]`);
+});
+
+const COMPACT_TIME_PATTERN = /(\d{4})(\d{2})(\d{2})[_T-]?(\d{2})(\d{2})(\d{2})(?:[_.-]?(\d{1,3}))?/;
+
+// Capture time encoded in an image name (20250301_100000_123.jpg, 1740823200000.jpg, ISO), or null
+const imageNameTime = (name, clock) => {
+  const stem = name.replace(/\.[^.]+$/, '');
+  if (/^\d{10,}$/.test(stem) || /^\d{4}-\d{2}-\d{2}/.test(stem)) {
+    const parsed = parseTimestamp(stem.replace(/(T\d{2})-(\d{2})-(\d{2})/, '$1:$2:$3'), clock);
+    if (parsed) return parsed.ms;
+  }
+  const compact = COMPACT_TIME_PATTERN.exec(stem);
+  if (!compact) return null;
+  const [year, month, day, hour, minute, second] = compact.slice(1, 7).map(Number);
+  const millisecond = compact[7] ? Number(compact[7].padEnd(3, '0')) : 0;
+  return wallTimeToUtc(Date.UTC(year, month - 1, day, hour, minute, second, millisecond), clock.timezone) + clock.offsetMs;
+};
+
+// Link each metadata row to an image in the class's images/ folder; returns [{ imageName, imageLink }]
+const linkRecordImages = (entry, strategy = entry.schema.imageLinking || imageLinkConfig.strategy) => {
+  const names = entry.images.map(image => image.name);
+  const imageNames = new Set(names);
+  const clock = entry.clock || sessionClockConfig(entry.session);
+
+  // Lookups are only built when a strategy needs them
+  let byFrame = null;
+  let byTime = null;
+  const frameLookup = () => {
+    if (!byFrame) {
+      byFrame = new Map();
+      names.forEach(name => {
+        const match = /(\d+)(?!.*\d)/.exec(name.replace(/\.[^.]+$/, ''));
+        if (match && !byFrame.has(parseInt(match[1]))) byFrame.set(parseInt(match[1]), name);
+      });
+    }
+    return byFrame;
+  };
+  const timeLookup = () => {
+    if (!byTime) {
+      byTime = names
+        .map(name => ({ name, time: imageNameTime(name, clock) }))
+        .filter(image => image.time !== null)
+        .sort((a, b) => a.time - b.time);
+    }
+    return byTime;
+  };
+
+  const byFilename = (record) => {
+    const mapped = getCanonicalValue(record, entry.schema, 'image');
+    const values = mapped !== null ? [mapped, ...Object.values(record)] : Object.values(record);
+    for (const value of values) {
+      if (typeof value !== 'string' || value === '') continue;
+      const name = value.split(/[\\/]/).pop();
+      if (imageNames.has(name)) return name;
+    }
+    return null;
+  };
+  const byFrameNumber = (record) => {
+    const frame = parseInt(getCanonicalValue(record, entry.schema, 'frame'));
+    return isNaN(frame) ? null : frameLookup().get(frame) || null;
+  };
+  const byTimestamp = (record) => {
+    const parsed = parseTimestamp(getCanonicalValue(record, entry.schema, 'timestamp'), clock);
+    const images = timeLookup();
+    if (!parsed || images.length === 0) return null;
+    // First image at or after the record's time; the nearest is it or the one before
+    let low = 0;
+    let high = images.length - 1;
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      if (images[middle].time < parsed.ms) low = middle + 1;
+      else high = middle;
+    }
+    const nearest = [images[low - 1], images[low]]
+      .filter(Boolean)
+      .sort((a, b) => Math.abs(a.time - parsed.ms) - Math.abs(b.time - parsed.ms))[0];
+    return Math.abs(nearest.time - parsed.ms) <= imageLinkConfig.timestampToleranceSeconds * 1000 ? nearest.name : null;
+  };
+
+  const matchers = { filename: byFilename, frame: byFrameNumber, timestamp: byTimestamp };
+  const order = strategy === 'auto' ? ['filename', 'frame', 'timestamp'] : [strategy];
+
+  return entry.records.map((record, recordIndex) => {
+    if (strategy === 'index') {
+      return { imageName: names[recordIndex] || null, imageLink: names[recordIndex] ? 'index' : null };
+    }
+    for (const method of order) {
+      const imageName = matchers[method](record);
+      if (imageName) return { imageName, imageLink: method };
+    }
+    return { imageName: null, imageLink: null };
+  });
+};
+
+// Linked records, rows without an image and images no row points at
+const summarizeImageLinks = (entry, links) => {
+  const linkedImages = new Set(links.map(link => link.imageName).filter(Boolean));
+  return {
+    linkedRecords: links.filter(link => link.imageName).length,
+    byMethod: countBy(links.filter(link => link.imageLink), 'imageLink'),
+    recordsWithoutImage: links.map((link, recordIndex) => (link.imageName ? null : recordIndex)).filter(index => index !== null),
+    orphanImages: entry.images.map(image => image.name).filter(name => !linkedImages.has(name))
+  };
+};
+
+// Flatten each metadata row into a detection record carrying its location in the tree
+const buildDetections = (entry) => {
+  const gpsByRecord = new Map(entry.gps.map(point => [point.recordIndex, point]));
+  const links = linkRecordImages(entry);
+
+  return entry.records.map((record, recordIndex) => {
+    const gps = gpsByRecord.get(recordIndex);
+    return {
+      ...record,
+      ...canonicalFields(record, entry.schema),
+      timestampISO: normalizeTimestamp(getCanonicalValue(record, entry.schema, 'timestamp'), entry.clock),
+      id: `${entry.session}/${entry.camera}/${entry.anomalyType}/${recordIndex}`,
+      session: entry.session,
+      camera: entry.camera,
+      anomalyType: entry.anomalyType,
+      recordIndex,
+      latitude: gps ? gps.latitude : null,
+      longitude: gps ? gps.longitude : null,
+      hasGPS: Boolean(gps),
+      gpsSource: gps ? gps.gpsSource : null,
+      gpsLogSession: gps && gps.gpsLogSession ? gps.gpsLogSession : null,
+      imageName: links[recordIndex].imageName,
+      imageLink: links[recordIndex].imageLink
+    };
+  });
+};
+
+// Add the /data and /thumbs URLs of a detection's image for the dataset it was requested from
+const withImageUrl = (dataset, detection) => ({
+  ...detection,
+  imageUrl: detection.imageName
+    ? dataUrl(dataset, detection.session, detection.camera, detection.anomalyType, 'images', detection.imageName)
+    : null,
+  thumbnailUrl: detection.imageName
+    ? thumbnailUrl(dataset, detection.session, detection.camera, detection.anomalyType, 'images', detection.imageName)
+    : null
+});
+
+// Read one metadata.csv with its GPS points and images/ folder
+const loadIndexEntry = async (file) => {
+  const classDir = path.dirname(file.path);
+  const entry = {
+    ...file,
+    key: file.relativeDir,
+    records: [],
+    schema: resolveSchema([], file),
+    clock: sessionClockConfig(file.session),
+    gps: [],
+    images: [],
+    hasImagesDir: fsSync.existsSync(path.join(classDir, 'images')),
+    modified: null,
+    loadedAt: new Date().toISOString(),
+    error: null
+  };
+
+  try {
+    const stat = await fs.stat(file.path);
+    entry.modified = stat.mtime;
+    entry.records = await readCSV(file.path);
+    entry.schema = resolveSchema(entry.records, file);
+    entry.gps = extractGPSData(entry.records, file.session, file.camera, file.anomalyType, entry.schema);
+  } catch (error) {
+    console.error(`Error indexing ${file.path}:`, error.message);
+    entry.error = error.message;
+  }
+
+  entry.images = await getImagesInDirectory(path.join(classDir, 'images'));
+  entry.detections = buildDetections(entry);
+  return entry;
+};
+
+// Create the index for a dataset; call build() to populate it
+const createDatasetIndex = (dataset) => {
+  const entries = new Map();
+  const sessionFiles = new Map();
+  const tracks = new Map();
+  const clocks = new Map();
+  const pendingTimers = new Map();
+
+  const index = {
+    dataset,
+    status: 'idle',
+    lastRefresh: null,
+    lastBuildDurationMs: null,
+    lastError: null,
+    incrementalUpdates: 0,
+    watchMode: 'none',
+    watcher: null,
+    pollTimer: null,
+    buildPromise: null
+  };
+
+  const sortEntries = (list) => list.sort((a, b) => {
+    if (a.session !== b.session) return a.session.localeCompare(b.session);
+    if (a.camera !== b.camera) return a.camera.localeCompare(b.camera);
+    return a.anomalyType.localeCompare(b.anomalyType);
+  });
+
+  const touch = () => {
+    index.lastRefresh = new Date().toISOString();
+  };
+
+  // GPS tracks used to geotag a session: its own gps_log.csv, or every log in the dataset kept
+  // as separate tracks, so a detection is only placed within the span of a single drive's log
+  const getTracks = async (session) => {
+    if (!tracks.has(session)) {
+      tracks.set(session, (async () => {
+        const sessionsWithLog = await index.findSessionFiles('gps_log.csv');
+        const sources = sessionsWithLog.includes(session) ? [session] : sessionsWithLog;
+        const sessionTracks = [];
+        for (const source of sources) {
+          try {
+            const points = standardizeGpsLog(await index.getSessionCSV(source, 'gps_log.csv'), source, undefined, await getSessionClock(source));
+            sessionTracks.push({ session: source, fixes: buildTrack(points) });
+          } catch (error) {
+            console.error(`Error reading GPS log for ${dataset.id}:${source}:`, error.message);
+          }
+        }
+        return sessionTracks;
+      })());
+    }
+    return tracks.get(session);
+  };
+
+  // Session clock with the 1970 correction learned from its own gps_log.csv, or any log in the dataset
+  const getSessionClock = async (session) => {
+    if (!clocks.has(session)) {
+      clocks.set(session, (async () => {
+        const clock = sessionClockConfig(session);
+        if (!timestampConfig.gpsCorrection) return clock;
+        const sessionsWithLog = await index.findSessionFiles('gps_log.csv');
+        const sources = sessionsWithLog.includes(session) ? [session] : sessionsWithLog;
+        for (const source of sources) {
+          try {
+            const correction = estimateClockCorrection(await index.getSessionCSV(source, 'gps_log.csv'), source, clock);
+            if (correction) return { ...clock, ...correction };
+          } catch (error) {
+            console.error(`Error reading GPS log for ${dataset.id}:${source}:`, error.message);
+          }
+        }
+        return clock;
+      })());
+    }
+    return clocks.get(session);
+  };
+
+  // Normalise timestamps with the session clock, then geotag from the GPS track
+  const applySessionData = async (entry) => {
+    if (entry.error) return entry;
+    entry.clock = await getSessionClock(entry.session);
+    entry.gps = extractGPSData(entry.records, entry.session, entry.camera, entry.anomalyType, entry.schema, entry.clock);
+    entry.measuredGps = entry.gps;
+    if (!geotagConfig.enabled) {
+      entry.detections = buildDetections(entry);
+      return entry;
+    }
+    return geotagEntry(entry, await getTracks(entry.session));
+  };
+
+  // Re-normalise and re-geotag every entry after a gps_log.csv change
+  const regeotag = async () => {
+    tracks.clear();
+    clocks.clear();
+    for (const entry of entries.values()) {
+      await applySessionData(entry);
+    }
+    index.incrementalUpdates++;
+    touch();
+  };
+
+  // Full rebuild: walk the tree and (re)load every metadata.csv
+  index.build = () => {
+    const started = Date.now();
+    index.status = 'building';
+
+    index.buildPromise = (async () => {
+      try {
+        const files = await scanForMetadataFiles(dataset);
+        const loaded = [];
+        for (const file of files) {
+          loaded.push(await loadIndexEntry(file));
+        }
+
+        sessionFiles.clear();
+        tracks.clear();
+        clocks.clear();
+        for (const entry of loaded) {
+          await applySessionData(entry);
+        }
+        entries.clear();
+        loaded.forEach(entry => entries.set(entry.key, entry));
+
+        index.status = 'ready';
+        index.lastError = null;
+        index.lastBuildDurationMs = Date.now() - started;
+        touch();
+        console.log(`📚 Indexed dataset ${dataset.id}: ${entries.size} metadata files in ${index.lastBuildDurationMs}ms`);
+      } catch (error) {
+        index.status = 'error';
+        index.lastError = error.message;
+        console.error(`Error building index for dataset ${dataset.id}:`, error.message);
+      }
+      return index;
+    })();
+
+    return index.buildPromise;
+  };
+
+  // Resolves once the first build has finished
+  index.ready = async () => {
+    if (!index.buildPromise) index.build();
+    await index.buildPromise;
+    return index;
+  };
+
+  // Re-read a single class directory (metadata.csv and images/)
+  const refreshEntry = async (relativeDir) => {
+    const metadataPath = path.join(dataset.path, relativeDir, 'metadata.csv');
+    if (!fsSync.existsSync(metadataPath)) {
+      if (entries.delete(relativeDir)) {
+        console.log(`📚 Removed ${dataset.id}:${relativeDir} from index`);
+      }
+    } else {
+      entries.set(relativeDir, await applySessionData(await loadIndexEntry({
+        datasetId: dataset.id,
+        path: metadataPath,
+        relativePath: path.join(relativeDir, 'metadata.csv'),
+        relativeDir,
+        ...describeMetadataDirectory(relativeDir)
+      })));
+    }
+    index.incrementalUpdates++;
+    touch();
+  };
+
+  // Re-walk the tree and pick up added or removed class directories
+  const reconcile = async () => {
+    const files = await scanForMetadataFiles(dataset);
+    const found = new Set(files.map(file => file.relativeDir));
+
+    for (const key of [...entries.keys()]) {
+      if (!found.has(key)) entries.delete(key);
+    }
+    for (const file of files) {
+      const existing = entries.get(file.relativeDir);
+      let modified = null;
+      try {
+        modified = (await fs.stat(file.path)).mtime;
+      } catch (error) {
+        continue;
+      }
+      if (!existing || !existing.modified || existing.modified.getTime() !== modified.getTime()) {
+        entries.set(file.relativeDir, await applySessionData(await loadIndexEntry(file)));
+      }
+    }
+    sessionFiles.clear();
+    if (tracks.size > 0) schedule('geotag', regeotag);
+    index.incrementalUpdates++;
+    touch();
+  };
+
+  // Debounce bursts of events (a camera writing many frames) per key
+  const schedule = (key, task) => {
+    clearTimeout(pendingTimers.get(key));
+    pendingTimers.set(key, setTimeout(async () => {
+      pendingTimers.delete(key);
+      try {
+        await index.ready();
+        await task();
+      } catch (error) {
+        console.error(`Error updating index for dataset ${dataset.id}:`, error.message);
+      }
+    }, indexConfig.debounceMs));
+  };
+
+  // Map a changed path (relative to the data root) onto the part of the index it affects
+  const handleChange = (filename) => {
+    if (!filename) {
+      schedule('*', reconcile);
+      return;
+    }
+
+    const relative = filename.toString();
+    const parts = relative.split(path.sep);
+    const imagesIndex = parts.indexOf('images');
+
+    if (imagesIndex > 0) {
+      const relativeDir = parts.slice(0, imagesIndex).join(path.sep);
+      schedule(relativeDir, () => refreshEntry(relativeDir));
+    } else if (parts[parts.length - 1] === 'metadata.csv') {
+      const relativeDir = parts.slice(0, -1).join(path.sep);
+      schedule(relativeDir, () => refreshEntry(relativeDir));
+    } else if (parts.length === 2 && relative.endsWith('.csv')) {
+      sessionFiles.delete(relative);
+      if (parts[1] === 'gps_log.csv') schedule('geotag', regeotag);
+      touch();
+    } else if (!path.extname(relative)) {
+      // Directory added, removed or renamed
+      schedule('*', reconcile);
+    }
+  };
+
+  index.startWatching = () => {
+    if (!indexConfig.watch || index.watcher || index.pollTimer) return;
+
+    try {
+      index.watcher = fsSync.watch(dataset.path, { recursive: true }, (eventType, filename) => handleChange(filename));
+      index.watcher.on('error', (error) => {
+        console.error(`File watcher error for dataset ${dataset.id}:`, error.message);
+      });
+      index.watchMode = 'fs.watch';
+    } catch (error) {
+      console.warn(`Recursive file watching unavailable for dataset ${dataset.id} (${error.message}), polling every ${indexConfig.pollIntervalMs}ms`);
+      index.pollTimer = setInterval(() => schedule('*', reconcile), indexConfig.pollIntervalMs);
+      index.pollTimer.unref();
+      index.watchMode = 'poll';
+    }
+  };
+
+  index.close = () => {
+    if (index.watcher) index.watcher.close();
+    if (index.pollTimer) clearInterval(index.pollTimer);
+    pendingTimers.forEach(timer => clearTimeout(timer));
+    pendingTimers.clear();
+    index.watcher = null;
+    index.pollTimer = null;
+    index.watchMode = 'none';
+  };
+
+  // Indexed metadata files, optionally filtered by session/camera/anomalyType
+  index.getEntries = ({ session, camera, anomalyType } = {}) => sortEntries([...entries.values()].filter(entry => {
+    if (session && entry.session !== session) return false;
+    if (camera && entry.camera !== camera) return false;
+    if (anomalyType && entry.anomalyType !== anomalyType) return false;
+    return true;
+  }));
+
+  // Individual detection records across the matching metadata files
+  index.getDetections = (filters = {}) => index.getEntries(filters).flatMap(entry => entry.detections || []);
+
+  index.getEntry = (session, camera, anomalyType) => {
+    for (const entry of entries.values()) {
+      if (entry.session === session && entry.camera === camera && entry.anomalyType === anomalyType) {
+        return entry;
+      }
+    }
+    return null;
+  };
+
+  index.getSessionClock = getSessionClock;
+
+  // Session-level CSV files (gps_log.csv, system_metrics.csv), read once and cached until they change
+  index.getSessionCSV = async (session, fileName) => {
+    const relative = path.join(session, fileName);
+    if (!sessionFiles.has(relative)) {
+      const promise = readCSV(path.join(dataset.path, relative));
+      sessionFiles.set(relative, promise);
+      promise.catch(() => sessionFiles.delete(relative));
+    }
+    return sessionFiles.get(relative);
+  };
+
+  // Sessions (top-level folders) that contain a given session-level file, e.g. gps_log.csv
+  index.findSessionFiles = async (fileName) => {
+    let items = [];
+    try {
+      items = await fs.readdir(dataset.path, { withFileTypes: true });
+    } catch (error) {
+      return [];
+    }
+    return items
+      .filter(item => item.isDirectory() && fsSync.existsSync(path.join(dataset.path, item.name, fileName)))
+      .map(item => item.name)
+      .sort();
+  };
+
+  index.describe = () => {
+    const list = [...entries.values()];
+    return {
+      datasetId: dataset.id,
+      status: index.status,
+      lastRefresh: index.lastRefresh,
+      lastBuildDurationMs: index.lastBuildDurationMs,
+      lastError: index.lastError,
+      incrementalUpdates: index.incrementalUpdates,
+      watching: index.watchMode,
+      counts: {
+        sessions: new Set(list.map(entry => entry.session)).size,
+        cameras: new Set(list.map(entry => `${entry.session}/${entry.camera}`)).size,
+        classes: new Set(list.map(entry => entry.anomalyType)).size,
+        metadataFiles: list.length,
+        records: list.reduce((sum, entry) => sum + entry.records.length, 0),
+        images: list.reduce((sum, entry) => sum + entry.images.length, 0),
+        gpsPoints: list.reduce((sum, entry) => sum + entry.gps.length, 0),
+        gpsPointsInterpolated: list.reduce((sum, entry) => sum + entry.gps.filter(point => point.gpsSource === 'interpolated').length, 0),
+        filesWithErrors: list.filter(entry => entry.error).length
+      }
+    };
+  };
+
+  return index;
+};
+
+// Get (creating and building on first use) the index for a dataset
+const getDatasetIndex = (dataset) => {
+  let index = datasetIndexes.get(dataset.id);
+  if (!index || index.dataset !== dataset) {
+    index = createDatasetIndex(dataset);
+    datasetIndexes.set(dataset.id, index);
+    index.build();
+    index.startWatching();
+  }
+  return index;
+};
+
+// View of an index limited to the sessions and cameras a user may access
+const scopeIndex = (index, user) => {
+  if (!user || (!user.sessions && !user.cameras)) return index;
+  const allowed = (entry) => canAccess(user, { session: entry.session, camera: entry.camera });
+
+  // A session without its own gps_log.csv is geotagged from other sessions' logs; positions
+  // taken from a log the user may not read are left out, as the log itself would be
+  const hiddenLog = (point) => point.gpsLogSession && !canAccess(user, { session: point.gpsLogSession });
+  const visible = (entry) => {
+    if (!user.sessions || entry.error || !(entry.gps || []).some(hiddenLog)) return entry;
+    const hidden = new Set(entry.gps.filter(hiddenLog).map(point => point.recordIndex));
+    return {
+      ...entry,
+      gps: entry.gps.filter(point => !hidden.has(point.recordIndex)),
+      detections: entry.detections.map(detection => (hidden.has(detection.recordIndex)
+        ? { ...detection, latitude: null, longitude: null, hasGPS: false, gpsSource: null, gpsLogSession: null }
+        : detection))
+    };
+  };
+
+  return Object.assign(Object.create(index), {
+    getEntries: (filters) => index.getEntries(filters).filter(allowed).map(visible),
+    getDetections: (filters) => index.getEntries(filters).filter(allowed).flatMap(entry => visible(entry).detections || []),
+    getEntry: (session, camera, anomalyType) => {
+      const entry = canAccess(user, { session, camera }) ? index.getEntry(session, camera, anomalyType) : null;
+      return entry ? visible(entry) : null;
+    },
+    getSessionCSV: async (session, fileName) => {
+      if (!canAccess(user, { session })) throw forbidden(`Access denied to session ${session}`);
+      return index.getSessionCSV(session, fileName);
+    },
+    findSessionFiles: async (fileName) => (await index.findSessionFiles(fileName)).filter(session => canAccess(user, { session }))
+  });
+};
+
+// Wait for a dataset's index to be built and return it, limited to what the user may see
+const indexReady = async (dataset, user = null) => scopeIndex(await getDatasetIndex(dataset).ready(), user);
+
+const closeDatasetIndex = (datasetId) => {
+  const index = datasetIndexes.get(datasetId);
+  if (index) {
+    index.close();
+    datasetIndexes.delete(datasetId);
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Reviews: verdicts, relabels, notes, tags and corrected boxes for individual
+// detections, kept in a JSON file per dataset under the state directory
+// ---------------------------------------------------------------------------
+
+const stateDir = path.resolve(process.env.STATE_DIR || config.stateDir || path.join(__dirname, '.state'));
+
+const REVIEW_VERDICTS = ['true_positive', 'false_positive'];
+const REVIEW_STATUSES = ['unreviewed', 'in_review', 'confirmed', 'rejected'];
+const REVIEW_FIELDS = ['verdict', 'label', 'notes', 'tags', 'addTags', 'removeTags', 'bbox', 'reviewer'];
+
+const reviewStores = new Map();
+
+// Review store for a dataset: loaded once, written back after every change
+const createReviewStore = (dataset) => {
+  const filePath = path.join(stateDir, 'reviews', `${dataset.id}.json`);
+  const reviews = new Map();
+  let writeChain = Promise.resolve();
+
+  if (fsSync.existsSync(filePath)) {
+    try {
+      const saved = JSON.parse(fsSync.readFileSync(filePath, 'utf8'));
+      Object.entries(saved.reviews || {}).forEach(([id, review]) => reviews.set(id, review));
+    } catch (error) {
+      console.error(`Could not read reviews for dataset ${dataset.id} (${filePath}):`, error.message);
+    }
+  }
+
+  // Writes are chained so a slow write never lands after a newer one
+  const persist = () => {
+    const snapshot = JSON.stringify({ datasetId: dataset.id, savedAt: new Date().toISOString(), reviews: Object.fromEntries(reviews) }, null, 2);
+    writeChain = writeChain.catch(() => {}).then(async () => {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, snapshot);
+      await fs.rename(tempPath, filePath);
+    });
+    return writeChain;
+  };
+
+  return {
+    filePath,
+    get: (id) => reviews.get(id) || null,
+    all: () => [...reviews.values()],
+    set: async (id, review) => {
+      reviews.set(id, review);
+      await persist();
+      return review;
+    },
+    delete: async (id) => {
+      const existed = reviews.delete(id);
+      if (existed) await persist();
+      return existed;
+    },
+    size: () => reviews.size
+  };
+};
+
+const getReviewStore = (dataset) => {
+  let store = reviewStores.get(dataset.id);
+  if (!store) {
+    store = createReviewStore(dataset);
+    reviewStores.set(dataset.id, store);
+  }
+  return store;
+};
+
+// Review status of a detection: unreviewed, in_review (notes/tags only), confirmed or rejected
+const reviewStatus = (review) => {
+  if (!review) return 'unreviewed';
+  if (review.verdict === 'true_positive') return 'confirmed';
+  if (review.verdict === 'false_positive') return 'rejected';
+  return 'in_review';
+};
+
+// Review fields merged into detection and metadata records
+const reviewFields = (review) => ({
+  reviewStatus: reviewStatus(review),
+  reviewLabel: review ? review.label : null,
+  reviewTags: review ? review.tags : [],
+  reviewNotes: review ? review.notes : null,
+  reviewer: review ? review.reviewer : null,
+  reviewedAt: review ? review.updatedAt : null
+});
+
+const withReview = (store, detection) => ({ ...detection, ...reviewFields(store.get(detection.id)) });
+
+// An entry's metadata rows and GPS points with the review fields of the record behind them,
+// and the records each image is linked to with their review status
+const reviewedEntry = (store, entry) => {
+  const fields = entry.detections.map(detection => reviewFields(store.get(detection.id)));
+  const recordsByImage = new Map();
+  entry.detections.forEach((detection, recordIndex) => {
+    if (!detection.imageName) return;
+    if (!recordsByImage.has(detection.imageName)) recordsByImage.set(detection.imageName, []);
+    recordsByImage.get(detection.imageName).push({ recordIndex, reviewStatus: fields[recordIndex].reviewStatus });
+  });
+  return {
+    records: entry.records.map((record, recordIndex) => ({ ...record, ...fields[recordIndex] })),
+    gps: entry.gps.map(point => ({ ...point, ...(fields[point.recordIndex] || {}) })),
+    imageRecords: (image) => recordsByImage.get(image.name) || []
+  };
+};
+
+// Parse a corrected box given as {x1, y1, x2, y2} or [x1, y1, x2, y2]
+const parseReviewBox = (value) => {
+  if (value === null) return null;
+  const values = Array.isArray(value) ? value : [value.x1, value.y1, value.x2, value.y2];
+  const numbers = values.map(Number);
+  if (numbers.length !== 4 || numbers.some(number => isNaN(number)) || numbers[2] < numbers[0] || numbers[3] < numbers[1]) {
+    throw badRequest('bbox must be {x1, y1, x2, y2} (or an array) with x2 >= x1 and y2 >= y1');
+  }
+  const [x1, y1, x2, y2] = numbers;
+  return { x1, y1, x2, y2 };
+};
+
+// Apply a PATCH body to a review, validating every field and recording the change in its history
+const applyReviewChange = (existing, body, reviewer) => {
+  const unknown = Object.keys(body).filter(field => !REVIEW_FIELDS.includes(field));
+  if (unknown.length > 0) throw badRequest(`Unknown review field(s): ${unknown.join(', ')}`);
+
+  const tagList = (value, name) => {
+    if (!Array.isArray(value) || value.some(tag => typeof tag !== 'string' || tag.trim() === '')) {
+      throw badRequest(`${name} must be an array of non-empty strings`);
+    }
+    return value.map(tag => tag.trim());
+  };
+  const text = (value, name) => {
+    if (value !== null && typeof value !== 'string') throw badRequest(`${name} must be a string or null`);
+    return value === null || value.trim() === '' ? null : value.trim();
+  };
+
+  const changes = {};
+  if (body.verdict !== undefined) {
+    if (body.verdict !== null && !REVIEW_VERDICTS.includes(body.verdict)) {
+      throw badRequest(`verdict must be one of ${REVIEW_VERDICTS.join(', ')} or null`);
+    }
+    changes.verdict = body.verdict;
+  }
+  if (body.label !== undefined) changes.label = text(body.label, 'label');
+  if (body.notes !== undefined) changes.notes = text(body.notes, 'notes');
+  if (body.bbox !== undefined) changes.bbox = parseReviewBox(body.bbox);
+
+  let tags = existing ? existing.tags : [];
+  if (body.tags !== undefined) tags = tagList(body.tags, 'tags');
+  if (body.addTags !== undefined) tags = [...tags, ...tagList(body.addTags, 'addTags')];
+  if (body.removeTags !== undefined) {
+    const removed = new Set(tagList(body.removeTags, 'removeTags'));
+    tags = tags.filter(tag => !removed.has(tag));
+  }
+  if (body.tags !== undefined || body.addTags !== undefined || body.removeTags !== undefined) changes.tags = [...new Set(tags)];
+
+  if (Object.keys(changes).length === 0) throw badRequest(`Nothing to change; send one of ${REVIEW_FIELDS.filter(field => field !== 'reviewer').join(', ')}`);
+
+  const now = new Date().toISOString();
+  const base = existing || { verdict: null, label: null, notes: null, tags: [], bbox: null, createdAt: now, history: [] };
+  return {
+    ...base,
+    ...changes,
+    reviewer,
+    updatedAt: now,
+    history: [...base.history, { reviewer, at: now, changes }]
+  };
+};
+
+// Reviewer name: the authenticated user, or (without authentication) the body or X-Reviewer header
+const requireReviewer = (req) => {
+  if (req.user) return req.user.name;
+  const reviewer = (req.body && req.body.reviewer) || req.get('X-Reviewer');
+  if (!reviewer || typeof reviewer !== 'string' || reviewer.trim() === '') {
+    throw badRequest('reviewer is required (body field or X-Reviewer header)');
+  }
+  return reviewer.trim();
+};
+
+const parseReviewStatusFilter = (value) => {
+  if (value === undefined) return null;
+  const statuses = toList(value);
+  const invalid = statuses.filter(status => !REVIEW_STATUSES.includes(status));
+  if (invalid.length > 0) throw badRequest(`reviewStatus must be one of ${REVIEW_STATUSES.join(', ')}`);
+  return new Set(statuses);
+};
+
+// ---------------------------------------------------------------------------
+// Audit log: who viewed, exported or changed what. Append-only NDJSON files
+// under the state directory, one per day (split when they grow too large),
+// deleted after the retention period
+// ---------------------------------------------------------------------------
+
+const auditConfig = {
+  enabled: process.env.AUDIT_ENABLED ? process.env.AUDIT_ENABLED !== 'false' : (config.audit?.enabled ?? true),
+  dir: path.resolve(process.env.AUDIT_DIR || config.audit?.dir || path.join(stateDir, 'audit')),
+  maxFileBytes: parseFloat(process.env.AUDIT_MAX_FILE_MB || config.audit?.maxFileMB || 50) * 1024 * 1024,
+  retentionDays: parseInt(process.env.AUDIT_RETENTION_DAYS || config.audit?.retentionDays || 365),
+  // Days before endDate (or now) a query covers when it gives no startDate
+  queryDays: parseInt(process.env.AUDIT_QUERY_DAYS || config.audit?.queryDays || 7)
+};
+
+// audit-2026-03-01.ndjson, then audit-2026-03-01.1.ndjson, ... once a file reaches maxFileBytes
+const AUDIT_FILE_PATTERN = /^audit-(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.ndjson$/;
+
+const listAuditFiles = async () => {
+  let names = [];
+  try {
+    names = await fs.readdir(auditConfig.dir);
+  } catch (error) {
+    return [];
+  }
+  return names
+    .map(name => {
+      const match = name.match(AUDIT_FILE_PATTERN);
+      return match && { name, day: match[1], sequence: parseInt(match[2] || 0) };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.day.localeCompare(b.day) || a.sequence - b.sequence);
+};
+
+// Delete log files older than the retention period
+const pruneAuditLog = async () => {
+  const cutoff = new Date(Date.now() - auditConfig.retentionDays * 86400000).toISOString().slice(0, 10);
+  const expired = (await listAuditFiles()).filter(file => file.day < cutoff);
+  await Promise.all(expired.map(file => fs.unlink(path.join(auditConfig.dir, file.name)).catch(() => {})));
+  return expired.length;
+};
+
+const AUDIT_READ_BLOCK_BYTES = 64 * 1024;
+
+// Lines of a file from the last to the first, read in blocks from the end
+const readLinesBackwards = async function* (filePath) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    let position = size;
+    let rest = Buffer.alloc(0);
+    while (position > 0) {
+      const length = Math.min(AUDIT_READ_BLOCK_BYTES, position);
+      position -= length;
+      const block = Buffer.alloc(length);
+      await handle.read(block, 0, length, position);
+      // Splitting on the newline byte is safe in UTF-8; the part before the first one continues in the previous block
+      const buffer = Buffer.concat([block, rest]);
+      let end = buffer.length;
+      for (let i = buffer.length - 1; i >= 0; i--) {
+        if (buffer[i] !== 0x0a) continue;
+        if (end > i + 1) yield buffer.toString('utf8', i + 1, end);
+        end = i;
+      }
+      rest = buffer.subarray(0, end);
+    }
+    if (rest.length > 0) yield rest.toString('utf8');
+  } finally {
+    await handle.close();
+  }
+};
+
+const createAuditLog = () => {
+  let current = null;
+  let writeChain = Promise.resolve();
+
+  // File for the next line: continue today's latest file, start a new one on a new day or when full
+  const targetFile = async (day, bytes) => {
+    if (!current || current.day !== day) {
+      await fs.mkdir(auditConfig.dir, { recursive: true });
+      const latest = (await listAuditFiles()).filter(file => file.day === day).pop();
+      const size = latest ? (await fs.stat(path.join(auditConfig.dir, latest.name))).size : 0;
+      current = { day, sequence: latest ? latest.sequence : 0, size };
+      await pruneAuditLog();
+    }
+    if (current.size > 0 && current.size + bytes > auditConfig.maxFileBytes) {
+      current = { day, sequence: current.sequence + 1, size: 0 };
+    }
+    return path.join(auditConfig.dir, `audit-${day}${current.sequence ? `.${current.sequence}` : ''}.ndjson`);
+  };
+
+  // Writes are chained so lines never interleave and rotation sees every size change
+  const append = (event) => {
+    const line = JSON.stringify(event) + '\n';
+    const bytes = Buffer.byteLength(line);
+    writeChain = writeChain.then(async () => {
+      const filePath = await targetFile(event.time.slice(0, 10), bytes);
+      await fs.appendFile(filePath, line, { mode: 0o600 });
+      current.size += bytes;
+    }).catch(error => console.error('Could not write audit log:', error.message));
+    return writeChain;
+  };
+
+  // Events between two times (ISO strings), oldest or newest first, read one line at a time
+  // so a query never holds more of the log than the caller keeps
+  const read = async function* ({ from, to, newestFirst = false } = {}) {
+    await writeChain;
+    const files = (await listAuditFiles()).filter(file =>
+      (!from || file.day >= from.slice(0, 10)) && (!to || file.day <= to.slice(0, 10)));
+    if (newestFirst) files.reverse();
+
+    for (const file of files) {
+      const filePath = path.join(auditConfig.dir, file.name);
+      const lines = newestFirst
+        ? readLinesBackwards(filePath)
+        : readline.createInterface({ input: createReadStream(filePath), crlfDelay: Infinity });
+      try {
+        for await (const line of lines) {
+          if (!line) continue;
+          let event;
+          try {
+            event = JSON.parse(line);
+          } catch (error) {
+            // A partially written last line is skipped
+            continue;
+          }
+          if ((!from || event.time >= from) && (!to || event.time <= to)) yield event;
+        }
+      } catch (error) {
+        // A file pruned while it was being read ends early
+      }
+    }
+  };
+
+  return { append, read };
+};
+
+const auditLog = createAuditLog();
+
+// Session / camera / class / file an audited request touched, from its route params,
+// its validated file path (/data, /thumbs, /list), its filter query, or res.locals.auditFile
+const auditResource = (req, res, params) => {
+  const fromQuery = (name) => (typeof req.query[name] === 'string' && req.query[name]) || null;
+  // Leading folders of a file path are session/camera/class (F2/gps_log.csv only names a session)
+  const parts = req.dataPath ? req.dataPath.relative.split('/').filter(Boolean) : [];
+  const lastFolder = parts.findIndex(part => path.extname(part));
+  const [session, camera, anomalyType] = lastFolder === -1 ? parts : parts.slice(0, lastFolder);
+  return {
+    datasetId: req.dataset ? req.dataset.id : params.datasetId || null,
+    session: params.session || session || fromQuery('session'),
+    camera: params.camera || camera || fromQuery('camera'),
+    anomalyType: params.anomalyType || anomalyType || fromQuery('anomalyType'),
+    recordIndex: params.recordIndex !== undefined ? parseInt(params.recordIndex) : null,
+    file: res.locals.auditFile || (req.dataPath && req.dataPath.relative) || null
+  };
+};
+
+// Route middleware: log the request once its response has been sent (including refusals),
+// or once the client has gone away in the middle of it (aborted streams are still logged)
+const audited = (action) => (req, res, next) => {
+  if (!auditConfig.enabled) return next();
+  // Read now: the socket's address is gone once an aborted client has disconnected, and Express
+  // unsets req.params when a request falls through a mount such as /data to the 404 handler
+  const ip = req.ip;
+  const params = { ...req.params };
+  let logged = false;
+  const log = () => {
+    if (logged) return;
+    logged = true;
+    const query = { ...req.query };
+    delete query.access_token;
+    auditLog.append({
+      time: new Date().toISOString(),
+      action,
+      user: req.user ? req.user.name : (action === 'login' && req.body && typeof req.body.username === 'string' ? req.body.username : null),
+      credential: req.user ? req.user.kind : null,
+      role: req.user ? req.user.role : null,
+      ip,
+      method: req.method,
+      route: req.originalUrl.split('?')[0],
+      query: Object.keys(query).length > 0 ? query : undefined,
+      status: res.statusCode,
+      aborted: res.writableFinished ? undefined : true,
+      ...auditResource(req, res, params)
+    });
+  };
+  res.on('finish', log);
+  res.on('close', log);
+  next();
+};
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+  res.json({ status: 'OK', message: 'Surveillance server is running' });
+});
+
+// Get GPS data from F2/gps_log.csv
+api.get('/gps-data', async (req, res) => {
+  try {
+    const index = await indexReady(req.dataset, req.user);
+    const gpsData = await index.getSessionCSV('F2', 'gps_log.csv');
+    
+    res.json({
+      success: true,
+      count: gpsData.length,
+      data: gpsData,
+      metadata: {
+        source: 'F2/gps_log.csv',
+        type: 'GPS tracking data'
+      }
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      message: 'Failed to read GPS data'
+    });
+  }
+});
+
+// NEW: Get all GPS data from metadata files across all cameras and sessions
+api.get('/gps-data/metadata', async (req, res) => {
+  try {
+    const index = await indexReady(req.dataset, req.user);
+    const metadataFiles = index.getEntries();
+    const allGPSData = [];
+    const gpsStats = {
+      totalFiles: metadataFiles.length,
+      filesWithGPS: 0,
+      totalGPSPoints: 0,
+      measuredPoints: 0,
+      interpolatedPoints: 0,
+      sessions: {},
+      cameras: {},
+      anomalyTypes: {}
+    };
+    
+    for (const file of metadataFiles) {
+      try {
+        const gpsData = file.gps;
+        
+        if (gpsData.length > 0) {
+          gpsStats.filesWithGPS++;
+          gpsStats.totalGPSPoints += gpsData.length;
+          gpsStats.interpolatedPoints += gpsData.filter(point => point.gpsSource === 'interpolated').length;
+          gpsStats.measuredPoints = gpsStats.totalGPSPoints - gpsStats.interpolatedPoints;
+          
+          // Update stats
+          if (!gpsStats.sessions[file.session]) gpsStats.sessions[file.session] = 0;
+          if (!gpsStats.cameras[file.camera]) gpsStats.cameras[file.camera] = 0;
+          if (!gpsStats.anomalyTypes[file.anomalyType]) gpsStats.anomalyTypes[file.anomalyType] = 0;
+          
+          gpsStats.sessions[file.session] += gpsData.length;
+          gpsStats.cameras[file.camera] += gpsData.length;
+          gpsStats.anomalyTypes[file.anomalyType] += gpsData.length;
+          
+          allGPSData.push(...gpsData);
+        }
+      } catch (error) {
+        console.error(`Error processing GPS data from ${file.path}:`, error.message);
+      }
+    }
+    
+    // Sort by timestamp if available
+    allGPSData.sort((a, b) => {
+      if (a.timestampISO && b.timestampISO) {
+        return Date.parse(a.timestampISO) - Date.parse(b.timestampISO);
+      }
+      return 0;
+    });
+    
+    res.json({
+      success: true,
+      count: allGPSData.length,
+      data: allGPSData,
+      statistics: gpsStats,
+      metadata: {
+        source: 'All metadata.csv files',
+        type: 'GPS data extracted from anomaly detection metadata',
+        description: 'GPS coordinates found in metadata files across all cameras and sessions'
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Failed to extract GPS data from metadata files'
+    });
+  }
+});
+
+// NEW: Get combined GPS data from both gps_log.csv and metadata files
+api.get('/gps-data/combined', async (req, res) => {
+  try {
+    const index = await indexReady(req.dataset, req.user);
+    const allGPSData = [];
+    const sources = [];
+    
+    // Get GPS data from F2/gps_log.csv
+    try {
+      const gpsLogData = await index.getSessionCSV('F2', 'gps_log.csv');
+      
+      // Convert gps_log format to standardized format
+      const standardizedGpsLog = standardizeGpsLog(gpsLogData, 'F2', undefined, await index.getSessionClock('F2'));
+      
+      allGPSData.push(...standardizedGpsLog);
+      sources.push({
+        source: 'F2/gps_log.csv',
+        type: 'GPS tracking log',
+        count: standardizedGpsLog.length
+      });
+    } catch (error) {
+      console.warn('Could not read GPS log file:', error.message);
+    }
+    
+    // Get GPS data from metadata files
+    try {
+      const metadataFiles = index.getEntries();
+      let metadataGPSCount = 0;
+      
+      for (const file of metadataFiles) {
+        try {
+          const gpsData = file.gps;
+          
+          if (gpsData.length > 0) {
             // Add source information to each GPS point
             const enhancedGPSData = gpsData.map(point => ({
               ...point,
@@ -361,733 +3008,4449 @@ app.get('/api/gps-data/combined', async (req, res) => {
             allGPSData.push(...enhancedGPSData);
             metadataGPSCount += gpsData.length;
           }
-        } catch (error) {
-          console.error(`Error processing ${file.path}:`, error.message);
+        } catch (error) {
+          console.error(`Error processing ${file.path}:`, error.message);
+        }
+      }
+      
+      sources.push({
+        source: 'metadata.csv files',
+        type: 'GPS from anomaly detection metadata',
+        count: metadataGPSCount
+      });
+    } catch (error) {
+      console.warn('Could not extract GPS from metadata files:', error.message);
+    }
+    
+    // Sort all GPS data by timestamp
+    allGPSData.sort((a, b) => {
+      if (a.timestampISO && b.timestampISO) {
+        return Date.parse(a.timestampISO) - Date.parse(b.timestampISO);
+      }
+      return 0;
+    });
+    
+    res.json({
+      success: true,
+      count: allGPSData.length,
+      data: allGPSData,
+      sources: sources,
+      metadata: {
+        type: 'Combined GPS data from all sources',
+        description: 'GPS coordinates from both GPS log files and metadata files'
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Failed to get combined GPS data'
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// System metrics: system_metrics.csv of every session, with columns mapped
+// onto canonical metric names and numbers normalised, time-range queries,
+// min/max/avg downsampling and threshold breach reports
+// ---------------------------------------------------------------------------
+
+const METRICS_FILE = 'system_metrics.csv';
+
+// Canonical metrics, their units and the headers tried in order (after lower-casing and
+// turning anything but letters and digits into _). Percent metrics logged as 0..1 fractions
+// are scaled to 0..100; temperatures above 1000 are read as millidegrees (Linux thermal zones)
+const METRIC_FIELDS = {
+  cpu: { unit: '%', percent: true, aliases: ['cpu_usage', 'cpu', 'cpu_percent', 'cpu_util', 'cpu_utilization', 'cpu_load'] },
+  gpu: { unit: '%', percent: true, aliases: ['gpu_usage', 'gpu', 'gpu_percent', 'gpu_util', 'gpu_utilization', 'gpu_load'] },
+  memory: { unit: '%', percent: true, aliases: ['memory_usage', 'memory', 'mem', 'mem_usage', 'memory_percent', 'ram', 'ram_usage'] },
+  temperature: { unit: '°C', temperature: true, aliases: ['temperature', 'temp', 'cpu_temp', 'cpu_temperature', 'soc_temp', 'soc_temperature', 'temp_c', 'thermal'] },
+  gpuTemperature: { unit: '°C', temperature: true, aliases: ['gpu_temp', 'gpu_temperature'] },
+  fps: { unit: 'fps', aliases: ['fps', 'frame_rate', 'framerate', 'camera_fps', 'inference_fps'] },
+  disk: { unit: '%', percent: true, aliases: ['disk_usage', 'disk', 'disk_percent', 'storage_usage'] },
+  power: { unit: 'W', aliases: ['power', 'power_w', 'power_draw', 'power_usage'] }
+};
+
+// Thermal throttling on the usual edge boards starts around 80°C; below 15 fps the
+// detectors start missing frames at road speed
+const DEFAULT_METRIC_THRESHOLDS = [
+  { name: 'thermal-throttling', metric: 'temperature', op: 'gt', value: 80, description: 'Device temperature in the thermal throttling range' },
+  { name: 'fps-drop', metric: 'fps', op: 'lt', value: 15, description: 'Frame rate dropped' },
+  { name: 'cpu-saturated', metric: 'cpu', op: 'gt', value: 95, description: 'CPU saturated' },
+  { name: 'gpu-saturated', metric: 'gpu', op: 'gt', value: 95, description: 'GPU saturated' },
+  { name: 'memory-pressure', metric: 'memory', op: 'gt', value: 90, description: 'Memory nearly exhausted' }
+];
+
+const THRESHOLD_OPERATORS = {
+  gt: (value, limit) => value > limit,
+  gte: (value, limit) => value >= limit,
+  lt: (value, limit) => value < limit,
+  lte: (value, limit) => value <= limit
+};
+
+const metricsConfig = {
+  // Raw points returned before a series is downsampled automatically
+  maxPoints: parseInt(process.env.METRICS_MAX_POINTS || config.metrics?.maxPoints || 1000),
+  // Canonical metric -> CSV header, for headers the aliases do not cover
+  columns: config.metrics?.columns || {},
+  thresholds: (config.metrics?.thresholds || DEFAULT_METRIC_THRESHOLDS).filter(rule => {
+    if (rule && rule.name && rule.metric && THRESHOLD_OPERATORS[rule.op] && Number.isFinite(rule.value)) return true;
+    console.warn(`Ignoring metrics threshold "${(rule && rule.name) || '?'}": a name, metric, op (${Object.keys(THRESHOLD_OPERATORS).join(', ')}) and numeric value are required`);
+    return false;
+  })
+};
+
+const METRIC_VALUE_PATTERN = /^\s*(-?\d+(?:\.\d+)?(?:e[-+]?\d+)?)\s*(%|°?c|fps|w)?\s*$/i;
+
+// Number in a metrics cell, allowing a trailing unit ("45%", "61.5C"); null when empty or not a number
+const parseMetricValue = (value) => {
+  if (isMissing(value)) return null;
+  const match = METRIC_VALUE_PATTERN.exec(String(value));
+  return match ? parseFloat(match[1]) : null;
+};
+
+const metricColumnKey = (name) => String(name).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+// Which column holds each metric and how its values are scaled. Canonical metrics come from
+// config.metrics.columns, then the aliases; any other mostly-numeric column is kept under its own name
+const resolveMetricColumns = (records, schema) => {
+  const sample = records.slice(0, SCHEMA_SAMPLE_SIZE);
+  const names = records.length > 0 ? Object.keys(records[0]) : [];
+  const timeColumns = [schema.mapping.timestamp, schema.mapping.gpsTime].filter(Boolean);
+  const numeric = names.filter(name => {
+    if (timeColumns.includes(name)) return false;
+    const values = sample.map(record => record[name]).filter(value => !isMissing(value));
+    return values.length > 0 && values.filter(value => parseMetricValue(value) !== null).length >= values.length * 0.9;
+  });
+
+  const claimed = new Set();
+  const columns = [];
+  Object.entries(METRIC_FIELDS).forEach(([metric, spec]) => {
+    const configured = metricsConfig.columns[metric];
+    const column = configured && names.includes(configured)
+      ? configured
+      : spec.aliases.map(alias => numeric.find(name => metricColumnKey(name) === alias && !claimed.has(name))).find(Boolean);
+    if (!column) return;
+    claimed.add(column);
+    columns.push({ metric, column, unit: spec.unit, spec });
+  });
+  numeric.filter(name => !claimed.has(name)).forEach(name => columns.push({ metric: name, column: name, unit: null, spec: {} }));
+
+  // Scale factors are chosen once per file from the whole column: a GPU idle for the first minutes
+  // of a drive must not be read as 0-1 fractions. Only a column whose values all lie in [0, 1] and
+  // include a fraction is scaled to percent, so an all-zero column stays as it is
+  return columns.map(({ metric, column, unit, spec }) => {
+    let largest = 0;
+    let fraction = false;
+    records.forEach(record => {
+      const value = parseMetricValue(record[column]);
+      if (value === null) return;
+      largest = Math.max(largest, Math.abs(value));
+      fraction = fraction || (value > 0 && value < 1);
+    });
+    let scale = 1;
+    if (spec.percent && fraction && largest <= 1) scale = 100;
+    if (spec.temperature && largest > 1000) scale = 0.001;
+    return { metric, column, unit, scale };
+  });
+};
+
+// Normalised series per session CSV, rebuilt when the file (and so the cached rows) or the clock changes
+const metricSeriesCache = new WeakMap();
+
+// Time-ordered points { time, timestampISO, values } of a session's system_metrics.csv
+const getMetricSeries = async (index, session) => {
+  const records = await index.getSessionCSV(session, METRICS_FILE);
+  const clock = await index.getSessionClock(session);
+  const cached = metricSeriesCache.get(records);
+  if (cached && cached.clock === clock) return cached.series;
+
+  const schema = resolveSchema(records, { session, file: METRICS_FILE });
+  const columns = resolveMetricColumns(records, schema);
+  let skippedRows = 0;
+  const points = [];
+  records.forEach(record => {
+    const timestampISO = normalizeTimestamp(getCanonicalValue(record, schema, 'timestamp'), clock);
+    if (!timestampISO) {
+      skippedRows++;
+      return;
+    }
+    const values = {};
+    columns.forEach(({ metric, column, scale }) => {
+      const value = parseMetricValue(record[column]);
+      values[metric] = value === null ? null : Math.round(value * scale * 1000) / 1000;
+    });
+    points.push({ time: Date.parse(timestampISO), timestampISO, values });
+  });
+  points.sort((a, b) => a.time - b.time);
+
+  const warnings = [...schema.warnings];
+  if (skippedRows > 0) warnings.push(`${skippedRows} rows without a valid timestamp were skipped`);
+  const series = {
+    session,
+    source: `${session}/${METRICS_FILE}`,
+    columns: columns.map(({ metric, column, unit, scale }) => ({ metric, column, unit, scale })),
+    points,
+    rows: records.length,
+    skippedRows,
+    warnings
+  };
+  metricSeriesCache.set(records, { clock, series });
+  return series;
+};
+
+const summarizeValues = (values) => {
+  const present = values.filter(value => value !== null);
+  if (present.length === 0) return { min: null, max: null, avg: null, count: 0 };
+  // reduce rather than Math.min(...values): a long drive has more samples than the call stack allows arguments
+  const sum = present.reduce((total, value) => total + value, 0);
+  return {
+    min: present.reduce((min, value) => Math.min(min, value)),
+    max: present.reduce((max, value) => Math.max(max, value)),
+    avg: Math.round((sum / present.length) * 1000) / 1000,
+    count: present.length
+  };
+};
+
+const medianInterval = (points) => {
+  const gaps = points.slice(1).map((point, i) => point.time - points[i].time).filter(gap => gap > 0).sort((a, b) => a - b);
+  return gaps.length > 0 ? gaps[Math.floor(gaps.length / 2)] / 1000 : null;
+};
+
+// Requested metric names (metrics=cpu,temperature) checked against the series, all of them by default
+const parseMetricNames = (value, series) => {
+  const available = series.columns.map(column => column.metric);
+  if (!value) return available;
+  const requested = String(value).split(',').map(name => name.trim()).filter(Boolean);
+  const unknown = requested.filter(name => !available.includes(name));
+  if (unknown.length > 0) throw badRequest(`Unknown metrics: ${unknown.join(', ')} (available: ${available.join(', ')})`);
+  return requested;
+};
+
+// startDate/endDate in the session's clock, as epoch ms
+const parseMetricRange = (query, clock) => {
+  const start = query.startDate ? parseTimestamp(query.startDate, clock) : null;
+  const end = query.endDate ? parseTimestamp(query.endDate, clock) : null;
+  if ((query.startDate && !start) || (query.endDate && !end)) throw badRequest('startDate and endDate must be valid timestamps');
+  return { start: start ? start.ms : null, end: end ? end.ms : null };
+};
+
+const pointsInRange = (points, { start, end }) => points.filter(point =>
+  (start === null || point.time >= start) && (end === null || point.time <= end));
+
+// Fixed-width buckets aligned to the epoch, each with min/max/avg per metric
+const downsampleMetrics = (points, metrics, bucketMs) => {
+  const buckets = new Map();
+  points.forEach(point => {
+    const key = Math.floor(point.time / bucketMs);
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(point);
+  });
+
+  return [...buckets.entries()].map(([key, members]) => {
+    const bucket = {
+      start: new Date(key * bucketMs).toISOString(),
+      end: new Date((key + 1) * bucketMs).toISOString(),
+      count: members.length
+    };
+    metrics.forEach(metric => {
+      const { min, max, avg } = summarizeValues(members.map(point => point.values[metric]));
+      bucket[metric] = { min, max, avg };
+    });
+    return bucket;
+  });
+};
+
+// Runs of consecutive samples breaking a threshold rule, each with its start, end and peak value
+const findThresholdBreaches = (series, points, rules) => rules
+  .filter(rule => series.columns.some(column => column.metric === rule.metric))
+  .flatMap(rule => {
+    const breaks = THRESHOLD_OPERATORS[rule.op];
+    const worse = rule.op.startsWith('gt') ? Math.max : Math.min;
+    const episodes = [];
+    let current = null;
+
+    points.forEach(point => {
+      const value = point.values[rule.metric];
+      if (value !== null && breaks(value, rule.value)) {
+        if (!current) current = { first: point, last: point, samples: 0, peak: value };
+        current.last = point;
+        current.samples++;
+        current.peak = worse(current.peak, value);
+      } else if (value !== null && current) {
+        episodes.push(current);
+        current = null;
+      }
+    });
+    if (current) episodes.push(current);
+
+    return episodes
+      .map(episode => ({
+        session: series.session,
+        rule: rule.name,
+        description: rule.description || null,
+        metric: rule.metric,
+        condition: `${rule.metric} ${rule.op} ${rule.value}`,
+        start: episode.first.timestampISO,
+        end: episode.last.timestampISO,
+        durationSeconds: (episode.last.time - episode.first.time) / 1000,
+        samples: episode.samples,
+        peak: episode.peak
+      }))
+      .filter(breach => breach.durationSeconds >= (rule.minDurationSeconds || 0));
+  })
+  .sort((a, b) => Date.parse(a.start) - Date.parse(b.start));
+
+// Overview of one session's metrics file
+const describeMetricSeries = (series) => ({
+  session: series.session,
+  source: series.source,
+  rows: series.rows,
+  points: series.points.length,
+  from: series.points.length > 0 ? series.points[0].timestampISO : null,
+  to: series.points.length > 0 ? series.points[series.points.length - 1].timestampISO : null,
+  intervalSeconds: medianInterval(series.points),
+  metrics: series.columns.map(column => ({
+    ...column,
+    ...summarizeValues(series.points.map(point => point.values[column.metric]))
+  })),
+  latest: series.points.length > 0
+    ? { timestampISO: series.points[series.points.length - 1].timestampISO, ...series.points[series.points.length - 1].values }
+    : null,
+  warnings: series.warnings
+});
+
+// Sessions (in the user's scope) that have a system_metrics.csv, optionally just one of them
+const findMetricSessions = async (index, session) => {
+  const sessions = await index.findSessionFiles(METRICS_FILE);
+  return session ? sessions.filter(name => name === session) : sessions;
+};
+
+// Get the raw rows of one session's system_metrics.csv (the first session that has one by default)
+api.get('/system-metrics', async (req, res) => {
+  try {
+    const index = await indexReady(req.dataset, req.user);
+    const [session] = await findMetricSessions(index, req.query.session);
+    if (!session) throw notFound(`No ${METRICS_FILE} found${req.query.session ? ` in session ${req.query.session}` : ''}`);
+    const metricsData = await index.getSessionCSV(session, METRICS_FILE);
+    
+    res.json({
+      success: true,
+      count: metricsData.length,
+      data: metricsData,
+      metadata: {
+        source: `${session}/${METRICS_FILE}`,
+        type: 'System performance metrics',
+        sessions: await findMetricSessions(index)
+      }
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      message: 'Failed to read system metrics'
+    });
+  }
+});
+
+// NEW: Sessions with system metrics, their metric columns, units, ranges and latest values
+api.get('/metrics', async (req, res) => {
+  try {
+    const index = await indexReady(req.dataset, req.user);
+    const sessions = [];
+    for (const session of await findMetricSessions(index, req.query.session)) {
+      try {
+        sessions.push(describeMetricSeries(await getMetricSeries(index, session)));
+      } catch (error) {
+        sessions.push({ session, source: `${session}/${METRICS_FILE}`, error: redactServerPaths(error.message) });
+      }
+    }
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      thresholds: metricsConfig.thresholds,
+      sessions
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      message: 'Failed to list system metrics'
+    });
+  }
+});
+
+// NEW: Threshold breaches (thermal throttling, dropped FPS, ...) across sessions
+api.get('/metrics/alerts', async (req, res) => {
+  try {
+    const index = await indexReady(req.dataset, req.user);
+    const ruleNames = req.query.rule ? String(req.query.rule).split(',').map(name => name.trim()) : null;
+    const unknownRules = (ruleNames || []).filter(name => !metricsConfig.thresholds.some(rule => rule.name === name));
+    if (unknownRules.length > 0) throw badRequest(`Unknown rules: ${unknownRules.join(', ')}`);
+    const rules = metricsConfig.thresholds.filter(rule => !ruleNames || ruleNames.includes(rule.name));
+
+    const breaches = [];
+    const sessions = [];
+    for (const session of await findMetricSessions(index, req.query.session)) {
+      const series = await getMetricSeries(index, session);
+      const points = pointsInRange(series.points, parseMetricRange(req.query, await index.getSessionClock(session)));
+      const found = findThresholdBreaches(series, points, rules);
+      breaches.push(...found);
+      sessions.push({ session, points: points.length, breaches: found.length });
+    }
+
+    res.json({
+      success: true,
+      count: breaches.length,
+      rules,
+      byRule: countBy(breaches, 'rule'),
+      sessions,
+      breaches
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      message: 'Failed to evaluate metric thresholds'
+    });
+  }
+});
+
+// NEW: Time series of one session's metrics, downsampled to min/max/avg buckets when
+// bucket= (seconds) is given or the range holds more than maxPoints samples
+api.get('/metrics/:session', async (req, res) => {
+  try {
+    const { session } = req.params;
+    const index = await indexReady(req.dataset, req.user);
+    if ((await findMetricSessions(index, session)).length === 0) throw notFound(`No ${METRICS_FILE} in session ${session}`);
+
+    const series = await getMetricSeries(index, session);
+    const metrics = parseMetricNames(req.query.metrics, series);
+    const points = pointsInRange(series.points, parseMetricRange(req.query, await index.getSessionClock(session)));
+    const maxPoints = req.query.maxPoints ? parseInt(req.query.maxPoints) : metricsConfig.maxPoints;
+
+    let bucketSeconds = req.query.bucket ? parseInt(req.query.bucket) : null;
+    if (!bucketSeconds && points.length > maxPoints) {
+      const span = points[points.length - 1].time - points[0].time;
+      bucketSeconds = Math.max(1, Math.ceil(span / 1000 / maxPoints));
+    }
+
+    const data = bucketSeconds
+      ? downsampleMetrics(points, metrics, bucketSeconds * 1000)
+      : points.map(point => ({
+        timestampISO: point.timestampISO,
+        ...Object.fromEntries(metrics.map(metric => [metric, point.values[metric]]))
+      }));
+
+    res.json({
+      success: true,
+      session,
+      source: series.source,
+      columns: series.columns.filter(column => metrics.includes(column.metric)),
+      range: {
+        from: points.length > 0 ? points[0].timestampISO : null,
+        to: points.length > 0 ? points[points.length - 1].timestampISO : null
+      },
+      samples: points.length,
+      bucketSeconds,
+      summary: Object.fromEntries(metrics.map(metric => [metric, summarizeValues(points.map(point => point.values[metric]))])),
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      message: `Failed to read metrics for ${req.params.session}`
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Correlation analytics: detections, system metrics and vehicle speed of a
+// session bucketed on one time axis, with zero-detection intervals per camera
+// flagged as possible outages
+// ---------------------------------------------------------------------------
+
+const analyticsConfig = {
+  intervalSeconds: parseInt(process.env.ANALYTICS_INTERVAL_SECONDS || config.analytics?.intervalSeconds || 60),
+  // Longest time axis a request may ask for, in intervals
+  maxIntervals: parseInt(process.env.ANALYTICS_MAX_INTERVALS || config.analytics?.maxIntervals || 5000),
+  // Consecutive silent intervals before a camera's silence is reported as an outage
+  minOutageIntervals: parseInt(process.env.ANALYTICS_MIN_OUTAGE_INTERVALS || config.analytics?.minOutageIntervals || 1)
+};
+
+const parseCorrelationOptions = (query) => {
+  const integer = (name, min) => {
+    if (query[name] === undefined) return analyticsConfig[name];
+    const value = Number(query[name]);
+    if (!Number.isInteger(value) || value < min) throw badRequest(`${name} must be an integer of at least ${min}`);
+    return value;
+  };
+  return {
+    intervalSeconds: integer('intervalSeconds', 1),
+    minOutageIntervals: integer('minOutageIntervals', 1),
+    includeRejected: query.includeRejected === 'true'
+  };
+};
+
+// Sessions whose session-level file describes a session: its own, else those of a split recording,
+// i.e. other sessions whose file (time span from fileSpan(source)) overlaps the session's detections.
+// Files of unrelated drives would otherwise show up as this session's device health and speed
+const sessionFileSources = async (index, session, fileName, detectionSpan, fileSpan) => {
+  const sessions = await index.findSessionFiles(fileName);
+  if (sessions.includes(session)) return [session];
+  if (!detectionSpan) return [];
+  const sources = [];
+  for (const source of sessions) {
+    const span = await fileSpan(source);
+    if (span && span.start <= detectionSpan.end && span.end >= detectionSpan.start) sources.push(source);
+  }
+  return sources;
+};
+
+// A { start, end } time span widened to include a time (NaN is ignored); null is the empty span
+const extendSpan = (span, time) => {
+  if (isNaN(time)) return span;
+  return span ? { start: Math.min(span.start, time), end: Math.max(span.end, time) } : { start: time, end: time };
+};
+
+// Pearson correlation of paired values, null with fewer than 3 pairs or no variance
+const pearson = (pairs) => {
+  if (pairs.length < 3) return null;
+  const meanX = pairs.reduce((sum, [x]) => sum + x, 0) / pairs.length;
+  const meanY = pairs.reduce((sum, [, y]) => sum + y, 0) / pairs.length;
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  pairs.forEach(([x, y]) => {
+    covariance += (x - meanX) * (y - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (y - meanY) ** 2;
+  });
+  if (varianceX === 0 || varianceY === 0) return null;
+  return Math.round((covariance / Math.sqrt(varianceX * varianceY)) * 1000) / 1000;
+};
+
+// Running min/max/sum of a value within one interval
+const addSample = (stats, value) => {
+  if (value === null || isNaN(value)) return stats;
+  if (!stats) return { min: value, max: value, sum: value, count: 1 };
+  return { min: Math.min(stats.min, value), max: Math.max(stats.max, value), sum: stats.sum + value, count: stats.count + 1 };
+};
+
+const finishStats = (stats) => (stats
+  ? { min: stats.min, max: stats.max, avg: Math.round((stats.sum / stats.count) * 1000) / 1000, samples: stats.count }
+  : null);
+
+// Vehicle speed samples (time, km/h or the log's own unit) from gps_log.csv, read row by row.
+// Logs without a speed column get the speed between consecutive fixes instead
+const readSpeedSamples = async function* (index, dataset, session) {
+  let previous = null;
+  for await (const point of streamGpsLog(index, dataset, session)) {
+    const time = point.timestampISO ? Date.parse(point.timestampISO) : NaN;
+    if (isNaN(time)) continue;
+    let speed = point.speed === null ? NaN : parseFloat(point.speed);
+    let derived = false;
+    if (isNaN(speed) && previous && time > previous.time) {
+      const distance = haversineDistance(previous.latitude, previous.longitude, point.latitude, point.longitude);
+      speed = (distance / ((time - previous.time) / 1000)) * 3.6;
+      derived = true;
+    }
+    previous = { time, latitude: point.latitude, longitude: point.longitude };
+    if (!isNaN(speed)) yield { time, speed, derived };
+  }
+};
+
+// Align one session's detections, metrics and speed on intervals of options.intervalSeconds
+const correlateSession = async (req, session, filters, options) => {
+  const index = await indexReady(req.dataset, req.user);
+  const ownFiles = [...await index.findSessionFiles(METRICS_FILE), ...await index.findSessionFiles('gps_log.csv')];
+  if (index.getEntries({ session }).length === 0 && !ownFiles.includes(session)) {
+    throw notFound(`No detections, metrics or GPS data for session ${session}`);
+  }
+
+  const reviews = getReviewStore(req.dataset);
+  const entries = index.getEntries({ session, camera: filters.camera, anomalyType: filters.anomalyType });
+  const cameras = [...new Set(entries.map(entry => entry.camera))].sort();
+  const classes = [...new Set(entries.map(entry => entry.anomalyType))].sort();
+
+  const detections = entries
+    .flatMap(entry => entry.detections)
+    .map(detection => withReview(reviews, detection))
+    .filter(detection => options.includeRejected || detection.reviewStatus !== 'rejected');
+  const timed = detections
+    .map(detection => ({ detection, time: detection.timestampISO ? Date.parse(detection.timestampISO) : NaN }))
+    .filter(({ time }) => !isNaN(time));
+
+  // Fallback files must overlap the session's detections, whatever the camera/class filters
+  const detectionSpan = index.getEntries({ session })
+    .flatMap(entry => entry.detections)
+    .reduce((span, detection) => extendSpan(span, detection.timestampISO ? Date.parse(detection.timestampISO) : NaN), null);
+  const metricSources = await sessionFileSources(index, session, METRICS_FILE, detectionSpan, async (source) => {
+    const { points } = await getMetricSeries(index, source);
+    return points.length > 0 ? { start: points[0].time, end: points[points.length - 1].time } : null;
+  });
+  const metricSeries = [];
+  for (const source of metricSources) metricSeries.push(await getMetricSeries(index, source));
+  const metricNames = [...new Set(metricSeries.flatMap(series => series.columns.map(column => column.metric)))];
+  const wantedMetrics = filters.metrics
+    ? String(filters.metrics).split(',').map(name => name.trim()).filter(Boolean)
+    : metricNames;
+  const unknownMetrics = wantedMetrics.filter(name => !metricNames.includes(name));
+  if (unknownMetrics.length > 0) throw badRequest(`Unknown metrics: ${unknownMetrics.join(', ')} (available: ${metricNames.join(', ') || 'none'})`);
+  const gpsSources = await sessionFileSources(index, session, 'gps_log.csv', detectionSpan, async (source) => {
+    let span = null;
+    for await (const point of streamGpsLog(index, req.dataset, source)) {
+      span = extendSpan(span, point.timestampISO ? Date.parse(point.timestampISO) : NaN);
+    }
+    return span;
+  });
+
+  // The axis spans the requested range, else everything the three streams cover
+  const clock = await index.getSessionClock(session);
+  const range = parseMetricRange(filters, clock);
+  let start = range.start;
+  let end = range.end;
+  if (start === null || end === null) {
+    let span = null;
+    const extend = (time) => {
+      span = span ? { start: Math.min(span.start, time), end: Math.max(span.end, time) } : { start: time, end: time };
+    };
+    timed.forEach(({ time }) => extend(time));
+    metricSeries.filter(series => series.points.length > 0).forEach(series => {
+      extend(series.points[0].time);
+      extend(series.points[series.points.length - 1].time);
+    });
+    // Detections and metrics usually cover the drive; the GPS log only sets an otherwise empty axis
+    if (!span) {
+      for (const source of gpsSources) {
+        for await (const sample of readSpeedSamples(index, req.dataset, source)) extend(sample.time);
+      }
+    }
+    if (start === null && span) start = span.start;
+    if (end === null && span) end = span.end;
+  }
+
+  const intervalMs = options.intervalSeconds * 1000;
+  const first = start === null ? 0 : Math.floor(start / intervalMs);
+  const count = start === null || end === null || end < start ? 0 : Math.floor(end / intervalMs) - first + 1;
+  if (count > analyticsConfig.maxIntervals) {
+    throw badRequest(`The range spans ${count} intervals (at most ${analyticsConfig.maxIntervals}); use a larger intervalSeconds or a shorter range`);
+  }
+
+  const intervals = Array.from({ length: count }, (unused, i) => ({
+    start: new Date((first + i) * intervalMs).toISOString(),
+    end: new Date((first + i + 1) * intervalMs).toISOString(),
+    detections: {
+      total: 0,
+      byClass: {},
+      byCamera: Object.fromEntries(cameras.map(camera => [camera, { total: 0, byClass: {} }]))
+    },
+    metrics: {},
+    speed: null,
+    silentCameras: []
+  }));
+  const slot = (time) => {
+    const i = Math.floor(time / intervalMs) - first;
+    return i >= 0 && i < count ? intervals[i] : null;
+  };
+
+  timed.forEach(({ detection, time }) => {
+    const interval = slot(time);
+    if (!interval) return;
+    const { camera, anomalyType } = detection;
+    interval.detections.total++;
+    interval.detections.byClass[anomalyType] = (interval.detections.byClass[anomalyType] || 0) + 1;
+    interval.detections.byCamera[camera].total++;
+    interval.detections.byCamera[camera].byClass[anomalyType] = (interval.detections.byCamera[camera].byClass[anomalyType] || 0) + 1;
+  });
+
+  metricSeries.forEach(series => series.points.forEach(point => {
+    const interval = slot(point.time);
+    if (!interval) return;
+    wantedMetrics.forEach(metric => {
+      if (point.values[metric] !== undefined) interval.metrics[metric] = addSample(interval.metrics[metric], point.values[metric]);
+    });
+  }));
+
+  let derivedSpeed = false;
+  if (count > 0) {
+    for (const source of gpsSources) {
+      for await (const sample of readSpeedSamples(index, req.dataset, source)) {
+        const interval = slot(sample.time);
+        if (!interval) continue;
+        interval.speed = addSample(interval.speed, sample.speed);
+        derivedSpeed = derivedSpeed || sample.derived;
+      }
+    }
+  }
+
+  intervals.forEach(interval => {
+    wantedMetrics.forEach(metric => {
+      interval.metrics[metric] = finishStats(interval.metrics[metric]);
+    });
+    interval.speed = finishStats(interval.speed);
+    interval.silentCameras = cameras.filter(camera => interval.detections.byCamera[camera].total === 0);
+  });
+
+  // Runs of silent intervals per camera; a run is a likely outage when the other selected cameras kept detecting
+  const outages = cameras.flatMap(camera => {
+    const runs = [];
+    let run = null;
+    intervals.forEach((interval, i) => {
+      if (interval.silentCameras.includes(camera)) {
+        run = run || { camera, from: i, to: i };
+        run.to = i;
+      } else if (run) {
+        runs.push(run);
+        run = null;
+      }
+    });
+    if (run) runs.push(run);
+
+    return runs
+      .filter(({ from, to }) => to - from + 1 >= options.minOutageIntervals)
+      .map(({ from, to }) => {
+        const covered = intervals.slice(from, to + 1);
+        const speeds = covered.map(interval => interval.speed && interval.speed.avg).filter(value => value !== null && value !== undefined);
+        return {
+          camera,
+          start: covered[0].start,
+          end: covered[covered.length - 1].end,
+          intervals: covered.length,
+          peerDetections: covered.reduce((sum, interval) => sum + interval.detections.total, 0),
+          likelyOutage: covered.some(interval => interval.detections.total > 0),
+          avgSpeed: speeds.length > 0 ? Math.round((speeds.reduce((sum, value) => sum + value, 0) / speeds.length) * 100) / 100 : null,
+          metrics: Object.fromEntries(wantedMetrics.map(metric => {
+            const values = covered.map(interval => interval.metrics[metric]).filter(Boolean);
+            return [metric, values.length > 0 ? { max: Math.max(...values.map(stats => stats.max)), min: Math.min(...values.map(stats => stats.min)) } : null];
+          }))
+        };
+      });
+  });
+
+  // How the detection count moves with speed and each metric across the intervals
+  const correlation = Object.fromEntries([
+    ['speed', (interval) => interval.speed && interval.speed.avg],
+    ...wantedMetrics.map(metric => [metric, (interval) => interval.metrics[metric] && interval.metrics[metric].avg])
+  ].map(([name, read]) => [name, pearson(intervals
+    .map(interval => [interval.detections.total, read(interval)])
+    .filter(([, value]) => value !== null && value !== undefined))]));
+
+  return {
+    session,
+    intervalSeconds: options.intervalSeconds,
+    range: {
+      from: count > 0 ? intervals[0].start : null,
+      to: count > 0 ? intervals[count - 1].end : null
+    },
+    sources: {
+      metrics: metricSources.map(source => `${source}/${METRICS_FILE}`),
+      gps: gpsSources.map(source => `${source}/gps_log.csv`),
+      speed: gpsSources.length === 0 ? null : derivedSpeed ? 'derived from GPS fixes' : 'gps_log.csv'
+    },
+    cameras,
+    classes,
+    metrics: wantedMetrics,
+    summary: {
+      intervals: count,
+      detections: timed.length,
+      untimedDetections: detections.length - timed.length,
+      silentIntervalsByCamera: Object.fromEntries(cameras.map(camera => [camera, intervals.filter(interval => interval.silentCameras.includes(camera)).length])),
+      outages: outages.length,
+      likelyOutages: outages.filter(outage => outage.likelyOutage).length,
+      correlation
+    },
+    outages,
+    intervals
+  };
+};
+
+// NEW: Per-interval detections by class and camera next to system metrics and vehicle speed,
+// with intervals in which a camera detected nothing flagged as possible outages
+api.get('/analytics/correlation/:session', async (req, res) => {
+  try {
+    const options = parseCorrelationOptions(req.query);
+    const result = await correlateSession(req, req.params.session, req.query, options);
+    res.json({ success: true, options, ...result });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      message: `Failed to correlate session ${req.params.session}`
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Camera health: per camera of a session, image cadence, gaps, damaged files
+// and rows without images, with cameras that fall behind their peers flagged
+// ---------------------------------------------------------------------------
+
+const cameraHealthConfig = {
+  // A camera with fewer readable images than this share of its peers' median count is reported dead
+  deadRatio: parseFloat(process.env.CAMERA_HEALTH_DEAD_RATIO || config.cameraHealth?.deadRatio || 0.1),
+  // Images per minute below this share of the peers' median marks the camera degraded
+  degradedRateRatio: parseFloat(process.env.CAMERA_HEALTH_DEGRADED_RATE_RATIO || config.cameraHealth?.degradedRateRatio || 0.5),
+  // Gaps longer than this many median intervals (and minGapSeconds) are checked against the peers
+  gapFactor: parseFloat(process.env.CAMERA_HEALTH_GAP_FACTOR || config.cameraHealth?.gapFactor || 10),
+  minGapSeconds: parseFloat(process.env.CAMERA_HEALTH_MIN_GAP_SECONDS || config.cameraHealth?.minGapSeconds || 60),
+  // Starting this much later or stopping this much earlier than the peers while they kept capturing
+  stoppedEarlySeconds: parseFloat(process.env.CAMERA_HEALTH_STOPPED_EARLY_SECONDS || config.cameraHealth?.stoppedEarlySeconds || 300),
+  // Share of empty, truncated or corrupt images, and of metadata rows without an image, that marks a camera degraded
+  damagedRate: parseFloat(process.env.CAMERA_HEALTH_DAMAGED_RATE || config.cameraHealth?.damagedRate || 0.05),
+  missingImageRate: parseFloat(process.env.CAMERA_HEALTH_MISSING_IMAGE_RATE || config.cameraHealth?.missingImageRate || 0.1),
+  // Non-empty images smaller than this share of the camera's median size are listed as undersized
+  undersizedRatio: parseFloat(process.env.CAMERA_HEALTH_UNDERSIZED_RATIO || config.cameraHealth?.undersizedRatio || 0.1),
+  longestGaps: parseInt(process.env.CAMERA_HEALTH_LONGEST_GAPS || config.cameraHealth?.longestGaps || 5),
+  // File names listed per finding; counts are always complete
+  maxListed: parseInt(process.env.CAMERA_HEALTH_MAX_LISTED || config.cameraHealth?.maxListed || 20)
+};
+
+// First and last bytes of a complete file per format; BMP and WebP declare their size in the header instead
+const IMAGE_SIGNATURES = [
+  { pattern: /\.jpe?g$/i, head: Buffer.from([0xff, 0xd8, 0xff]), tail: Buffer.from([0xff, 0xd9]) },
+  { pattern: /\.png$/i, head: Buffer.from([0x89, 0x50, 0x4e, 0x47]), tail: Buffer.from('IEND') },
+  { pattern: /\.gif$/i, head: Buffer.from('GIF8'), tail: Buffer.from([0x3b]) },
+  { pattern: /\.bmp$/i, head: Buffer.from('BM'), declaredSize: (head) => head.readUInt32LE(2) },
+  { pattern: /\.webp$/i, head: Buffer.from('RIFF'), declaredSize: (head) => head.readUInt32LE(4) + 8 }
+];
+const IMAGE_TAIL_BYTES = 32;
+
+// Integrity per image path, reused while the file's size and mtime are unchanged
+const imageIntegrityCache = new Map();
+
+// ok, empty, corrupt (not the format its extension claims), truncated (ends before the format's
+// end marker or declared size) or unreadable; only the first and last bytes are read
+const inspectImageFile = async (filePath, image) => {
+  if (image.size === 0) return 'empty';
+  const modified = new Date(image.modified).getTime();
+  const cached = imageIntegrityCache.get(filePath);
+  if (cached && cached.size === image.size && cached.modified === modified) return cached.result;
+
+  const signature = IMAGE_SIGNATURES.find(candidate => candidate.pattern.test(image.name));
+  let result = 'ok';
+  let handle = null;
+  try {
+    handle = await fs.open(filePath, 'r');
+    const head = Buffer.alloc(Math.min(8, image.size));
+    await handle.read(head, 0, head.length, 0);
+    const tail = Buffer.alloc(Math.min(IMAGE_TAIL_BYTES, image.size));
+    await handle.read(tail, 0, tail.length, image.size - tail.length);
+
+    if (signature && !head.subarray(0, signature.head.length).equals(signature.head)) result = 'corrupt';
+    else if (signature && signature.tail && !tail.includes(signature.tail)) result = 'truncated';
+    else if (signature && signature.declaredSize && (head.length < 8 || signature.declaredSize(head) > image.size)) result = 'truncated';
+  } catch (error) {
+    result = 'unreadable';
+  } finally {
+    if (handle) await handle.close();
+  }
+
+  imageIntegrityCache.set(filePath, { size: image.size, modified, result });
+  return result;
+};
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+// Number of sorted times strictly between start and end
+const countBetween = (times, start, end) => {
+  const firstAfter = (value) => {
+    let low = 0;
+    let high = times.length;
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      if (times[middle] <= value) low = middle + 1;
+      else high = middle;
+    }
+    return low;
+  };
+  return Math.max(0, firstAfter(end - 1) - firstAfter(start));
+};
+
+const listed = (names) => ({ count: names.length, files: names.slice(0, cameraHealthConfig.maxListed) });
+
+// Images, capture times and metadata rows of one camera, merged across its class folders
+const inspectCamera = async (req, camera, entries) => {
+  const images = [];
+  const rowsWithoutImage = [];
+  const orphanImages = [];
+  let rows = 0;
+
+  for (const entry of entries) {
+    const folder = [entry.session, entry.camera, entry.anomalyType, 'images'].join('/');
+    const { absolute } = await resolveDataPath(req.dataset, folder);
+    const detectionTimes = new Map();
+    entry.detections.forEach(detection => {
+      const time = detection.timestampISO ? Date.parse(detection.timestampISO) : NaN;
+      if (detection.imageName && !isNaN(time) && !detectionTimes.has(detection.imageName)) detectionTimes.set(detection.imageName, time);
+    });
+
+    rows += entry.detections.length;
+    entry.detections.filter(detection => !detection.imageName).forEach(detection => rowsWithoutImage.push(detection.id));
+    summarizeImageLinks(entry, entry.detections).orphanImages.forEach(name => orphanImages.push(`${folder}/${name}`));
+
+    // A few files at a time: each check is two small reads
+    for (let i = 0; i < entry.images.length; i += 16) {
+      const batch = entry.images.slice(i, i + 16);
+      const states = await Promise.all(batch.map(image => inspectImageFile(path.join(absolute, image.name), image)));
+      batch.forEach((image, j) => {
+        // The name's capture time, else the time of the row linked to it, else when the file was written
+        const nameTime = imageNameTime(image.name, entry.clock);
+        const [time, timeSource] = nameTime !== null
+          ? [nameTime, 'filename']
+          : detectionTimes.has(image.name)
+            ? [detectionTimes.get(image.name), 'metadata']
+            : [new Date(image.modified).getTime(), 'modified'];
+        images.push({ path: `${folder}/${image.name}`, size: image.size, state: states[j], time, timeSource });
+      });
+    }
+  }
+
+  const readable = images.filter(image => image.state === 'ok');
+
+  return {
+    camera,
+    classes: [...new Set(entries.map(entry => entry.anomalyType))].sort(),
+    images,
+    readable,
+    medianBytes: median(readable.map(image => image.size)),
+    rows,
+    rowsWithoutImage,
+    orphanImages
+  };
+};
+
+// Folders directly under a dataset folder, as session or camera names; links and hidden folders are not followed
+const listDataFolders = async (dataset, relativePath = '') => {
+  const { absolute } = await resolveDataPath(dataset, relativePath);
+  const items = await fs.readdir(absolute, { withFileTypes: true }).catch(() => []);
+  return items.filter(item => item.isDirectory() && !item.name.startsWith('.')).map(item => item.name);
+};
+
+// Health of every camera in a session, each compared with the other cameras of the same session
+const assessCameraHealth = async (req, session) => {
+  const index = await indexReady(req.dataset, req.user);
+  const entries = index.getEntries({ session });
+
+  const byCamera = new Map();
+  entries.forEach(entry => byCamera.set(entry.camera, [...(byCamera.get(entry.camera) || []), entry]));
+  // A camera that recorded nothing, or whose metadata was never written, has a folder but no index entry
+  const folders = await listDataFolders(req.dataset, session);
+  const silent = folders.filter(camera => !byCamera.has(camera) && canAccess(req.user, { session, camera }));
+  silent.forEach(camera => byCamera.set(camera, []));
+  if (byCamera.size === 0) throw notFound(`No cameras found in session ${session}`);
+
+  const inspected = [];
+  for (const [camera, cameraEntries] of [...byCamera].sort(([a], [b]) => a.localeCompare(b))) {
+    inspected.push(await inspectCamera(req, camera, cameraEntries));
+  }
+
+  // Copied or re-synced files carry the copy's mtime, so it only times a session nothing else times
+  const timed = inspected.some(camera => camera.images.some(image => image.timeSource !== 'modified'));
+  inspected.forEach(camera => {
+    camera.times = [...new Set(camera.readable
+      .filter(image => !timed || image.timeSource !== 'modified')
+      .map(image => image.time)
+      .filter(time => !isNaN(time)))].sort((a, b) => a - b);
+  });
+
+  const sessionStart = inspected.reduce((min, camera) => (camera.times.length > 0 ? Math.min(min, camera.times[0]) : min), Infinity);
+  const sessionEnd = inspected.reduce((max, camera) => (camera.times.length > 0 ? Math.max(max, camera.times[camera.times.length - 1]) : max), -Infinity);
+  const sessionMinutes = sessionEnd > sessionStart ? (sessionEnd - sessionStart) / 60000 : null;
+  const ratePerMinute = (camera) => (sessionMinutes ? camera.times.length / sessionMinutes : null);
+  const seconds = (ms) => Math.round(ms / 100) / 10;
+  const percent = (value) => `${Math.round(value * 1000) / 10}%`;
+
+  const cameras = inspected.map(camera => {
+    const peers = inspected.filter(other => other !== camera);
+    const peerTimes = peers.flatMap(other => other.times).sort((a, b) => a - b);
+    const peerCount = median(peers.map(other => other.readable.length));
+    const peerRates = peers.map(ratePerMinute).filter(rate => rate !== null);
+    const peerRate = median(peerRates);
+    const rate = ratePerMinute(camera);
+    const first = camera.times.length > 0 ? camera.times[0] : null;
+    const last = camera.times.length > 0 ? camera.times[camera.times.length - 1] : null;
+    const interval = medianInterval(camera.times.map(time => ({ time })));
+
+    const gapThreshold = Math.max(cameraHealthConfig.minGapSeconds, (interval || 0) * cameraHealthConfig.gapFactor) * 1000;
+    const gaps = camera.times.slice(1)
+      .map((time, i) => ({ start: camera.times[i], end: time }))
+      .sort((a, b) => (b.end - b.start) - (a.end - a.start))
+      .slice(0, cameraHealthConfig.longestGaps)
+      .map(({ start, end }) => {
+        const peerImages = countBetween(peerTimes, start, end);
+        return {
+          start: new Date(start).toISOString(),
+          end: new Date(end).toISOString(),
+          seconds: seconds(end - start),
+          peerImages,
+          // Long enough to matter while the other cameras kept capturing
+          likelyOutage: end - start > gapThreshold && peerImages > 0
+        };
+      });
+
+    const untimed = timed ? camera.readable.filter(image => image.timeSource === 'modified').length : 0;
+    const byState = (state) => camera.images.filter(image => image.state === state).map(image => image.path);
+    const empty = byState('empty');
+    const truncated = byState('truncated');
+    const corrupt = byState('corrupt');
+    const unreadable = byState('unreadable');
+    const damaged = camera.images.length - camera.readable.length;
+    const undersized = camera.medianBytes
+      ? camera.readable.filter(image => image.size < camera.medianBytes * cameraHealthConfig.undersizedRatio).map(image => image.path)
+      : [];
+
+    const dead = [];
+    const degraded = [];
+    if (silent.includes(camera.camera)) {
+      dead.push('no metadata or images');
+    } else if (camera.readable.length === 0) {
+      dead.push(camera.images.length === 0 ? 'no images' : `none of ${camera.images.length} images is readable`);
+    } else if (peerCount && camera.readable.length < peerCount * cameraHealthConfig.deadRatio) {
+      dead.push(`${camera.readable.length} readable images against a peer median of ${peerCount}`);
+    }
+    if (first !== null && peerTimes.length > 0) {
+      const peersBefore = countBetween(peerTimes, -Infinity, first);
+      const peersAfter = countBetween(peerTimes, last, Infinity);
+      if (first - sessionStart > cameraHealthConfig.stoppedEarlySeconds * 1000 && peersBefore > 0) {
+        degraded.push(`started ${seconds(first - sessionStart)}s after its peers (${peersBefore} peer images before its first)`);
+      }
+      if (sessionEnd - last > cameraHealthConfig.stoppedEarlySeconds * 1000 && peersAfter > 0) {
+        degraded.push(`stopped ${seconds(sessionEnd - last)}s before its peers (${peersAfter} peer images after its last)`);
+      }
+    }
+    gaps.filter(gap => gap.likelyOutage).forEach(gap => {
+      degraded.push(`no images for ${gap.seconds}s from ${gap.start} while peers captured ${gap.peerImages}`);
+    });
+    if (rate !== null && peerRate && camera.readable.length > 0 && rate < peerRate * cameraHealthConfig.degradedRateRatio) {
+      degraded.push(`${Math.round(rate * 100) / 100} images/min against a peer median of ${Math.round(peerRate * 100) / 100}`);
+    }
+    if (camera.images.length > 0 && damaged / camera.images.length > cameraHealthConfig.damagedRate) {
+      degraded.push(`${percent(damaged / camera.images.length)} of images are empty, truncated or corrupt`);
+    }
+    if (camera.rows > 0 && camera.rowsWithoutImage.length / camera.rows > cameraHealthConfig.missingImageRate) {
+      degraded.push(`${percent(camera.rowsWithoutImage.length / camera.rows)} of metadata rows have no image`);
+    }
+
+    return {
+      camera: camera.camera,
+      classes: camera.classes,
+      status: dead.length > 0 ? 'dead' : degraded.length > 0 ? 'degraded' : 'ok',
+      reasons: [...dead, ...degraded],
+      captures: {
+        first: first !== null ? new Date(first).toISOString() : null,
+        last: last !== null ? new Date(last).toISOString() : null,
+        spanSeconds: first !== null ? seconds(last - first) : null,
+        timeSources: countBy(camera.images, 'timeSource')
+      },
+      cadence: {
+        images: camera.times.length,
+        // Readable images left off the time axis: neither their name nor a metadata row gives a capture time
+        untimedImages: untimed,
+        medianIntervalSeconds: interval,
+        imagesPerMinute: rate !== null ? Math.round(rate * 100) / 100 : null,
+        peerMedianImagesPerMinute: peerRate !== null ? Math.round(peerRate * 100) / 100 : null
+      },
+      longestGaps: gaps,
+      images: {
+        total: camera.images.length,
+        readable: camera.readable.length,
+        totalBytes: camera.images.reduce((sum, image) => sum + image.size, 0),
+        medianBytes: camera.medianBytes,
+        empty: listed(empty),
+        truncated: listed(truncated),
+        corrupt: listed(corrupt),
+        unreadable: listed(unreadable),
+        undersized: listed(undersized)
+      },
+      metadata: {
+        rows: camera.rows,
+        rowsWithoutImage: { count: camera.rowsWithoutImage.length, ids: camera.rowsWithoutImage.slice(0, cameraHealthConfig.maxListed) },
+        orphanImages: listed(camera.orphanImages)
+      }
+    };
+  });
+
+  return {
+    session,
+    range: {
+      from: sessionStart !== Infinity ? new Date(sessionStart).toISOString() : null,
+      to: sessionEnd !== -Infinity ? new Date(sessionEnd).toISOString() : null
+    },
+    summary: {
+      cameras: cameras.length,
+      ok: cameras.filter(camera => camera.status === 'ok').length,
+      degraded: cameras.filter(camera => camera.status === 'degraded').length,
+      dead: cameras.filter(camera => camera.status === 'dead').length
+    },
+    cameras
+  };
+};
+
+// NEW: Camera health of every session (or ?session=) for the review after a drive
+api.get('/camera-health', async (req, res) => {
+  try {
+    const index = await indexReady(req.dataset, req.user);
+    // Session folders too, so a session none of whose cameras wrote metadata still shows up
+    const folders = (await listDataFolders(req.dataset))
+      .filter(session => (!req.query.session || session === req.query.session) && canAccess(req.user, { session }));
+    const indexed = index.getEntries({ session: req.query.session }).map(entry => entry.session);
+    const sessions = [...new Set([...indexed, ...folders])].sort();
+    const reports = [];
+    for (const session of sessions) {
+      const report = await assessCameraHealth(req, session).catch(error => {
+        if (error.status === 404 && !indexed.includes(session)) return null;
+        throw error;
+      });
+      if (!report) continue;
+      if (req.query.camera) report.cameras = report.cameras.filter(camera => camera.camera === req.query.camera);
+      reports.push(report);
+    }
+
+    res.json({
+      success: true,
+      count: reports.length,
+      thresholds: cameraHealthConfig,
+      sessions: reports
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      message: 'Failed to assess camera health'
+    });
+  }
+});
+
+// NEW: Camera health of one session; peers are always the session's other cameras, camera= only narrows the output
+api.get('/camera-health/:session', async (req, res) => {
+  try {
+    const report = await assessCameraHealth(req, req.params.session);
+    if (req.query.camera) report.cameras = report.cameras.filter(camera => camera.camera === req.query.camera);
+    res.json({ success: true, thresholds: cameraHealthConfig, ...report });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      message: `Failed to assess camera health of session ${req.params.session}`
+    });
+  }
+});
+
+// Get all metadata files information with image counts and GPS data
+api.get('/metadata/scan', async (req, res) => {
+  try {
+    const index = await indexReady(req.dataset, req.user);
+    const metadataFiles = index.getEntries();
+    
+    // Enhanced scan that includes image and GPS information
+    const enhancedFiles = [];
+    for (const file of metadataFiles) {
+      try {
+        if (file.error) throw new Error(file.error);
+        
+        const metadataData = file.records;
+        const gpsData = file.gps;
+        const images = file.images;
+        
+        enhancedFiles.push({
+          session: file.session,
+          camera: file.camera,
+          anomalyType: file.anomalyType,
+          path: file.relativePath,
+          recordCount: metadataData.length,
+          imageCount: images.length,
+          gpsCount: gpsData.length,
+          hasImages: images.length > 0,
+          hasGPS: gpsData.length > 0,
+          sampleImages: images.slice(0, 3).map(img => img.name),
+          recordsWithoutImage: file.detections.filter(detection => !detection.imageName).length,
+          orphanImages: images.length - new Set(file.detections.map(detection => detection.imageName).filter(Boolean)).size,
+          imagesPath: `${file.session}/${file.camera}/${file.anomalyType}/images/`,
+          gpsStats: gpsData.length > 0 ? {
+            firstTimestamp: gpsData[0]?.timestampISO || gpsData[0]?.timestamp,
+            lastTimestamp: gpsData[gpsData.length - 1]?.timestampISO || gpsData[gpsData.length - 1]?.timestamp,
+            latRange: [
+              Math.min(...gpsData.map(p => p.latitude)),
+              Math.max(...gpsData.map(p => p.latitude))
+            ],
+            lngRange: [
+              Math.min(...gpsData.map(p => p.longitude)),
+              Math.max(...gpsData.map(p => p.longitude))
+            ]
+          } : null
+        });
+      } catch (error) {
+        console.error(`Error processing ${file.path}:`, error.message);
+        enhancedFiles.push({
+          session: file.session,
+          camera: file.camera,
+          anomalyType: file.anomalyType,
+          path: file.relativePath,
+          recordCount: 0,
+          imageCount: 0,
+          gpsCount: 0,
+          hasImages: false,
+          hasGPS: false,
+          error: redactServerPaths(error.message)
+        });
+      }
+    }
+    
+    res.json({
+      success: true,
+      count: enhancedFiles.length,
+      files: enhancedFiles,
+      summary: {
+        totalFiles: enhancedFiles.length,
+        filesWithImages: enhancedFiles.filter(f => f.hasImages).length,
+        filesWithGPS: enhancedFiles.filter(f => f.hasGPS).length,
+        totalImages: enhancedFiles.reduce((sum, f) => sum + f.imageCount, 0),
+        totalGPSPoints: enhancedFiles.reduce((sum, f) => sum + f.gpsCount, 0)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Failed to scan metadata files'
+    });
+  }
+});
+
+// Get images for a specific session/camera/class combination
+api.get('/images/:session/:camera/:anomalyType', audited('list-images'), async (req, res) => {
+  try {
+    const { session, camera, anomalyType } = req.params;
+    const index = await indexReady(req.dataset, req.user);
+    const entry = index.getEntry(session, camera, anomalyType);
+    
+    // Images are stored in images/ subdirectory within each class folder
+    if (!entry || !entry.hasImagesDir) {
+      return res.status(404).json({
+        success: false,
+        error: `Images directory not found: ${session}/${camera}/${anomalyType}/images`,
+        message: 'Images directory does not exist',
+        expectedPath: `${session}/${camera}/${anomalyType}/images`
+      });
+    }
+    
+    const imageFiles = entry.images;
+    const reviewed = reviewedEntry(getReviewStore(req.dataset), entry);
+    const redactions = folderRedactionLookup(req.dataset, session, camera, anomalyType);
+    
+    res.json({
+      success: true,
+      session,
+      camera,
+      anomalyType,
+      count: imageFiles.length,
+      images: imageFiles.map(img => ({ ...describeImage(req.dataset, session, camera, anomalyType, img, redactions), records: reviewed.imageRecords(img) })),
+      metadata: {
+        source: `${session}/${camera}/${anomalyType}/images/`,
+        type: 'Image files'
+      }
+    });
+    
+  } catch (error) {
+    console.error(`Error getting images for ${req.params.session}/${req.params.camera}/${req.params.anomalyType}:`, error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: `Failed to get images for ${req.params.session}/${req.params.camera}/${req.params.anomalyType}`
+    });
+  }
+});
+
+// Enhanced metadata endpoint that includes image and GPS information
+api.get('/metadata-with-images/:session/:camera/:anomalyType', async (req, res) => {
+  try {
+    const { session, camera, anomalyType } = req.params;
+    const index = await indexReady(req.dataset, req.user);
+    const entry = index.getEntry(session, camera, anomalyType);
+    
+    if (!entry) {
+      console.warn(`No metadata.csv found for ${session}/${camera}/${anomalyType}`);
+    }
+    
+    const strategy = req.query.link || (entry && entry.schema.imageLinking) || imageLinkConfig.strategy;
+    if (!IMAGE_LINK_STRATEGIES.includes(strategy)) {
+      throw badRequest(`link must be one of ${IMAGE_LINK_STRATEGIES.join(', ')}`);
+    }
+    
+    const metadataData = entry ? entry.records : [];
+    const gpsData = entry ? entry.gps : [];
+    const imageFiles = entry ? entry.images : [];
+    const links = entry ? linkRecordImages(entry, strategy) : [];
+    const redactions = folderRedactionLookup(req.dataset, session, camera, anomalyType);
+    
+    // Records that point at each image
+    const recordsByImage = {};
+    links.forEach((link, recordIndex) => {
+      if (!link.imageName) return;
+      if (!recordsByImage[link.imageName]) recordsByImage[link.imageName] = [];
+      recordsByImage[link.imageName].push(recordIndex);
+    });
+    
+    res.json({
+      success: true,
+      session,
+      camera,
+      anomalyType,
+      metadata: {
+        count: metadataData.length,
+        data: metadataData.map((record, recordIndex) => {
+          const { imageName, imageLink } = links[recordIndex];
+          return {
+            ...record,
+            recordIndex,
+            imageName,
+            imageUrl: imageName ? dataUrl(req.dataset, session, camera, anomalyType, 'images', imageName) : null,
+            thumbnailUrl: imageName ? thumbnailUrl(req.dataset, session, camera, anomalyType, 'images', imageName) : null,
+            imageLink,
+            ...reviewFields(getReviewStore(req.dataset).get(entry.detections[recordIndex].id))
+          };
+        })
+      },
+      images: {
+        count: imageFiles.length,
+        data: imageFiles.map(img => ({
+          ...describeImage(req.dataset, session, camera, anomalyType, img, redactions),
+          recordIndexes: recordsByImage[img.name] || []
+        }))
+      },
+      linking: {
+        strategy,
+        ...summarizeImageLinks({ images: imageFiles }, links)
+      },
+      gps: {
+        count: gpsData.length,
+        data: gpsData,
+        hasGPS: gpsData.length > 0
+      },
+      source: `${session}/${camera}/${anomalyType}/`
+    });
+    
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      message: `Failed to get metadata, images, and GPS for ${req.params.session}/${req.params.camera}/${req.params.anomalyType}`
+    });
+  }
+});
+
+// Get specific metadata by session, camera, and anomaly type (now includes GPS)
+api.get('/metadata/:session/:camera/:anomalyType', async (req, res) => {
+  try {
+    const { session, camera, anomalyType } = req.params;
+    const index = await indexReady(req.dataset, req.user);
+    const entry = index.getEntry(session, camera, anomalyType);
+    
+    if (!entry) throw new Error(`File not found: ${session}/${camera}/${anomalyType}/metadata.csv`);
+    if (entry.error) throw new Error(entry.error);
+    
+    // Rows carry their recordIndex and review status; ?reviewStatus= keeps only matching rows
+    const statuses = parseReviewStatusFilter(req.query.reviewStatus);
+    const reviews = getReviewStore(req.dataset);
+    const metadataData = entry.records
+      .map((record, recordIndex) => ({
+        ...record,
+        recordIndex,
+        ...reviewFields(reviews.get(entry.detections[recordIndex].id))
+      }))
+      .filter(record => !statuses || statuses.has(record.reviewStatus));
+    const gpsData = entry.gps;
+    
+    res.json({
+      success: true,
+      count: metadataData.length,
+      data: metadataData,
+      gps: {
+        count: gpsData.length,
+        data: gpsData,
+        hasGPS: gpsData.length > 0
+      },
+      metadata: {
+        session,
+        camera,
+        anomalyType,
+        source: `${session}/${camera}/${anomalyType}/metadata.csv`
+      }
+    });
+  } catch (error) {
+    res.status(error.status || 404).json({
+      success: false,
+      error: error.message,
+      message: `Metadata not found for ${req.params.session}/${req.params.camera}/${req.params.anomalyType}`
+    });
+  }
+});
+
+// NEW: Canonical field mapping and schema warnings for every metadata file
+api.get('/schema', async (req, res) => {
+  try {
+    const index = await indexReady(req.dataset, req.user);
+    const files = index.getEntries().map(entry => ({
+      session: entry.session,
+      camera: entry.camera,
+      anomalyType: entry.anomalyType,
+      source: entry.relativePath,
+      mapping: entry.schema.mapping,
+      warnings: entry.schema.warnings
+    }));
+    
+    res.json({
+      success: true,
+      count: files.length,
+      filesWithWarnings: files.filter(file => file.warnings.length > 0).length,
+      canonicalFields: Object.keys(CANONICAL_FIELDS),
+      data: files
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Failed to read metadata schemas'
+    });
+  }
+});
+
+// NEW: Inferred column types and canonical field mapping for one metadata file
+api.get('/schema/:session/:camera/:anomalyType', async (req, res) => {
+  try {
+    const { session, camera, anomalyType } = req.params;
+    const index = await indexReady(req.dataset, req.user);
+    const entry = index.getEntry(session, camera, anomalyType);
+    
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: `File not found: ${session}/${camera}/${anomalyType}/metadata.csv`,
+        message: `Schema not found for ${session}/${camera}/${anomalyType}`
+      });
+    }
+    
+    res.json({
+      success: true,
+      session,
+      camera,
+      anomalyType,
+      source: entry.relativePath,
+      rowCount: entry.records.length,
+      ...entry.schema
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: `Failed to read schema for ${req.params.session}/${req.params.camera}/${req.params.anomalyType}`
+    });
+  }
+});
+
+// NEW: Session clocks and the timestamp formats found in each session's metadata
+api.get('/timestamps', async (req, res) => {
+  try {
+    const index = await indexReady(req.dataset, req.user);
+    const sessions = {};
+    
+    for (const entry of index.getEntries()) {
+      if (!sessions[entry.session]) {
+        sessions[entry.session] = {
+          session: entry.session,
+          clock: describeClock(await index.getSessionClock(entry.session)),
+          records: 0,
+          formats: {},
+          unparsed: 0,
+          corrected: 0,
+          firstTimestamp: null,
+          lastTimestamp: null
+        };
+      }
+      const summary = sessions[entry.session];
+      
+      entry.records.forEach(record => {
+        const value = getCanonicalValue(record, entry.schema, 'timestamp');
+        const parsed = parseTimestamp(value, entry.clock);
+        summary.records++;
+        if (!parsed) {
+          if (value !== null) summary.unparsed++;
+          return;
+        }
+        summary.formats[parsed.format] = (summary.formats[parsed.format] || 0) + 1;
+        if (parsed.corrected) summary.corrected++;
+        const iso = new Date(parsed.ms).toISOString();
+        if (!summary.firstTimestamp || iso < summary.firstTimestamp) summary.firstTimestamp = iso;
+        if (!summary.lastTimestamp || iso > summary.lastTimestamp) summary.lastTimestamp = iso;
+      });
+    }
+    
+    res.json({
+      success: true,
+      defaults: {
+        timezone: timestampConfig.timezone,
+        dateOrder: timestampConfig.dateOrder,
+        clockOffsetSeconds: timestampConfig.clockOffsetSeconds,
+        gpsCorrection: timestampConfig.gpsCorrection
+      },
+      data: Object.values(sessions)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Failed to summarise timestamps'
+    });
+  }
+});
+
+// Get all anomalies for a specific camera across all sessions (now includes GPS)
+api.get('/camera/:camera/anomalies', async (req, res) => {
+  try {
+    const { camera } = req.params;
+    const index = await indexReady(req.dataset, req.user);
+    const cameraFiles = index.getEntries({ camera });
+    const reviews = getReviewStore(req.dataset);
+    
+    const anomalies = [];
+    for (const file of cameraFiles) {
+      try {
+        if (file.error) throw new Error(file.error);
+        
+        const reviewed = reviewedEntry(reviews, file);
+        const data = reviewed.records;
+        const gpsData = reviewed.gps;
+        const images = file.images;
+        
+        anomalies.push({
+          session: file.session,
+          anomalyType: file.anomalyType,
+          count: data.length,
+          imageCount: images.length,
+          gpsCount: gpsData.length,
+          data: data,
+          gps: gpsData,
+          images: images.slice(0, 5).map(img => ({ ...describeImage(req.dataset, file.session, file.camera, file.anomalyType, img), records: reviewed.imageRecords(img) })), // First 5 images as preview
+          hasGPS: gpsData.length > 0
+        });
+      } catch (error) {
+        console.error(`Error reading ${file.path}:`, error.message);
+      }
+    }
+    
+    res.json({
+      success: true,
+      camera,
+      anomalyCount: anomalies.length,
+      totalGPSPoints: anomalies.reduce((sum, a) => sum + a.gpsCount, 0),
+      anomalies
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: `Failed to get anomalies for camera ${req.params.camera}`
+    });
+  }
+});
+
+// Get dashboard summary with all data including images and GPS
+api.get('/dashboard', async (req, res) => {
+  try {
+    const dashboard = {
+      success: true,
+      timestamp: new Date().toISOString(),
+      summary: {}
+    };
+
+    const index = await indexReady(req.dataset, req.user);
+
+    // GPS Data from log file
+    try {
+      const gpsData = await index.getSessionCSV('F2', 'gps_log.csv');
+      dashboard.summary.gps = {
+        available: true,
+        recordCount: gpsData.length,
+        lastRecord: gpsData[gpsData.length - 1] || null,
+        source: 'gps_log.csv'
+      };
+    } catch (error) {
+      dashboard.summary.gps = { available: false, error: redactServerPaths(error.message), source: 'gps_log.csv' };
+    }
+
+    // System Metrics: every session's latest normalised values and threshold breaches
+    try {
+      const sessions = await findMetricSessions(index);
+      if (sessions.length === 0) throw new Error(`No ${METRICS_FILE} found`);
+      const metricsData = await index.getSessionCSV(sessions[0], METRICS_FILE);
+      const bySession = [];
+      for (const session of sessions) {
+        const series = await getMetricSeries(index, session);
+        const { latest } = describeMetricSeries(series);
+        bySession.push({
+          session,
+          recordCount: series.rows,
+          latest,
+          breaches: findThresholdBreaches(series, series.points, metricsConfig.thresholds).length
+        });
+      }
+      dashboard.summary.systemMetrics = {
+        available: true,
+        recordCount: metricsData.length,
+        lastRecord: metricsData[metricsData.length - 1] || null,
+        source: `${sessions[0]}/${METRICS_FILE}`,
+        sessions: bySession
+      };
+    } catch (error) {
+      dashboard.summary.systemMetrics = { available: false, error: redactServerPaths(error.message) };
+    }
+
+    // Anomaly Detection Summary with Images and GPS; ?reviewStatus= counts only matching records
+    const metadataFiles = index.getEntries();
+    const reviewFilter = parseReviewStatusFilter(req.query.reviewStatus);
+    const reviews = getReviewStore(req.dataset);
+    const reviewTotals = Object.fromEntries(REVIEW_STATUSES.map(status => [status, 0]));
+    const anomalySummary = {};
+    let totalImages = 0;
+    let totalGPSPoints = 0;
+    let filesWithGPS = 0;
+    
+    for (const file of metadataFiles) {
+      try {
+        if (file.error) throw new Error(file.error);
+        
+        const statuses = file.detections.map(detection => reviewStatus(reviews.get(detection.id)));
+        const data = file.records.filter((record, recordIndex) => !reviewFilter || reviewFilter.has(statuses[recordIndex]));
+        const gpsData = file.gps;
+        const images = file.images;
+        totalImages += images.length;
+        totalGPSPoints += gpsData.length;
+        statuses.forEach(status => reviewTotals[status]++);
+        
+        if (gpsData.length > 0) filesWithGPS++;
+        
+        if (!anomalySummary[file.camera]) {
+          anomalySummary[file.camera] = {};
+        }
+        
+        anomalySummary[file.camera][file.anomalyType] = {
+          session: file.session,
+          recordCount: data.length,
+          imageCount: images.length,
+          gpsCount: gpsData.length,
+          hasGPS: gpsData.length > 0,
+          lastDetection: data[data.length - 1] || null,
+          reviews: countBy(statuses.map(status => ({ status })), 'status'),
+          sampleImages: images.slice(0, 3).map(img => {
+            const { name, url, thumbnailUrl } = describeImage(req.dataset, file.session, file.camera, file.anomalyType, img);
+            return { name, url, thumbnailUrl };
+          }),
+          sampleGPS: gpsData.slice(0, 3)
+        };
+      } catch (error) {
+        console.error(`Error processing ${file.path}:`, error.message);
+      }
+    }
+    
+    dashboard.summary.anomalies = anomalySummary;
+    dashboard.summary.totalMetadataFiles = metadataFiles.length;
+    dashboard.summary.totalImages = totalImages;
+    dashboard.summary.totalGPSPointsFromMetadata = totalGPSPoints;
+    dashboard.summary.gpsPointsInterpolated = metadataFiles.reduce((sum, file) => sum + file.gps.filter(point => point.gpsSource === 'interpolated').length, 0);
+    dashboard.summary.gpsPointsMeasured = totalGPSPoints - dashboard.summary.gpsPointsInterpolated;
+    dashboard.summary.filesWithGPS = filesWithGPS;
+    dashboard.summary.metadataGPSCoverage = ((filesWithGPS / metadataFiles.length) * 100).toFixed(1) + '%';
+    dashboard.summary.index = {
+      status: index.status,
+      lastRefresh: index.lastRefresh
+    };
+    dashboard.summary.reviews = {
+      ...reviewTotals,
+      filter: reviewFilter ? [...reviewFilter] : null
+    };
+    
+    // Real-world counts: duplicate sightings across frames and cameras merged into incidents
+    const incidents = (await findIncidents(req.dataset, {}, parseIncidentOptions({}), req.user)).map(({ incident }) => incident);
+    dashboard.summary.incidents = {
+      total: incidents.length,
+      byClass: countBy(incidents, 'anomalyType'),
+      detections: incidents.reduce((sum, incident) => sum + incident.detectionCount, 0)
+    };
+
+    res.json(dashboard);
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      message: 'Failed to generate dashboard'
+    });
+  }
+});
+
+// Get anomalies by type across all cameras (now includes GPS)
+api.get('/anomalies/:anomalyType', async (req, res) => {
+  try {
+    const { anomalyType } = req.params;
+    const index = await indexReady(req.dataset, req.user);
+    const anomalyFiles = index.getEntries({ anomalyType });
+    const reviews = getReviewStore(req.dataset);
+    
+    const results = [];
+    let totalGPSPoints = 0;
+    
+    for (const file of anomalyFiles) {
+      try {
+        if (file.error) throw new Error(file.error);
+        
+        const reviewed = reviewedEntry(reviews, file);
+        const data = reviewed.records;
+        const gpsData = reviewed.gps;
+        const images = file.images;
+        totalGPSPoints += gpsData.length;
+        
+        results.push({
+          session: file.session,
+          camera: file.camera,
+          count: data.length,
+          imageCount: images.length,
+          gpsCount: gpsData.length,
+          hasGPS: gpsData.length > 0,
+          data: data,
+          gps: gpsData,
+          images: images.slice(0, 5).map(img => ({ ...describeImage(req.dataset, file.session, file.camera, file.anomalyType, img), records: reviewed.imageRecords(img) }))
+        });
+      } catch (error) {
+        console.error(`Error reading ${file.path}:`, error.message);
+      }
+    }
+    
+    const incidents = await findIncidents(req.dataset, { anomalyType }, parseIncidentOptions({}), req.user);
+    
+    res.json({
+      success: true,
+      anomalyType,
+      cameraCount: results.length,
+      totalDetections: results.reduce((sum, r) => sum + r.count, 0),
+      incidentCount: incidents.length,
+      totalImages: results.reduce((sum, r) => sum + r.imageCount, 0),
+      totalGPSPoints: totalGPSPoints,
+      camerasWithGPS: results.filter(r => r.hasGPS).length,
+      cameras: results
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: `Failed to get ${req.params.anomalyType} anomalies`
+    });
+  }
+});
+
+// Compile search options (column filters, where=, filter=, q=, startDate/endDate and hasGPS)
+// into one record test. Plain session/camera/anomalyType values are returned as a lookup
+// so callers can narrow the metadata files before testing records.
+const buildSearchPredicate = (options) => {
+  const { session, camera, anomalyType, startDate, endDate, hasGPS } = options;
+  const filter = buildSearchFilter(options);
+  const matches = compileFilter(filter);
+
+  const exact = (value) => (typeof value === 'string' ? value : undefined);
+  const start = startDate ? parseTimestamp(startDate, sessionClockConfig(exact(session))) : null;
+  const end = endDate ? parseTimestamp(endDate, sessionClockConfig(exact(session))) : null;
+  if ((startDate && !start) || (endDate && !end)) throw badRequest('startDate and endDate must be valid timestamps');
+
+  const inRange = (record) => {
+    if ((!start && !end) || !record.timestampISO) return true;
+
+    const recordTime = Date.parse(record.timestampISO);
+    if (start && recordTime < start.ms) return false;
+    if (end && recordTime > end.ms) return false;
+    return true;
+  };
+  const wantsGPS = hasGPS === undefined ? undefined : hasGPS === true || hasGPS === 'true';
+
+  return {
+    filter,
+    lookup: { session: exact(session), camera: exact(camera), anomalyType: exact(anomalyType) },
+    range: { start: start ? start.ms : null, end: end ? end.ms : null },
+    test: (record) => inRange(record) && (wantsGPS === undefined || record.hasGPS === wantsGPS) && matches(record)
+  };
+};
+
+// Search detection records with filters, sorting, paging and field projection.
+// Options come from the query string (GET) or the query string merged with a JSON body (POST).
+const searchRecords = async (req, res, options) => {
+  try {
+    const { 
+      session, 
+      camera, 
+      anomalyType, 
+      startDate, 
+      endDate,
+      hasGPS
+    } = options;
+    
+    const { filter, lookup, test } = buildSearchPredicate(options);
+    const index = await indexReady(req.dataset, req.user);
+    const reviews = getReviewStore(req.dataset);
+    const records = index.getDetections(lookup)
+      .map(detection => withReview(reviews, detection))
+      .filter(test);
+    
+    const page = paginateRecords(records, options);
+    
+    res.json({
+      success: true,
+      filters: { session, camera, anomalyType, startDate, endDate, hasGPS },
+      query: filter,
+      ...page
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      message: 'Search failed'
+    });
+  }
+};
+
+api.get('/search', (req, res) => searchRecords(req, res, req.query));
+
+api.post('/search', (req, res) => searchRecords(req, res, { ...req.query, ...(req.body || {}) }));
+
+// ---------------------------------------------------------------------------
+// Streaming exports: search results and GPS points written as NDJSON or CSV
+// with chunked transfer, one record at a time, waiting for the client to drain
+// the socket so memory stays flat however large the result is
+//
+//   curl -N 'http://host/api/stream/search/ndjson?anomalyType=pothole&confidence[gte]=0.8'
+//   curl -o track.csv 'http://host/api/stream/gps/csv?session=F2&source=gps_log.csv'
+// ---------------------------------------------------------------------------
+
+const STREAM_FORMATS = {
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+  csv: { contentType: 'text/csv', extension: 'csv' }
+};
+
+// CSV columns when fields= is not given (NDJSON lines carry the whole record)
+const STREAM_DEFAULT_COLUMNS = {
+  search: ['id', 'session', 'camera', 'anomalyType', 'recordIndex', 'timestamp', 'timestampISO', 'latitude', 'longitude', 'hasGPS', 'confidence', 'imageName', 'reviewStatus', 'reviewLabel'],
+  gps: ['session', 'source', 'camera', 'anomalyType', 'recordIndex', 'timestamp', 'timestampISO', 'latitude', 'longitude', 'speed']
+};
+
+// Query parameters the streams reject: results come in index/file order and are never buffered
+const STREAM_UNSUPPORTED_PARAMS = ['sort', 'offset', 'cursor'];
+
+// Quote a CSV cell when needed; objects and arrays are written as JSON
+const csvCell = (value) => {
+  if (isMissing(value)) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Download name for Content-Disposition: folder names may hold quotes or non-ASCII characters a header cannot carry
+const attachmentName = (name) => String(name).replace(/[^A-Za-z0-9._-]+/g, '_');
+
+// Check stream options up front so bad requests still get a JSON 400; the rest of
+// the options (without download=, which only sets Content-Disposition) select records
+const parseStreamOptions = ({ download, ...options }) => {
+  const unsupported = STREAM_UNSUPPORTED_PARAMS.filter(name => options[name] !== undefined);
+  if (unsupported.length > 0) {
+    throw badRequest(`${unsupported.join(', ')} not supported on streams: records are written in index order`);
+  }
+
+  let limit = null;
+  if (options.limit !== undefined) {
+    limit = Number(options.limit);
+    if (!Number.isInteger(limit) || limit < 1) throw badRequest(`Invalid limit: ${options.limit}`);
+  }
+
+  return { limit, fields: parseFields(options.fields), selection: options };
+};
+
+// Write chunks to a response as fast as the client drains it; write() resolves
+// false once the client has gone away, so producers can stop reading
+const createStreamWriter = (res) => {
+  let closed = false;
+  res.on('close', () => { closed = true; });
+
+  return {
+    get closed() {
+      return closed;
+    },
+    write: async (chunk) => {
+      if (closed) return false;
+      if (!res.write(chunk)) {
+        await new Promise(resolve => {
+          const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+          };
+          res.on('drain', done);
+          res.on('close', done);
+        });
+      }
+      return !closed;
+    }
+  };
+};
+
+// Start a chunked response and return a writer whose push() resolves once the record is
+// buffered and the socket has drained; push() returns false when the client has gone away
+// or the limit is reached, so producers stop reading
+const createRecordStream = (req, res, { format, columns, fileName, limit }) => {
+  const { contentType } = STREAM_FORMATS[format];
+  const writer = createStreamWriter(res);
+  let count = 0;
+
+  res.status(200);
+  res.setHeader('Content-Type', `${contentType}; charset=utf-8`);
+  res.setHeader('Cache-Control', 'no-store');
+  if (req.query.download !== 'false') {
+    res.setHeader('Content-Disposition', `attachment; filename="${attachmentName(fileName)}.${STREAM_FORMATS[format].extension}"`);
+  }
+
+  if (format === 'csv') writer.write(`${columns.map(csvCell).join(',')}\n`);
+
+  return {
+    get count() {
+      return count;
+    },
+    push: async (record) => {
+      if (limit !== null && count >= limit) return false;
+      count++;
+      const line = format === 'csv'
+        ? columns.map(column => csvCell(record[column])).join(',')
+        : JSON.stringify(record);
+      return (await writer.write(`${line}\n`)) && (limit === null || count < limit);
+    },
+    end: () => {
+      if (!writer.closed) res.end();
+    },
+    // Headers are gone by now, so a failure can only cut the response short;
+    // clients see a truncated chunked body instead of a clean end
+    fail: (error) => {
+      console.error(`Stream ${req.originalUrl.split('?')[0]} failed after ${count} records:`, error.message);
+      res.destroy(error);
+    }
+  };
+};
+
+// Stream detection records matching the same filters as /api/search
+const streamSearch = async (req, res, options) => {
+  let stream = null;
+  try {
+    const { limit, fields, selection } = parseStreamOptions(options);
+    const { lookup, test } = buildSearchPredicate(selection);
+    const index = await indexReady(req.dataset, req.user);
+    const reviews = getReviewStore(req.dataset);
+
+    stream = createRecordStream(req, res, {
+      format: req.params.format,
+      columns: fields || STREAM_DEFAULT_COLUMNS.search,
+      fileName: `${req.dataset.id}-search`,
+      limit
+    });
+
+    const matching = function* () {
+      for (const entry of index.getEntries(lookup)) {
+        for (const detection of entry.detections || []) {
+          const record = withReview(reviews, detection);
+          if (test(record)) yield record;
+        }
+      }
+    };
+
+    for (const record of matching()) {
+      if (!(await stream.push(projectRecord(record, fields)))) break;
+    }
+    stream.end();
+  } catch (error) {
+    if (stream) return stream.fail(error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      message: 'Search stream failed'
+    });
+  }
+};
+
+api.get('/stream/search/:format(ndjson|csv)', audited('export-stream'), (req, res) => streamSearch(req, res, req.query));
+
+api.post('/stream/search/:format(ndjson|csv)', audited('export-stream'), (req, res) => streamSearch(req, res, { ...req.query, ...(req.body || {}) }));
+
+// gps_log.csv points of one session, parsed row by row from disk; the schema is
+// resolved from the first rows, which are held back until it is known
+const streamGpsLog = async function* (index, dataset, session) {
+  const { absolute } = await resolveDataPath(dataset, path.join(session, 'gps_log.csv'));
+  const clock = await index.getSessionClock(session);
+  const sample = [];
+  let schema = null;
+  let recordIndex = 0;
+
+  const flushSample = function* () {
+    schema = resolveSchema(sample, { session, file: 'gps_log.csv' });
+    for (const record of sample.splice(0)) {
+      const point = standardizeGpsPoint(record, recordIndex++, session, schema, clock);
+      if (hasCoordinates(point)) yield point;
+    }
+  };
+
+  for await (const record of streamCSV(absolute)) {
+    if (!schema) {
+      sample.push(record);
+      if (sample.length >= SCHEMA_SAMPLE_SIZE) yield* flushSample();
+      continue;
+    }
+    const point = standardizeGpsPoint(record, recordIndex++, session, schema, clock);
+    if (hasCoordinates(point)) yield point;
+  }
+  if (!schema) yield* flushSample();
+};
+
+// NEW: Stream GPS points from gps_log.csv files and metadata rows, filtered like /api/search
+// (source=gps_log.csv or source=metadata.csv picks one of them). Points come per session
+// in file order rather than sorted by time.
+api.get('/stream/gps/:format(ndjson|csv)', audited('export-stream'), async (req, res) => {
+  let stream = null;
+  try {
+    const { limit, fields, selection } = parseStreamOptions(req.query);
+    // hasGPS means nothing here: every point has coordinates
+    const { lookup, test } = buildSearchPredicate({ ...selection, hasGPS: undefined });
+    const source = typeof req.query.source === 'string' ? req.query.source : undefined;
+    const index = await indexReady(req.dataset, req.user);
+
+    const logSessions = source && source !== 'gps_log.csv'
+      ? []
+      : (await index.findSessionFiles('gps_log.csv')).filter(name => !lookup.session || name === lookup.session);
+
+    stream = createRecordStream(req, res, {
+      format: req.params.format,
+      // GPS points have no record id
+      columns: fields ? fields.filter(field => field !== 'id') : STREAM_DEFAULT_COLUMNS.gps,
+      fileName: `${req.dataset.id}-gps-${lookup.session || 'all'}`,
+      limit
+    });
+
+    const matching = async function* () {
+      for (const session of logSessions) {
+        for await (const point of streamGpsLog(index, req.dataset, session)) {
+          if (test(point)) yield point;
+        }
+      }
+      if (source && source !== 'metadata.csv') return;
+      for (const entry of index.getEntries(lookup)) {
+        for (const gps of entry.gps) {
+          const point = { ...gps, source: 'metadata.csv' };
+          if (test(point)) yield point;
+        }
+      }
+    };
+
+    // Leaving the loop early closes the gps_log.csv being read
+    for await (const point of matching()) {
+      if (!(await stream.push(projectRecord(point, fields)))) break;
+    }
+    stream.end();
+  } catch (error) {
+    if (stream) return stream.fail(error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      message: 'GPS stream failed'
+    });
+  }
+});
+
+// NEW: Get GPS data for a specific session/camera/anomaly type
+api.get('/gps/:session/:camera/:anomalyType', async (req, res) => {
+  try {
+    const { session, camera, anomalyType } = req.params;
+    const index = await indexReady(req.dataset, req.user);
+    const entry = index.getEntry(session, camera, anomalyType);
+    
+    if (!entry) throw new Error(`File not found: ${session}/${camera}/${anomalyType}/metadata.csv`);
+    
+    const gpsData = reviewedEntry(getReviewStore(req.dataset), entry).gps;
+    
+    if (gpsData.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: `No GPS data found for ${session}/${camera}/${anomalyType}`,
+        session,
+        camera,
+        anomalyType,
+        gpsCount: 0
+      });
+    }
+    
+    res.json({
+      success: true,
+      session,
+      camera,
+      anomalyType,
+      count: gpsData.length,
+      data: gpsData,
+      bounds: {
+        latRange: [
+          Math.min(...gpsData.map(p => p.latitude)),
+          Math.max(...gpsData.map(p => p.latitude))
+        ],
+        lngRange: [
+          Math.min(...gpsData.map(p => p.longitude)),
+          Math.max(...gpsData.map(p => p.longitude))
+        ]
+      },
+      metadata: {
+        source: `${session}/${camera}/${anomalyType}/metadata.csv`,
+        type: 'GPS data extracted from metadata'
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: `Failed to get GPS data for ${req.params.session}/${req.params.camera}/${req.params.anomalyType}`
+    });
+  }
+});
+
+// NEW: Get GPS heatmap data for visualization
+api.get('/gps/heatmap', async (req, res) => {
+  try {
+    const { session, camera, anomalyType, precision = 4 } = req.query;
+    const precisionLevel = parseInt(precision);
+    
+    const index = await indexReady(req.dataset, req.user);
+    const allGPSData = [];
+    
+    // Get GPS data from the matching metadata files
+    for (const file of index.getEntries({ session, camera, anomalyType })) {
+      allGPSData.push(...file.gps);
+    }
+    
+    // Create heatmap points by rounding coordinates to specified precision
+    const heatmapData = {};
+    
+    allGPSData.forEach(point => {
+      const lat = parseFloat(point.latitude.toFixed(precisionLevel));
+      const lng = parseFloat(point.longitude.toFixed(precisionLevel));
+      const key = `${lat},${lng}`;
+      
+      if (!heatmapData[key]) {
+        heatmapData[key] = {
+          latitude: lat,
+          longitude: lng,
+          count: 0,
+          sessions: new Set(),
+          cameras: new Set(),
+          anomalyTypes: new Set()
+        };
+      }
+      
+      heatmapData[key].count++;
+      heatmapData[key].sessions.add(point.session);
+      heatmapData[key].cameras.add(point.camera);
+      heatmapData[key].anomalyTypes.add(point.anomalyType);
+    });
+    
+    // Convert to array and add metadata
+    const heatmapPoints = Object.values(heatmapData).map(point => ({
+      latitude: point.latitude,
+      longitude: point.longitude,
+      intensity: point.count,
+      sessions: Array.from(point.sessions),
+      cameras: Array.from(point.cameras),
+      anomalyTypes: Array.from(point.anomalyTypes)
+    }));
+    
+    res.json({
+      success: true,
+      count: heatmapPoints.length,
+      totalPoints: allGPSData.length,
+      data: heatmapPoints,
+      filters: { session, camera, anomalyType, precision: precisionLevel },
+      metadata: {
+        type: 'GPS heatmap data',
+        description: 'Aggregated GPS points for visualization'
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Failed to generate GPS heatmap data'
+    });
+  }
+});
+
+// Detections with GPS positions matching a spatial predicate, paged like /api/search
+const spatialSearch = async (req, res, options, spatialQuery, locate) => {
+  try {
+    const { session, camera, anomalyType } = options;
+    const index = await indexReady(req.dataset, req.user);
+
+    const matches = [];
+    index.getDetections({ session, camera, anomalyType }).forEach(detection => {
+      if (!detection.hasGPS) return;
+      const extra = locate(detection);
+      if (extra) matches.push({ ...withImageUrl(req.dataset, detection), ...extra });
+    });
+
+    const page = paginateRecords(matches, {
+      ...options,
+      sort: options.sort || (spatialQuery.type === 'radius' ? 'distanceMeters' : undefined)
+    });
+
+    res.json({
+      success: true,
+      spatialQuery,
+      filters: { session, camera, anomalyType },
+      ...page,
+      metadata: {
+        type: 'Detections within an area',
+        description: 'Detections whose GPS position falls inside the requested area, with their image URLs'
+      }
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      message: `Failed to run ${spatialQuery ? spatialQuery.type : 'spatial'} query`
+    });
+  }
+};
+
+// NEW: Detections inside a bounding box
+api.get('/gps/bbox', (req, res) => {
+  let box;
+  try {
+    box = parseBoundingBox(req.query);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message, message: 'Invalid bounding box' });
+  }
+
+  spatialSearch(req, res, req.query, { type: 'bbox', ...box },
+    detection => (inBoundingBox(detection.latitude, detection.longitude, box) ? {} : null));
+});
+
+// NEW: Detections within N metres of a point
+api.get('/gps/radius', (req, res) => {
+  let center, radius;
+  try {
+    center = {
+      latitude: parseCoordinate(req.query.lat, 'lat', -90, 90),
+      longitude: parseCoordinate(req.query.lng, 'lng', -180, 180)
+    };
+    radius = parseCoordinate(req.query.radius, 'radius', 0, EARTH_RADIUS_METERS * Math.PI);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message, message: 'Invalid radius query' });
+  }
+
+  spatialSearch(req, res, req.query, { type: 'radius', center, radiusMeters: radius }, detection => {
+    const distance = haversineDistance(center.latitude, center.longitude, detection.latitude, detection.longitude);
+    return distance <= radius ? { distanceMeters: Math.round(distance * 10) / 10 } : null;
+  });
+});
+
+// NEW: Detections inside a GeoJSON polygon supplied in the body
+api.post('/gps/polygon', (req, res) => {
+  const options = { ...req.query, ...(req.body || {}) };
+  let polygons;
+  try {
+    polygons = validatePolygons(extractPolygons(options.polygon || options.geometry));
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message, message: 'Invalid polygon' });
+  }
+
+  spatialSearch(req, res, options, { type: 'polygon', polygonCount: polygons.length },
+    detection => (polygons.some(rings => pointInPolygon(detection.longitude, detection.latitude, rings)) ? {} : null));
+});
+
+// ---------------------------------------------------------------------------
+// Map exports: GeoJSON, KML and GPX of detections and gps_log.csv tracks
+// ---------------------------------------------------------------------------
+
+const EXPORT_CLASS_COLORS = ['e6194b', '3cb44b', 'ffe119', '4363d8', 'f58231', '911eb4', '46f0f0', 'f032e6', 'bcf60c', 'fabebe'];
+
+// Stable colour (RRGGBB) per anomaly class
+const classColor = (anomalyType) => {
+  let hash = 0;
+  for (const char of String(anomalyType)) hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  return EXPORT_CLASS_COLORS[hash % EXPORT_CLASS_COLORS.length];
+};
+
+// KML colours are aabbggrr
+const kmlColor = (rgb, alpha = 'ff') => `${alpha}${rgb.slice(4, 6)}${rgb.slice(2, 4)}${rgb.slice(0, 2)}`;
+
+const escapeXml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Gather detections and GPS tracks for an export request
+const collectExportData = async (req) => {
+  const { session, camera, anomalyType, include = 'detections,track' } = req.query;
+  const parts = String(include).split(',').map(part => part.trim());
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+  const index = await indexReady(req.dataset, req.user);
+
+  const detections = parts.includes('detections')
+    ? index.getDetections({ session, camera, anomalyType })
+      .filter(detection => detection.hasGPS)
+      .map(detection => {
+        const withUrl = withImageUrl(req.dataset, detection);
+        return { ...withUrl, imageUrl: withUrl.imageUrl ? baseUrl + withUrl.imageUrl : null };
+      })
+    : [];
+
+  const tracks = [];
+  if (parts.includes('track')) {
+    const sessions = (await index.findSessionFiles('gps_log.csv')).filter(name => !session || name === session);
+    for (const name of sessions) {
+      try {
+        const points = standardizeGpsLog(await index.getSessionCSV(name, 'gps_log.csv'), name, undefined, await index.getSessionClock(name));
+        if (points.length > 0) tracks.push({ session: name, points });
+      } catch (error) {
+        // Access and request errors answer the export; an unreadable log only drops its track
+        if (error.status) throw error;
+        console.error(`Error reading GPS log for ${name}:`, error.message);
+      }
+    }
+  }
+
+  return { detections, tracks, filters: { session, camera, anomalyType, include: parts } };
+};
+
+// Properties exported for each detection point
+const detectionProperties = (detection) => ({
+  id: detection.id,
+  session: detection.session,
+  camera: detection.camera,
+  anomalyType: detection.anomalyType,
+  recordIndex: detection.recordIndex,
+  timestamp: detection.timestamp || null,
+  timestampISO: detection.timestampISO || null,
+  confidence: detection.confidence !== undefined ? parseFloat(detection.confidence) : null,
+  imageUrl: detection.imageUrl,
+  color: `#${classColor(detection.anomalyType)}`
+});
+
+const toGeoJSON = ({ detections, tracks }, dataset) => ({
+  type: 'FeatureCollection',
+  name: `${dataset.id}-detections`,
+  features: [
+    // A LineString needs two positions; a session with a single fix exports it as a Point
+    ...tracks.map(track => ({
+      type: 'Feature',
+      geometry: track.points.length > 1
+        ? { type: 'LineString', coordinates: track.points.map(point => [point.longitude, point.latitude]) }
+        : { type: 'Point', coordinates: [track.points[0].longitude, track.points[0].latitude] },
+      properties: {
+        kind: 'track',
+        session: track.session,
+        source: `${track.session}/gps_log.csv`,
+        pointCount: track.points.length,
+        startTime: track.points[0].timestampISO,
+        endTime: track.points[track.points.length - 1].timestampISO
+      }
+    })),
+    ...detections.map(detection => ({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [detection.longitude, detection.latitude] },
+      properties: { kind: 'detection', ...detectionProperties(detection) }
+    }))
+  ]
+});
+
+const toKML = ({ detections, tracks }, dataset) => {
+  const classes = [...new Set(detections.map(detection => detection.anomalyType))].sort();
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '<Document>',
+    `<name>${escapeXml(dataset.name)}</name>`,
+    '<Style id="track"><LineStyle><color>ffff7800</color><width>3</width></LineStyle></Style>'
+  ];
+
+  classes.forEach(anomalyType => {
+    lines.push(
+      `<Style id="class-${escapeXml(anomalyType)}"><IconStyle><color>${kmlColor(classColor(anomalyType))}</color>` +
+      '<Icon><href>http://maps.google.com/mapfiles/kml/shapes/placemark_circle.png</href></Icon></IconStyle></Style>'
+    );
+  });
+
+  if (tracks.length > 0) {
+    lines.push('<Folder><name>GPS tracks</name>');
+    tracks.forEach(track => {
+      lines.push(
+        '<Placemark>',
+        `<name>${escapeXml(track.session)} track</name>`,
+        '<styleUrl>#track</styleUrl>',
+        track.points.length > 1 ? '<LineString><tessellate>1</tessellate><coordinates>' : '<Point><coordinates>',
+        track.points.map(point => `${point.longitude},${point.latitude},0`).join(' '),
+        track.points.length > 1 ? '</coordinates></LineString>' : '</coordinates></Point>',
+        '</Placemark>'
+      );
+    });
+    lines.push('</Folder>');
+  }
+
+  classes.forEach(anomalyType => {
+    lines.push(`<Folder><name>${escapeXml(anomalyType)}</name>`);
+    detections.filter(detection => detection.anomalyType === anomalyType).forEach(detection => {
+      const properties = detectionProperties(detection);
+      const time = properties.timestampISO;
+      lines.push(
+        '<Placemark>',
+        `<name>${escapeXml(`${detection.camera} ${anomalyType} #${detection.recordIndex}`)}</name>`,
+        `<styleUrl>#class-${escapeXml(anomalyType)}</styleUrl>`,
+        time ? `<TimeStamp><when>${time}</when></TimeStamp>` : '',
+        // Escaped as an HTML attribute, which also turns a "]]>" in the name into "]]&gt;"
+        properties.imageUrl ? `<description><![CDATA[<img src="${escapeXml(properties.imageUrl)}" width="400"/>]]></description>` : '',
+        '<ExtendedData>',
+        ...Object.entries(properties)
+          .filter(([, value]) => value !== null && value !== undefined)
+          .map(([key, value]) => `<Data name="${escapeXml(key)}"><value>${escapeXml(value)}</value></Data>`),
+        '</ExtendedData>',
+        `<Point><coordinates>${detection.longitude},${detection.latitude},0</coordinates></Point>`,
+        '</Placemark>'
+      );
+    });
+    lines.push('</Folder>');
+  });
+
+  lines.push('</Document>', '</kml>');
+  return lines.filter(Boolean).join('\n');
+};
+
+const toGPX = ({ detections, tracks }, dataset) => {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="mobility-data-server" xmlns="http://www.topografix.com/GPX/1/1">',
+    `<metadata><name>${escapeXml(dataset.name)}</name><time>${new Date().toISOString()}</time></metadata>`
+  ];
+
+  detections.forEach(detection => {
+    const properties = detectionProperties(detection);
+    const time = properties.timestampISO;
+    lines.push(
+      `<wpt lat="${detection.latitude}" lon="${detection.longitude}">`,
+      time ? `<time>${time}</time>` : '',
+      `<name>${escapeXml(`${detection.camera} ${detection.anomalyType} #${detection.recordIndex}`)}</name>`,
+      `<desc>${escapeXml(`${detection.session}/${detection.camera}/${detection.anomalyType}` +
+        (properties.confidence !== null ? ` confidence ${properties.confidence}` : ''))}</desc>`,
+      properties.imageUrl ? `<link href="${escapeXml(properties.imageUrl)}"><text>image</text></link>` : '',
+      `<type>${escapeXml(detection.anomalyType)}</type>`,
+      '</wpt>'
+    );
+  });
+
+  tracks.forEach(track => {
+    lines.push('<trk>', `<name>${escapeXml(track.session)} track</name>`, '<trkseg>');
+    track.points.forEach(point => {
+      const time = point.timestampISO;
+      lines.push(`<trkpt lat="${point.latitude}" lon="${point.longitude}">${time ? `<time>${time}</time>` : ''}</trkpt>`);
+    });
+    lines.push('</trkseg>', '</trk>');
+  });
+
+  lines.push('</gpx>');
+  return lines.filter(Boolean).join('\n');
+};
+
+const MAP_EXPORT_FORMATS = {
+  geojson: { contentType: 'application/geo+json', extension: 'geojson', render: (data, dataset) => JSON.stringify(toGeoJSON(data, dataset)) },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml', render: toKML },
+  gpx: { contentType: 'application/gpx+xml', extension: 'gpx', render: toGPX }
+};
+
+// NEW: Export detections and GPS tracks as GeoJSON, KML or GPX
+api.get('/export/:format(geojson|kml|gpx)', audited('export'), async (req, res) => {
+  try {
+    const format = MAP_EXPORT_FORMATS[req.params.format];
+    const data = await collectExportData(req);
+    const body = format.render(data, req.dataset);
+    const fileName = `${req.dataset.id}-${req.query.session || 'all'}.${format.extension}`;
+
+    // Headers only once the export is built, so an error goes out as plain JSON
+    res.setHeader('Content-Type', `${format.contentType}; charset=utf-8`);
+    if (req.query.download !== 'false') {
+      res.setHeader('Content-Disposition', `attachment; filename="${attachmentName(fileName)}"`);
+    }
+    res.send(body);
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      message: `Failed to export ${req.params.format}`
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Map tiles: per-tile GeoJSON of detections (clustered by zoom) and heatmap cells
+// ---------------------------------------------------------------------------
+
+const TILE_SIZE = 256;
+const MAX_TILE_ZOOM = 22;
+
+const tileConfig = {
+  // At this zoom and above detections are returned individually
+  clusterMaxZoom: parseInt(process.env.TILE_CLUSTER_MAX_ZOOM || config.tiles?.clusterMaxZoom || 16),
+  // Cluster and heatmap cell sizes in screen pixels
+  clusterRadius: parseInt(process.env.TILE_CLUSTER_RADIUS || config.tiles?.clusterRadius || 40),
+  heatmapCellSize: parseInt(process.env.TILE_HEATMAP_CELL_SIZE || config.tiles?.heatmapCellSize || 16)
+};
+
+// Web Mercator world pixel coordinates of a point at zoom z
+const projectToPixels = (lat, lng, z) => {
+  const scale = TILE_SIZE * 2 ** z;
+  const clampedLat = Math.max(-85.05112878, Math.min(85.05112878, lat));
+  const sin = Math.sin(toRadians(clampedLat));
+  return {
+    x: ((lng + 180) / 360) * scale,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale
+  };
+};
+
+// Longitude/latitude of a world pixel at zoom z
+const unprojectPixels = (x, y, z) => {
+  const scale = TILE_SIZE * 2 ** z;
+  const n = Math.PI - (2 * Math.PI * y) / scale;
+  return {
+    lng: (x / scale) * 360 - 180,
+    lat: (180 / Math.PI) * Math.atan(Math.sinh(n))
+  };
+};
+
+const parseTileCoordinates = (params) => {
+  const z = parseInt(params.z);
+  const x = parseInt(params.x);
+  const y = parseInt(String(params.y).replace(/\.(geo)?json$/, ''));
+  if ([z, x, y].some(isNaN) || z < 0 || z > MAX_TILE_ZOOM) {
+    throw badRequest(`Invalid tile ${params.z}/${params.x}/${params.y}`);
+  }
+  const tileCount = 2 ** z;
+  if (x < 0 || x >= tileCount || y < 0 || y >= tileCount) {
+    throw badRequest(`Tile ${z}/${x}/${y} is outside the zoom ${z} grid`);
+  }
+  return { z, x, y };
+};
+
+// Group points into square pixel cells; returns one bucket per non-empty cell
+const bucketByPixels = (points, cellSize) => {
+  const buckets = new Map();
+  points.forEach(point => {
+    const key = `${Math.floor(point.pixel.x / cellSize)},${Math.floor(point.pixel.y / cellSize)}`;
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(point);
+  });
+  return [...buckets.values()];
+};
+
+const countBy = (items, key) => items.reduce((counts, item) => {
+  counts[item[key]] = (counts[item[key]] || 0) + 1;
+  return counts;
+}, {});
+
+const detectionFeature = (dataset, detection) => {
+  const { imageUrl } = withImageUrl(dataset, detection);
+  return {
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [detection.longitude, detection.latitude] },
+    properties: {
+      layer: 'detections',
+      cluster: false,
+      id: detection.id,
+      session: detection.session,
+      camera: detection.camera,
+      anomalyType: detection.anomalyType,
+      timestamp: detection.timestamp || null,
+      confidence: detection.confidence !== undefined ? parseFloat(detection.confidence) : null,
+      imageUrl
+    }
+  };
+};
+
+// Build the GeoJSON features for one tile
+const buildTileFeatures = (dataset, detections, { z, x, y }, layers) => {
+  const minX = x * TILE_SIZE;
+  const minY = y * TILE_SIZE;
+
+  const points = [];
+  detections.forEach(detection => {
+    if (!detection.hasGPS) return;
+    const pixel = projectToPixels(detection.latitude, detection.longitude, z);
+    if (pixel.x >= minX && pixel.x < minX + TILE_SIZE && pixel.y >= minY && pixel.y < minY + TILE_SIZE) {
+      points.push({ detection, pixel });
+    }
+  });
+
+  const features = [];
+
+  if (layers.includes('detections')) {
+    if (z >= tileConfig.clusterMaxZoom) {
+      points.forEach(({ detection }) => features.push(detectionFeature(dataset, detection)));
+    } else {
+      bucketByPixels(points, tileConfig.clusterRadius).forEach(bucket => {
+        if (bucket.length === 1) {
+          features.push(detectionFeature(dataset, bucket[0].detection));
+          return;
+        }
+        const members = bucket.map(point => point.detection);
+        features.push({
+          type: 'Feature',
+          geometry: {
+            type: 'Point',
+            coordinates: [
+              members.reduce((sum, detection) => sum + detection.longitude, 0) / members.length,
+              members.reduce((sum, detection) => sum + detection.latitude, 0) / members.length
+            ]
+          },
+          properties: {
+            layer: 'detections',
+            cluster: true,
+            pointCount: members.length,
+            anomalyTypes: countBy(members, 'anomalyType'),
+            cameras: countBy(members, 'camera'),
+            sessions: countBy(members, 'session')
+          }
+        });
+      });
+    }
+  }
+
+  if (layers.includes('heatmap')) {
+    const cellSize = tileConfig.heatmapCellSize;
+    bucketByPixels(points, cellSize).forEach(bucket => {
+      const cellX = Math.floor(bucket[0].pixel.x / cellSize) * cellSize + cellSize / 2;
+      const cellY = Math.floor(bucket[0].pixel.y / cellSize) * cellSize + cellSize / 2;
+      const center = unprojectPixels(cellX, cellY, z);
+      const members = bucket.map(point => point.detection);
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [center.lng, center.lat] },
+        properties: {
+          layer: 'heatmap',
+          intensity: members.length,
+          anomalyTypes: countBy(members, 'anomalyType'),
+          cameras: countBy(members, 'camera')
         }
-      }
-      
-      sources.push({
-        source: 'metadata.csv files',
-        type: 'GPS from anomaly detection metadata',
-        count: metadataGPSCount
       });
-    } catch (error) {
-      console.warn('Could not extract GPS from metadata files:', error.message);
+    });
+  }
+
+  return { features, pointCount: points.length };
+};
+
+// Serve one map tile for the resolved dataset
+const serveDatasetTile = async (req, res) => {
+  try {
+    const tile = parseTileCoordinates(req.params);
+    const { session, camera, anomalyType, layers = 'detections,heatmap' } = req.query;
+    const layerList = String(layers).split(',').map(layer => layer.trim());
+
+    const index = await indexReady(req.dataset, req.user);
+    const detections = index.getDetections({ session, camera, anomalyType });
+    const { features, pointCount } = buildTileFeatures(req.dataset, detections, tile, layerList);
+
+    res.setHeader('Content-Type', 'application/geo+json; charset=utf-8');
+    res.setHeader('Cache-Control', `${authConfig.enabled ? 'private' : 'public'}, max-age=60`);
+    res.json({
+      type: 'FeatureCollection',
+      tile: { ...tile, clustered: tile.z < tileConfig.clusterMaxZoom, pointCount },
+      features
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      message: 'Failed to build map tile'
+    });
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Trip analysis: cleaned gps_log.csv tracks split into trips at gaps and long
+// stops, with distance/speed stats, stops, simplified polylines and detections
+// ---------------------------------------------------------------------------
+
+const tripDefaults = {
+  // A time gap longer than this between fixes starts a new trip
+  gapSeconds: parseFloat(process.env.TRIP_GAP_SECONDS || config.trips?.gapSeconds || 120),
+  // Staying within stopRadiusMeters for stopSeconds counts as a stop...
+  stopSeconds: parseFloat(process.env.TRIP_STOP_SECONDS || config.trips?.stopSeconds || 60),
+  stopRadiusMeters: parseFloat(process.env.TRIP_STOP_RADIUS_METERS || config.trips?.stopRadiusMeters || 25),
+  // ...and a stop longer than splitStopSeconds ends the trip
+  splitStopSeconds: parseFloat(process.env.TRIP_SPLIT_STOP_SECONDS || config.trips?.splitStopSeconds || 300),
+  // Fixes implying a faster speed than this are GPS jumps and are dropped
+  maxSpeedKmh: parseFloat(process.env.TRIP_MAX_SPEED_KMH || config.trips?.maxSpeedKmh || 200),
+  // Douglas-Peucker tolerance for the display polyline
+  simplifyToleranceMeters: parseFloat(process.env.TRIP_SIMPLIFY_TOLERANCE_METERS || config.trips?.simplifyToleranceMeters || 5)
+};
+
+// Trip options from the query string, falling back to the configured defaults
+const parseTripOptions = (query) => {
+  const options = {};
+  Object.keys(tripDefaults).forEach(key => {
+    if (query[key] === undefined) {
+      options[key] = tripDefaults[key];
+      return;
     }
-    
-    // Sort all GPS data by timestamp
-    allGPSData.sort((a, b) => {
-      if (a.timestamp && b.timestamp) {
-        return new Date(a.timestamp) - new Date(b.timestamp);
+    const value = parseFloat(query[key]);
+    if (isNaN(value) || value < 0) throw badRequest(`${key} must be a non-negative number`);
+    options[key] = value;
+  });
+  return options;
+};
+
+// Drop fixes without a time, null-island/out-of-range drop-outs, duplicates and jumps
+const cleanTrack = (points, { maxSpeedKmh }) => {
+  const stats = { input: points.length, missingTime: 0, dropouts: 0, duplicates: 0, jumps: 0 };
+  const fixes = [];
+
+  points
+    .map(point => ({ ...point, time: point.timestampISO ? Date.parse(point.timestampISO) : null }))
+    .filter(point => {
+      if (point.time === null) {
+        stats.missingTime++;
+        return false;
       }
-      return 0;
+      if ((point.latitude === 0 && point.longitude === 0) || Math.abs(point.latitude) > 90 || Math.abs(point.longitude) > 180) {
+        stats.dropouts++;
+        return false;
+      }
+      return true;
+    })
+    .sort((a, b) => a.time - b.time)
+    .forEach(point => {
+      const previous = fixes[fixes.length - 1];
+      if (previous) {
+        if (point.time === previous.time) {
+          stats.duplicates++;
+          return;
+        }
+        const distance = haversineDistance(previous.latitude, previous.longitude, point.latitude, point.longitude);
+        const speedKmh = (distance / ((point.time - previous.time) / 1000)) * 3.6;
+        if (speedKmh > maxSpeedKmh) {
+          stats.jumps++;
+          return;
+        }
+      }
+      fixes.push(point);
     });
-    
+
+  stats.kept = fixes.length;
+  return { fixes, stats };
+};
+
+// Douglas-Peucker simplification on a local metric projection; returns [lng, lat] pairs
+const simplifyPolyline = (fixes, toleranceMeters) => {
+  if (fixes.length <= 2) return fixes.map(fix => [fix.longitude, fix.latitude]);
+
+  const originLat = toRadians(fixes[0].latitude);
+  const project = (fix) => ({
+    x: fix.longitude * 111320 * Math.cos(originLat),
+    y: fix.latitude * 110540
+  });
+  const projected = fixes.map(project);
+
+  const distanceToSegment = (point, start, end) => {
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((point.x - start.x) * dx + (point.y - start.y) * dy) / lengthSquared));
+    return Math.hypot(point.x - (start.x + t * dx), point.y - (start.y + t * dy));
+  };
+
+  const keep = new Array(fixes.length).fill(false);
+  keep[0] = true;
+  keep[fixes.length - 1] = true;
+  const stack = [[0, fixes.length - 1]];
+
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let maxDistance = 0;
+    let farthest = -1;
+    for (let i = first + 1; i < last; i++) {
+      const distance = distanceToSegment(projected[i], projected[first], projected[last]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        farthest = i;
+      }
+    }
+    if (farthest !== -1 && maxDistance > toleranceMeters) {
+      keep[farthest] = true;
+      stack.push([first, farthest], [farthest, last]);
+    }
+  }
+
+  return fixes.filter((fix, i) => keep[i]).map(fix => [fix.longitude, fix.latitude]);
+};
+
+// Split cleaned fixes into trips at time gaps and long stops, collecting stops on the way
+const splitTrips = (fixes, options) => {
+  const trips = [];
+  let current = { fixes: [], stops: [] };
+
+  const finish = () => {
+    if (current.fixes.length >= 2) trips.push(current);
+    current = { fixes: [], stops: [] };
+  };
+
+  let i = 0;
+  while (i < fixes.length) {
+    const fix = fixes[i];
+    const previous = current.fixes[current.fixes.length - 1];
+    if (previous && (fix.time - previous.time) / 1000 > options.gapSeconds) finish();
+
+    // Extend a stationary run while fixes stay near where it started (and no gap interrupts it)
+    let end = i;
+    while (end + 1 < fixes.length &&
+      (fixes[end + 1].time - fixes[end].time) / 1000 <= options.gapSeconds &&
+      haversineDistance(fix.latitude, fix.longitude, fixes[end + 1].latitude, fixes[end + 1].longitude) <= options.stopRadiusMeters) {
+      end++;
+    }
+
+    const dwellSeconds = (fixes[end].time - fix.time) / 1000;
+    if (end > i && dwellSeconds >= options.stopSeconds) {
+      const run = fixes.slice(i, end + 1);
+      const stop = {
+        latitude: run.reduce((sum, point) => sum + point.latitude, 0) / run.length,
+        longitude: run.reduce((sum, point) => sum + point.longitude, 0) / run.length,
+        startTime: new Date(fix.time).toISOString(),
+        endTime: new Date(fixes[end].time).toISOString(),
+        dwellSeconds
+      };
+
+      current.fixes.push(fix);
+      current.stops.push(stop);
+      if (dwellSeconds >= options.splitStopSeconds) {
+        stop.endsTrip = true;
+        finish();
+      }
+      current.fixes.push(fixes[end]);
+      i = end + 1;
+    } else {
+      current.fixes.push(fix);
+      i++;
+    }
+  }
+  finish();
+
+  return trips;
+};
+
+// Distance, duration and speed stats for one trip
+const summarizeTrip = (trip) => {
+  let distanceMeters = 0;
+  let maxSpeedKmh = 0;
+  // Bounds in the same pass: a long 10 Hz log has more fixes than Math.min(...) accepts as arguments
+  const bounds = {
+    latRange: [trip.fixes[0].latitude, trip.fixes[0].latitude],
+    lngRange: [trip.fixes[0].longitude, trip.fixes[0].longitude]
+  };
+  for (let i = 1; i < trip.fixes.length; i++) {
+    const a = trip.fixes[i - 1];
+    const b = trip.fixes[i];
+    bounds.latRange = [Math.min(bounds.latRange[0], b.latitude), Math.max(bounds.latRange[1], b.latitude)];
+    bounds.lngRange = [Math.min(bounds.lngRange[0], b.longitude), Math.max(bounds.lngRange[1], b.longitude)];
+    const distance = haversineDistance(a.latitude, a.longitude, b.latitude, b.longitude);
+    distanceMeters += distance;
+    maxSpeedKmh = Math.max(maxSpeedKmh, (distance / ((b.time - a.time) / 1000)) * 3.6);
+  }
+
+  const first = trip.fixes[0];
+  const last = trip.fixes[trip.fixes.length - 1];
+  const durationSeconds = (last.time - first.time) / 1000;
+  const stoppedSeconds = trip.stops.filter(stop => !stop.endsTrip).reduce((sum, stop) => sum + stop.dwellSeconds, 0);
+  const movingSeconds = Math.max(durationSeconds - stoppedSeconds, 0);
+  const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+  return {
+    startTime: new Date(first.time).toISOString(),
+    endTime: new Date(last.time).toISOString(),
+    startTimeMs: first.time,
+    endTimeMs: last.time,
+    durationSeconds,
+    movingSeconds,
+    distanceMeters: round(distanceMeters, 1),
+    distanceKm: round(distanceMeters / 1000, 3),
+    averageSpeedKmh: durationSeconds > 0 ? round((distanceMeters / durationSeconds) * 3.6) : 0,
+    movingSpeedKmh: movingSeconds > 0 ? round((distanceMeters / movingSeconds) * 3.6) : 0,
+    maxSpeedKmh: round(maxSpeedKmh),
+    pointCount: trip.fixes.length,
+    bounds
+  };
+};
+
+// Count detections recorded during a trip, per class and camera, and per km driven
+const countTripDetections = (detections, stats) => {
+  const inTrip = detections.filter(detection => {
+    const time = detection.timestampISO ? Date.parse(detection.timestampISO) : null;
+    return time !== null && time >= stats.startTimeMs && time <= stats.endTimeMs;
+  });
+
+  const byClass = countBy(inTrip, 'anomalyType');
+  const perKm = (count) => (stats.distanceKm > 0 ? Math.round((count / stats.distanceKm) * 100) / 100 : null);
+
+  return {
+    total: inTrip.length,
+    perKm: perKm(inTrip.length),
+    byClass,
+    byClassPerKm: Object.fromEntries(Object.entries(byClass).map(([anomalyType, count]) => [anomalyType, perKm(count)])),
+    byCamera: countBy(inTrip, 'camera')
+  };
+};
+
+// Analyse the GPS logs of a dataset into trips
+const analyzeTrips = async (dataset, { session } = {}, options, user = null) => {
+  const index = await indexReady(dataset, user);
+  const sessionsWithLog = await index.findSessionFiles('gps_log.csv');
+  const allSessions = [...new Set(index.getEntries().map(entry => entry.session))];
+  const results = [];
+
+  for (const trackSession of sessionsWithLog.filter(name => !session || name === session)) {
+    let rows;
+    try {
+      rows = await index.getSessionCSV(trackSession, 'gps_log.csv');
+    } catch (error) {
+      console.error(`Error reading GPS log for ${dataset.id}:${trackSession}:`, error.message);
+      continue;
+    }
+
+    const clock = await index.getSessionClock(trackSession);
+    const { fixes, stats } = cleanTrack(standardizeGpsLog(rows, trackSession, undefined, clock), options);
+
+    // Detections from this session, plus sessions without a GPS log of their own (same as geotagging)
+    const trackedSessions = new Set([trackSession, ...allSessions.filter(name => !sessionsWithLog.includes(name))]);
+    const detections = index.getDetections().filter(detection => trackedSessions.has(detection.session));
+
+    const trips = splitTrips(fixes, options).map((trip, tripIndex) => {
+      const summary = summarizeTrip(trip);
+      return {
+        id: `${trackSession}/${tripIndex}`,
+        session: trackSession,
+        tripIndex,
+        ...summary,
+        stops: trip.stops,
+        detections: countTripDetections(detections, summary),
+        polyline: simplifyPolyline(trip.fixes, options.simplifyToleranceMeters)
+      };
+    });
+
+    results.push({
+      session: trackSession,
+      source: `${trackSession}/gps_log.csv`,
+      detectionSessions: [...trackedSessions].sort(),
+      cleaning: stats,
+      trips
+    });
+  }
+
+  return results;
+};
+
+// Strip internal fields and, unless asked for, the polyline from a trip
+const presentTrip = (trip, includePolyline) => {
+  const { startTimeMs, endTimeMs, polyline, ...rest } = trip;
+  return includePolyline ? { ...rest, polyline } : { ...rest, polylinePointCount: polyline.length };
+};
+
+// NEW: Trips reconstructed from gps_log.csv with distance, speed, stops and detections per km
+api.get('/trips', async (req, res) => {
+  try {
+    const options = parseTripOptions(req.query);
+    const includePolyline = req.query.polyline === 'true';
+    const sessions = await analyzeTrips(req.dataset, req.query, options, req.user);
+    const trips = sessions.flatMap(session => session.trips);
+    const totalKm = trips.reduce((sum, trip) => sum + trip.distanceKm, 0);
+    const totalDetections = trips.reduce((sum, trip) => sum + trip.detections.total, 0);
+
     res.json({
       success: true,
-      count: allGPSData.length,
-      data: allGPSData,
-      sources: sources,
-      metadata: {
-        type: 'Combined GPS data from all sources',
-        description: 'GPS coordinates from both GPS log files and metadata files'
-      }
+      options,
+      summary: {
+        tripCount: trips.length,
+        distanceKm: Math.round(totalKm * 1000) / 1000,
+        durationSeconds: trips.reduce((sum, trip) => sum + trip.durationSeconds, 0),
+        stopCount: trips.reduce((sum, trip) => sum + trip.stops.length, 0),
+        detections: totalDetections,
+        detectionsPerKm: totalKm > 0 ? Math.round((totalDetections / totalKm) * 100) / 100 : null
+      },
+      sessions: sessions.map(session => ({
+        ...session,
+        trips: session.trips.map(trip => presentTrip(trip, includePolyline))
+      }))
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: error.message,
-      message: 'Failed to get combined GPS data'
+      message: 'Failed to analyse trips'
+    });
+  }
+});
+
+// NEW: One trip with its simplified polyline (as GeoJSON with ?format=geojson)
+api.get('/trips/:session/:tripIndex', async (req, res) => {
+  try {
+    const { session, tripIndex } = req.params;
+    const options = parseTripOptions(req.query);
+    const [result] = await analyzeTrips(req.dataset, { session }, options, req.user);
+    const trip = result && result.trips[parseInt(tripIndex)];
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        error: `Trip not found: ${session}/${tripIndex}`,
+        message: 'Trip does not exist for these options'
+      });
+    }
+
+    if (req.query.format === 'geojson') {
+      const { polyline, stops, ...properties } = presentTrip(trip, true);
+      res.setHeader('Content-Type', 'application/geo+json; charset=utf-8');
+      return res.json({
+        type: 'FeatureCollection',
+        features: [
+          { type: 'Feature', geometry: { type: 'LineString', coordinates: polyline }, properties: { kind: 'trip', ...properties } },
+          ...stops.map(stop => ({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [stop.longitude, stop.latitude] },
+            properties: { kind: 'stop', ...stop }
+          }))
+        ]
+      });
+    }
+
+    res.json({ success: true, options, trip: presentTrip(trip, true) });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      message: `Failed to analyse trip ${req.params.session}/${req.params.tripIndex}`
     });
   }
 });
 
-// Get system metrics from floMobility123_F1/system_metrics.csv
-app.get('/api/system-metrics', async (req, res) => {
+// ---------------------------------------------------------------------------
+// Bounding boxes: boxes parsed from metadata rows, the record-to-image/box
+// mapping, and images with the boxes, labels and confidence drawn on them
+// ---------------------------------------------------------------------------
+
+const OVERLAY_FORMATS = { jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp' };
+
+// First four numbers of a bbox value such as "[10,10,50,40]" or "10 10 50 40"
+const parseBoxNumbers = (value) => {
+  const numbers = String(value).match(/[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/g);
+  return numbers && numbers.length >= 4 ? numbers.slice(0, 4).map(Number) : null;
+};
+
+// Box corners of a record from its bbox column or xmin/ymin/xmax/ymax (or width/height) columns
+const getRecordBox = (record, schema) => {
+  let values = null;
+  let format = null;
+
+  const single = getCanonicalValue(record, schema, 'bbox');
+  if (single !== null) {
+    values = parseBoxNumbers(single);
+    format = schema.bboxFormat || 'xyxy';
+    // Without a configured format, a "second corner" above/left of the first means x,y,w,h
+    if (values && !schema.bboxFormat && (values[2] < values[0] || values[3] < values[1])) format = 'xywh';
+  } else {
+    const number = (field) => {
+      const value = parseFloat(getCanonicalValue(record, schema, field));
+      return isNaN(value) ? null : value;
+    };
+    const [xMin, yMin, xMax, yMax, width, height] = ['bboxXMin', 'bboxYMin', 'bboxXMax', 'bboxYMax', 'bboxWidth', 'bboxHeight'].map(number);
+    if (xMin !== null && yMin !== null && xMax !== null && yMax !== null) {
+      [values, format] = [[xMin, yMin, xMax, yMax], 'xyxy'];
+    } else if (xMin !== null && yMin !== null && width !== null && height !== null) {
+      [values, format] = [[xMin, yMin, width, height], 'xywh'];
+    }
+  }
+  if (!values || values.some(value => isNaN(value))) return null;
+
+  let [x1, y1, x2, y2] = values;
+  if (format === 'xywh') {
+    [x2, y2] = [x1 + values[2], y1 + values[3]];
+  } else if (format === 'cxcywh') {
+    [x1, y1, x2, y2] = [values[0] - values[2] / 2, values[1] - values[3] / 2, values[0] + values[2] / 2, values[1] + values[3] / 2];
+  }
+
+  return {
+    x1,
+    y1,
+    x2,
+    y2,
+    width: x2 - x1,
+    height: y2 - y1,
+    format,
+    // Values within 0..1 are fractions of the image size
+    normalized: [x1, y1, x2, y2].every(value => value >= 0 && value <= 1)
+  };
+};
+
+// One row per metadata record: its image, box, label and confidence
+const buildBoxMapping = (dataset, entry) => entry.detections.map(detection => {
+  const { imageUrl, thumbnailUrl } = withImageUrl(dataset, detection);
+  const confidence = parseFloat(detection.confidence);
+  // Reviewers' relabels and corrected boxes replace the detector's
+  const review = getReviewStore(dataset).get(detection.id);
+  const box = getRecordBox(entry.records[detection.recordIndex], entry.schema);
+  return {
+    id: detection.id,
+    recordIndex: detection.recordIndex,
+    imageName: detection.imageName,
+    imageUrl,
+    thumbnailUrl,
+    overlayUrl: detection.imageName
+      ? apiUrl(dataset, 'overlay', entry.session, entry.camera, entry.anomalyType, detection.recordIndex)
+      : null,
+    label: (review && review.label) || detection.label || entry.anomalyType,
+    confidence: isNaN(confidence) ? null : confidence,
+    box: review && review.bbox
+      ? { ...review.bbox, width: review.bbox.x2 - review.bbox.x1, height: review.bbox.y2 - review.bbox.y1, format: 'xyxy', normalized: box ? box.normalized : false, source: 'review' }
+      : box && { ...box, source: 'metadata' },
+    reviewStatus: reviewStatus(review)
+  };
+});
+
+// SVG layer with a rectangle and "label confidence" tag per box, sized to the image
+const renderBoxesSvg = (boxes, width, height, selectedId) => {
+  const strokeWidth = Math.max(2, Math.round(Math.min(width, height) / 250));
+  const fontSize = Math.max(12, Math.round(height / 40));
+
+  const shapes = boxes.map(item => {
+    const scaleX = item.box.normalized ? width : 1;
+    const scaleY = item.box.normalized ? height : 1;
+    const x = item.box.x1 * scaleX;
+    const y = item.box.y1 * scaleY;
+    const color = `#${classColor(item.label)}`;
+    const stroke = item.id === selectedId ? strokeWidth * 2 : strokeWidth;
+    const text = item.confidence !== null ? `${item.label} ${item.confidence.toFixed(2)}` : item.label;
+    const textY = y > fontSize + 4 ? y - 4 : y + fontSize + 2;
+
+    return [
+      `<rect x="${x}" y="${y}" width="${item.box.width * scaleX}" height="${item.box.height * scaleY}" fill="none" stroke="${color}" stroke-width="${stroke}"/>`,
+      `<rect x="${x}" y="${textY - fontSize}" width="${Math.ceil(text.length * fontSize * 0.6) + 6}" height="${fontSize + 4}" fill="${color}" fill-opacity="0.8"/>`,
+      `<text x="${x + 3}" y="${textY}" font-family="sans-serif" font-size="${fontSize}" fill="#000">${escapeXml(text)}</text>`
+    ].join('');
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${shapes.join('')}</svg>`;
+};
+
+// NEW: Record-to-image and bounding box mapping for one class folder
+api.get('/boxes/:session/:camera/:anomalyType', async (req, res) => {
   try {
-    const metricsPath = path.join(DATA_PATH, 'floMobility123_F1', 'system_metrics.csv');
-    const metricsData = await readCSV(metricsPath);
+    const { session, camera, anomalyType } = req.params;
+    const index = await indexReady(req.dataset, req.user);
+    const entry = index.getEntry(session, camera, anomalyType);
+    
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: `File not found: ${session}/${camera}/${anomalyType}/metadata.csv`,
+        message: `Metadata not found for ${session}/${camera}/${anomalyType}`
+      });
+    }
+    
+    const records = buildBoxMapping(req.dataset, entry);
+    const images = {};
+    records.forEach(record => {
+      if (!record.imageName) return;
+      if (!images[record.imageName]) images[record.imageName] = [];
+      images[record.imageName].push(record.recordIndex);
+    });
     
     res.json({
       success: true,
-      count: metricsData.length,
-      data: metricsData,
-      metadata: {
-        source: 'floMobility123_F1/system_metrics.csv',
-        type: 'System performance metrics'
-      }
+      session,
+      camera,
+      anomalyType,
+      count: records.length,
+      withImage: records.filter(record => record.imageName).length,
+      withBox: records.filter(record => record.box).length,
+      bboxColumns: {
+        bbox: entry.schema.mapping.bbox,
+        format: entry.schema.bboxFormat || null
+      },
+      records,
+      images
     });
   } catch (error) {
     res.status(500).json({
       success: false,
       error: error.message,
-      message: 'Failed to read system metrics'
+      message: `Failed to map boxes for ${req.params.session}/${req.params.camera}/${req.params.anomalyType}`
     });
   }
 });
 
-// Get all metadata files information with image counts and GPS data
-app.get('/api/metadata/scan', async (req, res) => {
+// NEW: A record's image with its bounding box (and the other boxes on the same frame) drawn on it
+api.get('/overlay/:session/:camera/:anomalyType/:recordIndex', audited('view-overlay'), async (req, res) => {
   try {
-    const metadataFiles = await scanForMetadataFiles(DATA_PATH);
+    const { session, camera, anomalyType } = req.params;
+    const recordIndex = parseInt(req.params.recordIndex);
+    const format = String(req.query.fmt || 'jpeg').toLowerCase().replace('jpg', 'jpeg');
+    if (!OVERLAY_FORMATS[format]) throw badRequest(`fmt must be one of ${Object.keys(OVERLAY_FORMATS).join(', ')}`);
+    const width = req.query.w !== undefined ? parseInt(req.query.w) : null;
+    if (width !== null && (isNaN(width) || width < 1 || width > thumbnailConfig.maxSize)) {
+      throw badRequest(`w must be between 1 and ${thumbnailConfig.maxSize}`);
+    }
     
-    // Enhanced scan that includes image and GPS information
-    const enhancedFiles = [];
-    for (const file of metadataFiles) {
-      try {
-        // Read metadata to check for GPS data
-        const metadataData = await readCSV(file.path);
-        const gpsData = extractGPSData(metadataData, file.session, file.camera, file.anomalyType);
-        
-        // Look for images in the images/ subdirectory
-        const imagesPath = path.join(path.dirname(file.path), 'images');
-        const images = await getImagesInDirectory(imagesPath);
-        
-        enhancedFiles.push({
-          session: file.session,
-          camera: file.camera,
-          anomalyType: file.anomalyType,
-          path: file.relativePath,
-          recordCount: metadataData.length,
-          imageCount: images.length,
-          gpsCount: gpsData.length,
-          hasImages: images.length > 0,
-          hasGPS: gpsData.length > 0,
-          sampleImages: images.slice(0, 3).map(img => img.name),
-          imagesPath: `${file.session}/${file.camera}/${file.anomalyType}/images/`,
-          gpsStats: gpsData.length > 0 ? {
-            firstTimestamp: gpsData[0]?.timestamp,
-            lastTimestamp: gpsData[gpsData.length - 1]?.timestamp,
-            latRange: [
-              Math.min(...gpsData.map(p => p.latitude)),
-              Math.max(...gpsData.map(p => p.latitude))
-            ],
-            lngRange: [
-              Math.min(...gpsData.map(p => p.longitude)),
-              Math.max(...gpsData.map(p => p.longitude))
-            ]
-          } : null
-        });
-      } catch (error) {
-        console.error(`Error processing ${file.path}:`, error.message);
-        enhancedFiles.push({
-          session: file.session,
-          camera: file.camera,
-          anomalyType: file.anomalyType,
-          path: file.relativePath,
-          recordCount: 0,
-          imageCount: 0,
-          gpsCount: 0,
-          hasImages: false,
-          hasGPS: false,
-          error: error.message
-        });
-      }
+    const index = await indexReady(req.dataset, req.user);
+    const entry = index.getEntry(session, camera, anomalyType);
+    const records = entry ? buildBoxMapping(req.dataset, entry) : [];
+    const record = records.find(item => item.recordIndex === recordIndex);
+    
+    if (!record || !record.imageName) {
+      return res.status(404).json({
+        success: false,
+        error: record ? 'Record has no matching image' : `Record not found: ${session}/${camera}/${anomalyType}/${req.params.recordIndex}`,
+        message: 'No image to draw on'
+      });
     }
     
+    // Every box on this frame unless only=true, with the requested one drawn thicker
+    const boxes = records.filter(item => item.box && (item.recordIndex === recordIndex ||
+      (req.query.only !== 'true' && item.imageName === record.imageName)));
+    const { absolute: sourcePath, relative: imagePath } = await resolveDataPath(req.dataset, path.join(entry.relativeDir, 'images', record.imageName));
+    res.locals.auditFile = imagePath;
+    const stat = await fs.stat(sourcePath);
+    
+    // Boxes are drawn on the redacted copy unless a privileged user asks for the original
+    let drawSource = sourcePath;
+    let variant = 'original';
+    if (redactionConfig.enabled && !wantsOriginal(req)) {
+      const redacted = await getRedactedImage(req.dataset, imagePath);
+      [drawSource, variant] = [redacted.cachePath, redacted.key];
+    }
+    
+    const etag = `"${crypto.createHash('sha1')
+      .update(JSON.stringify([sourcePath, stat.size, stat.mtimeMs, boxes, recordIndex, format, width, variant]))
+      .digest('hex')}"`;
+    res.set({ 'ETag': etag, 'Cache-Control': `${authConfig.enabled ? 'private' : 'public'}, max-age=3600` });
+    if (req.headers['if-none-match'] === etag) return res.status(304).end();
+    
+    const { width: imageWidth, height: imageHeight } = await sharp(drawSource).metadata();
+    const drawn = await sharp(drawSource)
+      .composite([{ input: Buffer.from(renderBoxesSvg(boxes, imageWidth, imageHeight, record.id)), top: 0, left: 0 }])
+      .toBuffer();
+    
+    let output = sharp(drawn);
+    if (width) output = output.resize({ width, withoutEnlargement: true });
+    
+    res.setHeader('Content-Type', OVERLAY_FORMATS[format]);
+    res.send(await output.toFormat(format, { quality: thumbnailConfig.quality }).toBuffer());
+  } catch (error) {
+    res.removeHeader('ETag');
+    res.removeHeader('Cache-Control');
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      message: `Failed to draw boxes for ${req.params.session}/${req.params.camera}/${req.params.anomalyType}/${req.params.recordIndex}`
+    });
+  }
+});
+
+// NEW: Reviews for the dataset, filterable by status, reviewer, tag and location
+api.get('/reviews', async (req, res) => {
+  try {
+    const { session, camera, anomalyType, reviewer, tag } = req.query;
+    const statuses = parseReviewStatusFilter(req.query.reviewStatus);
+    const store = getReviewStore(req.dataset);
+    
+    const visible = store.all().filter(review => canAccess(req.user, review));
+    const reviews = visible
+      .map(review => ({ ...review, reviewStatus: reviewStatus(review) }))
+      .filter(review => {
+        if (session && review.session !== session) return false;
+        if (camera && review.camera !== camera) return false;
+        if (anomalyType && review.anomalyType !== anomalyType) return false;
+        if (reviewer && review.reviewer !== reviewer) return false;
+        if (tag && !review.tags.includes(tag)) return false;
+        if (statuses && !statuses.has(review.reviewStatus)) return false;
+        return true;
+      });
+    
+    res.json({
+      success: true,
+      counts: countBy(visible.map(review => ({ status: reviewStatus(review) })), 'status'),
+      ...paginateRecords(reviews, { sort: '-updatedAt', ...req.query })
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      message: 'Failed to list reviews'
+    });
+  }
+});
+
+// Look up the detection a review route addresses, or answer 404
+const findReviewedDetection = async (req, res) => {
+  const { session, camera, anomalyType, recordIndex } = req.params;
+  const index = await indexReady(req.dataset, req.user);
+  const entry = index.getEntry(session, camera, anomalyType);
+  const detection = entry && entry.detections[parseInt(recordIndex)];
+  
+  if (!detection || String(detection.recordIndex) !== recordIndex) {
+    res.status(404).json({
+      success: false,
+      error: `Record not found: ${session}/${camera}/${anomalyType}/${recordIndex}`,
+      message: 'Detection does not exist'
+    });
+    return null;
+  }
+  return detection;
+};
+
+// NEW: Review of one detection
+api.get('/reviews/:session/:camera/:anomalyType/:recordIndex', async (req, res) => {
+  try {
+    const detection = await findReviewedDetection(req, res);
+    if (!detection) return;
+    
+    const review = getReviewStore(req.dataset).get(detection.id);
     res.json({
       success: true,
-      count: enhancedFiles.length,
-      files: enhancedFiles,
-      summary: {
-        totalFiles: enhancedFiles.length,
-        filesWithImages: enhancedFiles.filter(f => f.hasImages).length,
-        filesWithGPS: enhancedFiles.filter(f => f.hasGPS).length,
-        totalImages: enhancedFiles.reduce((sum, f) => sum + f.imageCount, 0),
-        totalGPSPoints: enhancedFiles.reduce((sum, f) => sum + f.gpsCount, 0)
-      }
+      id: detection.id,
+      reviewStatus: reviewStatus(review),
+      review,
+      detection: withImageUrl(req.dataset, detection)
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: error.message,
-      message: 'Failed to scan metadata files'
+      message: 'Failed to read review'
     });
   }
 });
 
-// Get images for a specific session/camera/class combination
-app.get('/api/images/:session/:camera/:anomalyType', async (req, res) => {
+// NEW: Confirm/reject, relabel, annotate, tag or correct the box of one detection
+api.patch('/reviews/:session/:camera/:anomalyType/:recordIndex', audited('review-update'), requireRole('reviewer'), async (req, res) => {
   try {
-    const { session, camera, anomalyType } = req.params;
-    // Images are stored in images/ subdirectory within each class folder
-    const imagesPath = path.join(DATA_PATH, session, camera, anomalyType, 'images');
-    
-    console.log(`Looking for images in: ${imagesPath}`);
-    
-    // Check if images directory exists
-    try {
-      await fs.access(imagesPath);
-    } catch (error) {
-      console.log(`Images directory not found: ${imagesPath}`);
-      return res.status(404).json({
-        success: false,
-        error: `Images directory not found: ${session}/${camera}/${anomalyType}/images`,
-        message: 'Images directory does not exist',
-        expectedPath: `${session}/${camera}/${anomalyType}/images`
-      });
-    }
+    const detection = await findReviewedDetection(req, res);
+    if (!detection) return;
     
-    const imageFiles = await getImagesInDirectory(imagesPath);
-    console.log(`Found ${imageFiles.length} images in ${imagesPath}`);
+    const reviewer = requireReviewer(req);
+    const store = getReviewStore(req.dataset);
+    const review = applyReviewChange(store.get(detection.id), req.body || {}, reviewer);
+    await store.set(detection.id, {
+      ...review,
+      id: detection.id,
+      session: detection.session,
+      camera: detection.camera,
+      anomalyType: detection.anomalyType,
+      recordIndex: detection.recordIndex
+    });
     
     res.json({
       success: true,
-      session,
-      camera,
-      anomalyType,
-      count: imageFiles.length,
-      images: imageFiles.map(img => ({
-        ...img,
-        // Images are served from the images subdirectory
-        url: `/data/${session}/${camera}/${anomalyType}/images/${img.name}`
-      })),
-      metadata: {
-        source: `${session}/${camera}/${anomalyType}/images/`,
-        type: 'Image files'
-      }
+      id: detection.id,
+      reviewStatus: reviewStatus(review),
+      review: store.get(detection.id)
     });
-    
   } catch (error) {
-    console.error(`Error getting images for ${req.params.session}/${req.params.camera}/${req.params.anomalyType}:`, error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: error.message,
-      message: `Failed to get images for ${req.params.session}/${req.params.camera}/${req.params.anomalyType}`
+      message: 'Failed to save review'
     });
   }
 });
 
-// Enhanced metadata endpoint that includes image and GPS information
-app.get('/api/metadata-with-images/:session/:camera/:anomalyType', async (req, res) => {
+// NEW: Remove the review of one detection
+api.delete('/reviews/:session/:camera/:anomalyType/:recordIndex', audited('review-delete'), requireRole('reviewer'), async (req, res) => {
   try {
-    const { session, camera, anomalyType } = req.params;
-    const metadataPath = path.join(DATA_PATH, session, camera, anomalyType, 'metadata.csv');
-    // Images are in images/ subdirectory
-    const imagesPath = path.join(DATA_PATH, session, camera, anomalyType, 'images');
-    
-    // Load metadata
-    let metadataData = [];
-    try {
-      metadataData = await readCSV(metadataPath);
-    } catch (error) {
-      console.warn(`No metadata.csv found for ${session}/${camera}/${anomalyType}`);
-    }
-    
-    // Extract GPS data from metadata
-    const gpsData = extractGPSData(metadataData, session, camera, anomalyType);
-    
-    // Load images from images/ subdirectory
-    const imageFiles = await getImagesInDirectory(imagesPath);
+    const detection = await findReviewedDetection(req, res);
+    if (!detection) return;
     
+    const removed = await getReviewStore(req.dataset).delete(detection.id);
     res.json({
       success: true,
-      session,
-      camera,
-      anomalyType,
-      metadata: {
-        count: metadataData.length,
-        data: metadataData
-      },
-      images: {
-        count: imageFiles.length,
-        data: imageFiles.map(img => ({
-          ...img,
-          // Images are served from the images subdirectory
-          url: `/data/${session}/${camera}/${anomalyType}/images/${img.name}`
-        }))
-      },
-      gps: {
-        count: gpsData.length,
-        data: gpsData,
-        hasGPS: gpsData.length > 0
-      },
-      source: `${session}/${camera}/${anomalyType}/`
+      id: detection.id,
+      removed
     });
-    
   } catch (error) {
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: error.message,
-      message: `Failed to get metadata, images, and GPS for ${req.params.session}/${req.params.camera}/${req.params.anomalyType}`
+      message: 'Failed to remove review'
     });
   }
 });
 
-// Get specific metadata by session, camera, and anomaly type (now includes GPS)
-app.get('/api/metadata/:session/:camera/:anomalyType', async (req, res) => {
+// ---------------------------------------------------------------------------
+// Incidents: detections of the same class that are close in time and GPS
+// distance, merged across frames and cameras into one real-world event
+// ---------------------------------------------------------------------------
+
+const incidentConfig = {
+  // Largest time gap between consecutive sightings of one incident
+  maxGapSeconds: parseFloat(process.env.INCIDENT_MAX_GAP_SECONDS || config.incidents?.maxGapSeconds || 10),
+  // Largest distance from the incident's position (when both have GPS)
+  maxDistanceMeters: parseFloat(process.env.INCIDENT_MAX_DISTANCE_METERS || config.incidents?.maxDistanceMeters || 25)
+};
+
+const parseIncidentOptions = (query) => {
+  const number = (name) => {
+    if (query[name] === undefined) return incidentConfig[name];
+    const value = parseFloat(query[name]);
+    if (isNaN(value) || value < 0) throw badRequest(`${name} must be a non-negative number`);
+    return value;
+  };
+  return {
+    maxGapSeconds: number('maxGapSeconds'),
+    maxDistanceMeters: number('maxDistanceMeters'),
+    // Detections reviewers rejected as false positives are left out unless asked for
+    includeRejected: query.includeRejected === 'true'
+  };
+};
+
+// Stable ID for an incident, derived from its first detection
+const incidentId = (detectionId) => `inc_${crypto.createHash('sha1').update(detectionId).digest('hex').slice(0, 12)}`;
+
+// Group detections (already carrying review fields) into incidents
+const clusterIncidents = (detections, options) => {
+  const maxGapMs = options.maxGapSeconds * 1000;
+  const timed = detections
+    .filter(detection => options.includeRejected || detection.reviewStatus !== 'rejected')
+    .map(detection => ({ detection, time: detection.timestampISO ? Date.parse(detection.timestampISO) : null }))
+    .sort((a, b) => (a.time === null) - (b.time === null) || a.time - b.time);
+
+  const clusters = [];
+  const open = new Map();
+
+  timed.forEach(({ detection, time }) => {
+    const anomalyType = detection.anomalyType;
+    const candidates = (open.get(anomalyType) || []).filter(cluster => time !== null && time - cluster.lastTime <= maxGapMs);
+    open.set(anomalyType, candidates);
+
+    const match = candidates.find(cluster => {
+      if (!detection.hasGPS || cluster.gpsCount === 0) return true;
+      return haversineDistance(cluster.latitude, cluster.longitude, detection.latitude, detection.longitude) <= options.maxDistanceMeters;
+    });
+
+    const cluster = match || { anomalyType, detections: [], firstTime: time, lastTime: time, latitude: null, longitude: null, gpsCount: 0 };
+    if (!match) {
+      clusters.push(cluster);
+      if (time !== null) candidates.push(cluster);
+    }
+
+    cluster.detections.push(detection);
+    if (time !== null) cluster.lastTime = time;
+    if (detection.hasGPS) {
+      // Running centroid of the sightings with coordinates
+      cluster.gpsCount++;
+      cluster.latitude = cluster.latitude === null ? detection.latitude : cluster.latitude + (detection.latitude - cluster.latitude) / cluster.gpsCount;
+      cluster.longitude = cluster.longitude === null ? detection.longitude : cluster.longitude + (detection.longitude - cluster.longitude) / cluster.gpsCount;
+    }
+  });
+
+  return clusters;
+};
+
+// Incident summary: times, cameras, position and the best image to show for it
+const describeIncident = (dataset, cluster) => {
+  const confidences = cluster.detections.map(detection => parseFloat(detection.confidence)).filter(value => !isNaN(value));
+  const withImage = cluster.detections.filter(detection => detection.imageName);
+  const representative = withImage.reduce((best, detection) => {
+    if (!best) return detection;
+    return (parseFloat(detection.confidence) || 0) > (parseFloat(best.confidence) || 0) ? detection : best;
+  }, null);
+  const representativeImage = representative ? withImageUrl(dataset, representative) : null;
+
+  return {
+    id: incidentId(cluster.detections[0].id),
+    anomalyType: cluster.anomalyType,
+    firstSeen: cluster.firstTime !== null ? new Date(cluster.firstTime).toISOString() : null,
+    lastSeen: cluster.lastTime !== null ? new Date(cluster.lastTime).toISOString() : null,
+    durationSeconds: cluster.firstTime !== null ? (cluster.lastTime - cluster.firstTime) / 1000 : null,
+    detectionCount: cluster.detections.length,
+    cameras: [...new Set(cluster.detections.map(detection => detection.camera))].sort(),
+    sessions: [...new Set(cluster.detections.map(detection => detection.session))].sort(),
+    latitude: cluster.latitude,
+    longitude: cluster.longitude,
+    hasGPS: cluster.gpsCount > 0,
+    maxConfidence: confidences.length > 0 ? Math.max(...confidences) : null,
+    averageConfidence: confidences.length > 0 ? Math.round((confidences.reduce((sum, value) => sum + value, 0) / confidences.length) * 1000) / 1000 : null,
+    reviews: countBy(cluster.detections, 'reviewStatus'),
+    representative: representative ? {
+      detectionId: representative.id,
+      camera: representative.camera,
+      confidence: representative.confidence !== undefined ? parseFloat(representative.confidence) : null,
+      imageUrl: representativeImage.imageUrl,
+      thumbnailUrl: representativeImage.thumbnailUrl,
+      overlayUrl: apiUrl(dataset, 'overlay', representative.session, representative.camera, representative.anomalyType, representative.recordIndex)
+    } : null
+  };
+};
+
+// Incidents for a dataset, optionally narrowed to a session/camera/class
+const findIncidents = async (dataset, { session, camera, anomalyType } = {}, options, user = null) => {
+  const index = await indexReady(dataset, user);
+  const reviews = getReviewStore(dataset);
+  const detections = index.getDetections({ session, camera, anomalyType }).map(detection => withReview(reviews, detection));
+  return clusterIncidents(detections, options).map(cluster => ({ cluster, incident: describeIncident(dataset, cluster) }));
+};
+
+// NEW: Incidents (duplicate detections merged across frames and cameras)
+api.get('/incidents', async (req, res) => {
   try {
-    const { session, camera, anomalyType } = req.params;
-    const metadataPath = path.join(DATA_PATH, session, camera, anomalyType, 'metadata.csv');
-    
-    const metadataData = await readCSV(metadataPath);
-    const gpsData = extractGPSData(metadataData, session, camera, anomalyType);
+    const options = parseIncidentOptions(req.query);
+    const found = await findIncidents(req.dataset, req.query, options, req.user);
+    const incidents = found.map(({ incident }) => incident);
     
     res.json({
       success: true,
-      count: metadataData.length,
-      data: metadataData,
-      gps: {
-        count: gpsData.length,
-        data: gpsData,
-        hasGPS: gpsData.length > 0
-      },
-      metadata: {
-        session,
-        camera,
-        anomalyType,
-        source: `${session}/${camera}/${anomalyType}/metadata.csv`
-      }
+      options,
+      byClass: countBy(incidents, 'anomalyType'),
+      detections: incidents.reduce((sum, incident) => sum + incident.detectionCount, 0),
+      ...paginateRecords(incidents, { sort: 'firstSeen', ...req.query })
     });
   } catch (error) {
-    res.status(404).json({
+    res.status(error.status || 500).json({
       success: false,
       error: error.message,
-      message: `Metadata not found for ${req.params.session}/${req.params.camera}/${req.params.anomalyType}`
+      message: 'Failed to group detections into incidents'
     });
   }
 });
 
-// Get all anomalies for a specific camera across all sessions (now includes GPS)
-app.get('/api/camera/:camera/anomalies', async (req, res) => {
+// NEW: One incident with every detection that contributed to it
+api.get('/incidents/:incidentId', async (req, res) => {
   try {
-    const { camera } = req.params;
-    const metadataFiles = await scanForMetadataFiles(DATA_PATH);
-    const cameraFiles = metadataFiles.filter(file => file.camera === camera);
+    const options = parseIncidentOptions(req.query);
+    const found = (await findIncidents(req.dataset, req.query, options, req.user))
+      .find(({ incident }) => incident.id === req.params.incidentId);
     
-    const anomalies = [];
-    for (const file of cameraFiles) {
-      try {
-        const data = await readCSV(file.path);
-        const gpsData = extractGPSData(data, file.session, file.camera, file.anomalyType);
-        
-        // Look for images in images/ subdirectory
-        const imagesPath = path.join(path.dirname(file.path), 'images');
-        const images = await getImagesInDirectory(imagesPath);
-        
-        anomalies.push({
-          session: file.session,
-          anomalyType: file.anomalyType,
-          count: data.length,
-          imageCount: images.length,
-          gpsCount: gpsData.length,
-          data: data,
-          gps: gpsData,
-          images: images.slice(0, 5), // First 5 images as preview
-          hasGPS: gpsData.length > 0
-        });
-      } catch (error) {
-        console.error(`Error reading ${file.path}:`, error.message);
-      }
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        error: `Incident not found: ${req.params.incidentId}`,
+        message: 'Incident does not exist for these grouping options'
+      });
     }
     
     res.json({
       success: true,
-      camera,
-      anomalyCount: anomalies.length,
-      totalGPSPoints: anomalies.reduce((sum, a) => sum + a.gpsCount, 0),
-      anomalies
+      options,
+      incident: {
+        ...found.incident,
+        detections: found.cluster.detections.map(detection => withImageUrl(req.dataset, detection))
+      }
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      message: `Failed to read incident ${req.params.incidentId}`
+    });
+  }
+});
+
+// Index status and last refresh time for the dataset
+api.get('/index/status', (req, res) => {
+  const index = getDatasetIndex(req.dataset);
+  res.json({
+    success: true,
+    ...index.describe()
+  });
+});
+
+// Force a full rebuild of the dataset's index
+api.post('/index/refresh', audited('index-refresh'), requireAdmin, async (req, res) => {
+  try {
+    const index = getDatasetIndex(req.dataset);
+    await index.build();
+    res.json({
+      success: index.status === 'ready',
+      ...index.describe()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Failed to refresh index'
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Thumbnails: images resized and re-encoded on demand with sharp, cached on
+// disk and served with ETags
+// ---------------------------------------------------------------------------
+
+const thumbnailConfig = {
+  cacheDir: path.resolve(process.env.THUMBNAIL_CACHE_DIR || config.thumbnails?.cacheDir || path.join(__dirname, '.cache', 'thumbnails')),
+  // Width used when neither w nor h is given
+  defaultWidth: parseInt(process.env.THUMBNAIL_DEFAULT_WIDTH || config.thumbnails?.defaultWidth || 320),
+  maxSize: parseInt(process.env.THUMBNAIL_MAX_SIZE || config.thumbnails?.maxSize || 2048),
+  defaultFormat: process.env.THUMBNAIL_FORMAT || config.thumbnails?.format || 'webp',
+  quality: parseInt(process.env.THUMBNAIL_QUALITY || config.thumbnails?.quality || 75)
+};
+
+const THUMBNAIL_FORMATS = {
+  webp: 'image/webp',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  avif: 'image/avif'
+};
+const THUMBNAIL_FITS = ['inside', 'cover', 'contain', 'fill', 'outside'];
+const IMAGE_FILE_PATTERN = /\.(jpg|jpeg|png|bmp|gif|webp)$/i;
+
+// Thumbnails being generated right now, so concurrent requests share one resize
+const pendingThumbnails = new Map();
+
+// Parse w/h/fmt/fit from the query string
+const parseThumbnailOptions = (query) => {
+  const size = (name) => {
+    if (query[name] === undefined || query[name] === '') return null;
+    const value = parseInt(query[name]);
+    if (isNaN(value) || value < 1 || value > thumbnailConfig.maxSize) {
+      throw badRequest(`${name} must be between 1 and ${thumbnailConfig.maxSize}`);
+    }
+    return value;
+  };
+
+  let width = size('w');
+  const height = size('h');
+  if (width === null && height === null) width = thumbnailConfig.defaultWidth;
+
+  const format = String(query.fmt || thumbnailConfig.defaultFormat).toLowerCase().replace('jpg', 'jpeg');
+  if (!THUMBNAIL_FORMATS[format]) throw badRequest(`fmt must be one of ${Object.keys(THUMBNAIL_FORMATS).join(', ')}`);
+
+  const fit = String(query.fit || 'inside');
+  if (!THUMBNAIL_FITS.includes(fit)) throw badRequest(`fit must be one of ${THUMBNAIL_FITS.join(', ')}`);
+
+  return { width, height, format, fit, quality: thumbnailConfig.quality };
+};
+
+// Cache file of one thumbnail rendition. The key covers the source version, every rendering
+// option and the redaction variant, so it doubles as the ETag
+const thumbnailTarget = (dataset, relativePath, { size, mtimeMs }, options, variant) => {
+  const key = crypto.createHash('sha1')
+    .update(JSON.stringify([dataset.id, relativePath, size, mtimeMs, options, variant]))
+    .digest('hex');
+  return { key, cachePath: path.join(thumbnailConfig.cacheDir, key.slice(0, 2), `${key}.${options.format}`) };
+};
+
+// Resize an image into the cache unless that exact rendition is already there
+const renderThumbnail = async (sourcePath, cachePath, options) => {
+  if (fsSync.existsSync(cachePath)) return cachePath;
+  if (!pendingThumbnails.has(cachePath)) {
+    const tempPath = `${cachePath}.${process.pid}.tmp`;
+    const promise = (async () => {
+      await fs.mkdir(path.dirname(cachePath), { recursive: true });
+      await sharp(sourcePath)
+        .rotate()
+        .resize({ width: options.width || undefined, height: options.height || undefined, fit: options.fit, withoutEnlargement: true })
+        .toFormat(options.format, { quality: options.quality })
+        .toFile(tempPath);
+      await fs.rename(tempPath, cachePath);
+      return cachePath;
+    })();
+    pendingThumbnails.set(cachePath, promise);
+    promise
+      .catch(() => fs.unlink(tempPath).catch(() => {}))
+      .finally(() => pendingThumbnails.delete(cachePath));
+  }
+  return pendingThumbnails.get(cachePath);
+};
+
+// Serve a resized copy of an image from the resolved dataset
+const serveThumbnail = async (req, res) => {
+  const { absolute: sourcePath, relative: requestedPath } = req.dataPath;
+
+  try {
+    const options = parseThumbnailOptions(req.query);
+    if (!IMAGE_FILE_PATTERN.test(sourcePath)) throw badRequest('Thumbnails are only available for image files');
+
+    let stat;
+    try {
+      stat = await fs.stat(sourcePath);
+    } catch (error) {
+      stat = null;
+    }
+    if (!stat || !stat.isFile()) {
+      return res.status(404).json({ success: false, error: 'Image not found', path: requestedPath });
+    }
+
+    // With redaction on, thumbnails are made from the redacted copy unless a privileged user asks for the original
+    let renderSource = sourcePath;
+    let variant = 'original';
+    if (redactionConfig.enabled && !wantsOriginal(req)) {
+      const redacted = await getRedactedImage(req.dataset, requestedPath);
+      [renderSource, variant] = [redacted.cachePath, redacted.key];
+    }
+
+    const { key, cachePath } = thumbnailTarget(req.dataset, requestedPath, stat, options, variant);
+    const etag = `"${key}"`;
+    const cacheHeaders = { 'ETag': etag, 'Cache-Control': `${authConfig.enabled ? 'private' : 'public'}, max-age=3600` };
+    if (req.headers['if-none-match'] === etag) return res.set(cacheHeaders).status(304).end();
+
+    await renderThumbnail(renderSource, cachePath, options);
+
+    res.set({ ...cacheHeaders, 'Content-Type': THUMBNAIL_FORMATS[options.format] });
+    res.sendFile(cachePath, { etag: false, lastModified: false });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      message: 'Failed to create thumbnail',
+      path: requestedPath
+    });
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Privacy redaction: people, faces and licence plates blurred before images
+// are served. Regions come from the boxes of privacy classes in metadata.csv
+// and, optionally, a local detector module; results are cached on disk
+// ---------------------------------------------------------------------------
+
+const redactionConfig = {
+  enabled: process.env.REDACTION_ENABLED ? process.env.REDACTION_ENABLED !== 'false' : (config.redaction?.enabled ?? false),
+  // Classes whose boxes are blurred on every image of the same frame
+  classes: toList(process.env.REDACTION_CLASSES || config.redaction?.classes || 'person,face,plate,license_plate,licence_plate')
+    .map(name => name.toLowerCase()),
+  // Extra margin around each box, as a fraction of its width/height
+  padding: parseFloat(process.env.REDACTION_PADDING || config.redaction?.padding || 0.15),
+  blurSigma: parseFloat(process.env.REDACTION_BLUR_SIGMA || config.redaction?.blurSigma || 30),
+  // Roles that may ask for unredacted originals (?original=true)
+  privilegedRoles: toList(process.env.REDACTION_PRIVILEGED_ROLES || config.redaction?.privilegedRoles || 'admin'),
+  cacheDir: path.resolve(process.env.REDACTION_CACHE_DIR || config.redaction?.cacheDir || path.join(__dirname, '.cache', 'redacted')),
+  detector: process.env.REDACTION_DETECTOR || config.redaction?.detector || null
+};
+
+// Redacted copies keep the original format where sharp can write it
+const REDACTION_OUTPUT_FORMATS = { '.jpg': 'jpeg', '.jpeg': 'jpeg', '.png': 'png', '.webp': 'webp' };
+
+// Optional detector plugin (path relative to the config file). It must export
+// async (imagePath, { width, height }) => [{ x1, y1, x2, y2, label }] in pixels or 0..1 fractions
+const redactionDetector = (() => {
+  if (!redactionConfig.detector) return null;
+  const modulePath = path.resolve(path.dirname(CONFIG_PATH), redactionConfig.detector);
+  try {
+    const plugin = require(modulePath);
+    const detect = typeof plugin === 'function' ? plugin : plugin.detect;
+    if (typeof detect !== 'function') throw new Error('the module must export a function or { detect }');
+    return { name: path.basename(modulePath), detect };
+  } catch (error) {
+    // Redacted images are refused rather than served without the detector's regions
+    return { name: path.basename(modulePath), error: `Redaction detector failed to load: ${error.message.split('\n')[0]}` };
+  }
+})();
+
+// Cache keys of redacted images already on disk (filled at startup and as images are rendered)
+const renderedRedactions = new Set();
+const pendingRedactions = new Map();
+
+const loadRedactionCache = async () => {
+  const folders = await fs.readdir(redactionConfig.cacheDir).catch(() => []);
+  for (const folder of folders) {
+    const files = await fs.readdir(path.join(redactionConfig.cacheDir, folder)).catch(() => []);
+    files.filter(name => !name.endsWith('.tmp')).forEach(name => renderedRedactions.add(path.parse(name).name));
+  }
+};
+
+const isPrivacyClass = (anomalyType) => redactionConfig.classes.includes(String(anomalyType).toLowerCase());
+
+// Whether a user may receive unredacted originals
+const mayViewOriginals = (user) => !redactionConfig.enabled ||
+  Boolean(user && redactionConfig.privilegedRoles.includes(user.role));
+
+// Privacy boxes for the image files of session/camera/class: boxes of privacy-class detections on
+// the same camera linked to the same file name, frame number or capture time (within the
+// image-linking tolerance). Matching errs towards blurring too much rather than too little.
+// The privacy detections are indexed once, so a folder listing looks each image up cheaply
+const createRedactionLookup = (dataset, index, { session, camera, anomalyType }) => {
+  const own = anomalyType ? index.getEntry(session, camera, anomalyType) : null;
+  const toleranceMs = imageLinkConfig.timestampToleranceSeconds * 1000;
+  const reviews = getReviewStore(dataset);
+
+  // Privacy detections in listing order, reachable by image name, by frame (other classes only) and by time
+  const privacy = index.getEntries({ session, camera })
+    .filter(entry => isPrivacyClass(entry.anomalyType))
+    .flatMap(entry => entry.detections.map(detection => ({ entry, detection })));
+  const byImage = new Map();
+  const byFrame = new Map();
+  const byTime = [];
+  const append = (map, key, ordinal) => map.set(key, [...(map.get(key) || []), ordinal]);
+  privacy.forEach(({ entry, detection }, ordinal) => {
+    if (detection.imageName) append(byImage, detection.imageName, ordinal);
+    if (entry === own) return;
+    if (!isMissing(detection.frame)) append(byFrame, String(detection.frame), ordinal);
+    const time = Date.parse(detection.timestampISO);
+    if (!isNaN(time)) byTime.push({ time, ordinal });
+  });
+  byTime.sort((a, b) => a.time - b.time);
+
+  // Own detections per image: the frames and times its privacy boxes are matched on
+  const ownByImage = new Map();
+  (own ? own.detections : []).forEach(detection => {
+    if (detection.imageName) ownByImage.set(detection.imageName, [...(ownByImage.get(detection.imageName) || []), detection]);
+  });
+
+  const firstAtOrAfter = (time) => {
+    let low = 0;
+    let high = byTime.length;
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      if (byTime[middle].time < time) low = middle + 1;
+      else high = middle;
+    }
+    return low;
+  };
+
+  return (imageName) => {
+    const matched = new Set(byImage.get(imageName) || []);
+    (ownByImage.get(imageName) || []).forEach(detection => {
+      if (!isMissing(detection.frame)) (byFrame.get(String(detection.frame)) || []).forEach(ordinal => matched.add(ordinal));
+      const time = Date.parse(detection.timestampISO);
+      if (isNaN(time)) return;
+      for (let i = firstAtOrAfter(time - toleranceMs); i < byTime.length && byTime[i].time <= time + toleranceMs; i++) {
+        matched.add(byTime[i].ordinal);
+      }
+    });
+
+    return [...matched].sort((a, b) => a - b).flatMap(ordinal => {
+      const { entry, detection } = privacy[ordinal];
+      // A reviewer's corrected box is blurred as well as the detector's
+      const review = reviews.get(detection.id);
+      return [getRecordBox(entry.records[detection.recordIndex], entry.schema), review && review.bbox]
+        .filter(Boolean)
+        .map(({ x1, y1, x2, y2 }) => ({ x1, y1, x2, y2, label: entry.anomalyType }));
     });
+  };
+};
+
+// Privacy boxes for one image file of session/camera/class
+const metadataRedactionRegions = (dataset, index, { imageName, ...folder }) => createRedactionLookup(dataset, index, folder)(imageName);
+
+// Pixel rectangle for sharp.extract(): scaled if normalised, padded, and clipped to the image
+const redactionRectangle = (box, width, height) => {
+  const normalized = [box.x1, box.y1, box.x2, box.y2].every(value => value >= 0 && value <= 1);
+  const [sx, sy] = normalized ? [width, height] : [1, 1];
+  const [x1, x2] = [Math.min(box.x1, box.x2) * sx, Math.max(box.x1, box.x2) * sx];
+  const [y1, y2] = [Math.min(box.y1, box.y2) * sy, Math.max(box.y1, box.y2) * sy];
+  const padX = (x2 - x1) * redactionConfig.padding;
+  const padY = (y2 - y1) * redactionConfig.padding;
+
+  const left = Math.max(0, Math.floor(x1 - padX));
+  const top = Math.max(0, Math.floor(y1 - padY));
+  const right = Math.min(width, Math.ceil(x2 + padX));
+  const bottom = Math.min(height, Math.ceil(y2 + padY));
+  return right - left >= 1 && bottom - top >= 1 ? { left, top, width: right - left, height: bottom - top } : null;
+};
+
+// Where the redacted copy of a dataset image lives. The key covers the source version, the
+// metadata regions and the settings, so edited boxes or settings produce a new copy
+const describeRedactionTarget = (dataset, relativePath, { size, mtimeMs }, regions) => {
+  const extension = path.extname(relativePath).toLowerCase();
+  const format = REDACTION_OUTPUT_FORMATS[extension] || 'png';
+  // mtime is rounded like stat.mtime, so listings can compute the key from an image's modified time
+  const key = crypto.createHash('sha1')
+    .update(JSON.stringify([dataset.id, relativePath, size, Math.round(mtimeMs), regions,
+      redactionConfig.padding, redactionConfig.blurSigma, redactionDetector && redactionDetector.name]))
+    .digest('hex');
+  const outputExtension = REDACTION_OUTPUT_FORMATS[extension] ? extension : '.png';
+  return { key, format, cachePath: path.join(redactionConfig.cacheDir, key.slice(0, 2), `${key}${outputExtension}`) };
+};
+
+// Session/camera/class/image of a path like session/camera/class/images/name.jpg
+const parseImagePath = (relativePath) => {
+  const parts = relativePath.split('/');
+  return parts.length === 5 && parts[3] === 'images'
+    ? { session: parts[0], camera: parts[1], anomalyType: parts[2], imageName: parts[4] }
+    : { session: parts[0], camera: parts[1], anomalyType: null, imageName: parts[parts.length - 1] };
+};
+
+const renderRedaction = async (sourcePath, target, regions) => {
+  const { width, height } = await sharp(sourcePath).metadata();
+  const detected = redactionDetector ? await redactionDetector.detect(sourcePath, { width, height }) : [];
+  const rectangles = [...regions, ...(Array.isArray(detected) ? detected : [])]
+    .map(box => redactionRectangle(box, width, height))
+    .filter(Boolean);
+
+  const patches = await Promise.all(rectangles.map(async rectangle => ({
+    input: await sharp(sourcePath).extract(rectangle).blur(redactionConfig.blurSigma).toBuffer(),
+    left: rectangle.left,
+    top: rectangle.top
+  })));
+
+  // Re-encoding also drops EXIF metadata (GPS position, device details) from the copy
+  const tempPath = `${target.cachePath}.${process.pid}.tmp`;
+  try {
+    await fs.mkdir(path.dirname(target.cachePath), { recursive: true });
+    await sharp(sourcePath).composite(patches).toFormat(target.format, { quality: 90 }).toFile(tempPath);
+    await fs.rename(tempPath, target.cachePath);
+  } catch (error) {
+    await fs.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+  renderedRedactions.add(target.key);
+  return rectangles.length;
+};
+
+// Redacted copy of an image in a dataset, rendered on first use: { cachePath, key, cached, regions }
+const getRedactedImage = async (dataset, relativePath) => {
+  if (redactionDetector && redactionDetector.error) throw new Error(redactionDetector.error);
+
+  const { absolute: sourcePath } = await resolveDataPath(dataset, relativePath);
+  const stat = await fs.stat(sourcePath);
+  const index = await indexReady(dataset);
+  const regions = metadataRedactionRegions(dataset, index, parseImagePath(relativePath));
+  const target = describeRedactionTarget(dataset, relativePath, stat, regions);
+
+  if (fsSync.existsSync(target.cachePath)) {
+    renderedRedactions.add(target.key);
+    return { ...target, cached: true, regions: regions.length };
+  }
+  if (!pendingRedactions.has(target.cachePath)) {
+    const promise = renderRedaction(sourcePath, target, regions);
+    pendingRedactions.set(target.cachePath, promise);
+    promise.catch(() => {}).finally(() => pendingRedactions.delete(target.cachePath));
+  }
+  const rendered = await pendingRedactions.get(target.cachePath);
+  return { ...target, cached: false, regions: rendered };
+};
+
+// Redaction lookup for listing a folder's images, or null when there is nothing to look up
+const folderRedactionLookup = (dataset, session, camera, anomalyType) => {
+  const index = datasetIndexes.get(dataset.id);
+  return redactionConfig.enabled && index ? createRedactionLookup(dataset, index, { session, camera, anomalyType }) : null;
+};
+
+// Redaction fields for an image listing entry (no rendering; uses the index as currently built);
+// listings pass the folder's lookup instead of having it rebuilt for every image
+const describeImageRedaction = (dataset, session, camera, anomalyType, image, lookup = null) => {
+  const index = datasetIndexes.get(dataset.id);
+  if (!index) return { available: false, metadataRegions: null };
+  const relativePath = [session, camera, anomalyType, 'images', image.name].join('/');
+  const regions = (lookup || createRedactionLookup(dataset, index, { session, camera, anomalyType }))(image.name);
+  const { key } = describeRedactionTarget(dataset, relativePath, { size: image.size, mtimeMs: new Date(image.modified).getTime() }, regions);
+  return { available: renderedRedactions.has(key), metadataRegions: regions.length };
+};
+
+// Requests for an original (?original=true) need a privileged role
+const wantsOriginal = (req) => {
+  if (req.query.original !== 'true') return false;
+  if (!mayViewOriginals(req.user)) {
+    throw forbidden(`Unredacted originals require one of the roles: ${redactionConfig.privilegedRoles.join(', ')}`);
+  }
+  return true;
+};
+
+// /data: image files are answered with their redacted copy unless a privileged user asks for the original
+const serveRedactedImage = async (req, res, next) => {
+  if (!redactionConfig.enabled || !IMAGE_FILE_PATTERN.test(req.dataPath.relative)) return next();
+  try {
+    if (wantsOriginal(req)) return next();
+    const redacted = await getRedactedImage(req.dataset, req.dataPath.relative);
+    res.set({ 'X-Redacted': 'true', 'Cache-Control': `${authConfig.enabled ? 'private' : 'public'}, max-age=3600` });
+    res.sendFile(redacted.cachePath);
   } catch (error) {
-    res.status(500).json({
+    if (error.code === 'ENOENT') return next();
+    // Never fall back to the unredacted file
+    res.status(error.status || 500).json({
       success: false,
       error: error.message,
-      message: `Failed to get anomalies for camera ${req.params.camera}`
+      message: 'Failed to serve redacted image'
     });
   }
-});
+};
 
-// Get dashboard summary with all data including images and GPS
-app.get('/api/dashboard', async (req, res) => {
-  try {
-    const dashboard = {
-      success: true,
-      timestamp: new Date().toISOString(),
-      summary: {}
-    };
+// Batch pre-processing jobs, one per dataset
+const redactionJobs = new Map();
 
-    // GPS Data from log file
+const runRedactionJob = async (dataset, job, imagePaths) => {
+  for (const relativePath of imagePaths) {
+    if (job.cancelled) break;
     try {
-      const gpsPath = path.join(DATA_PATH, 'F2', 'gps_log.csv');
-      const gpsData = await readCSV(gpsPath);
-      dashboard.summary.gps = {
-        available: true,
-        recordCount: gpsData.length,
-        lastRecord: gpsData[gpsData.length - 1] || null,
-        source: 'gps_log.csv'
-      };
+      const result = await getRedactedImage(dataset, relativePath);
+      job[result.cached ? 'alreadyRedacted' : 'redacted'] += 1;
     } catch (error) {
-      dashboard.summary.gps = { available: false, error: error.message, source: 'gps_log.csv' };
+      job.failed += 1;
+      if (job.errors.length < 20) job.errors.push({ path: relativePath, error: redactServerPaths(error.message) });
     }
+    job.processed += 1;
+  }
+  job.status = job.cancelled ? 'cancelled' : 'completed';
+  job.finishedAt = new Date().toISOString();
+  console.log(`🕶️  Redaction job for ${dataset.id} ${job.status}: ${job.redacted} redacted, ${job.alreadyRedacted} cached, ${job.failed} failed`);
+};
 
-    // System Metrics
-    try {
-      const metricsPath = path.join(DATA_PATH, 'floMobility123_F1', 'system_metrics.csv');
-      const metricsData = await readCSV(metricsPath);
-      dashboard.summary.systemMetrics = {
-        available: true,
-        recordCount: metricsData.length,
-        lastRecord: metricsData[metricsData.length - 1] || null
-      };
-    } catch (error) {
-      dashboard.summary.systemMetrics = { available: false, error: error.message };
+// NEW: Start pre-rendering redacted copies of every indexed image (optionally one session/camera/class)
+api.post('/redaction/jobs', audited('redaction-job'), requireAdmin, async (req, res) => {
+  try {
+    if (!redactionConfig.enabled) throw badRequest('Redaction is not enabled (redaction.enabled in the config file)');
+    const running = redactionJobs.get(req.dataset.id);
+    if (running && running.status === 'running') {
+      return res.status(409).json({ success: false, error: 'A redaction job is already running', job: running });
     }
 
-    // Anomaly Detection Summary with Images and GPS
-    const metadataFiles = await scanForMetadataFiles(DATA_PATH);
-    const anomalySummary = {};
-    let totalImages = 0;
-    let totalGPSPoints = 0;
-    let filesWithGPS = 0;
-    
-    for (const file of metadataFiles) {
-      try {
-        const data = await readCSV(file.path);
-        const gpsData = extractGPSData(data, file.session, file.camera, file.anomalyType);
-        
-        // Look for images in images/ subdirectory
-        const imagesPath = path.join(path.dirname(file.path), 'images');
-        const images = await getImagesInDirectory(imagesPath);
-        totalImages += images.length;
-        totalGPSPoints += gpsData.length;
-        
-        if (gpsData.length > 0) filesWithGPS++;
-        
-        if (!anomalySummary[file.camera]) {
-          anomalySummary[file.camera] = {};
-        }
-        
-        anomalySummary[file.camera][file.anomalyType] = {
-          session: file.session,
-          recordCount: data.length,
-          imageCount: images.length,
-          gpsCount: gpsData.length,
-          hasGPS: gpsData.length > 0,
-          lastDetection: data[data.length - 1] || null,
-          sampleImages: images.slice(0, 3).map(img => ({
-            name: img.name,
-            // Images are served from images subdirectory
-            url: `/data/${file.session}/${file.camera}/${file.anomalyType}/images/${img.name}`
-          })),
-          sampleGPS: gpsData.slice(0, 3)
-        };
-      } catch (error) {
-        console.error(`Error processing ${file.path}:`, error.message);
-      }
-    }
-    
-    dashboard.summary.anomalies = anomalySummary;
-    dashboard.summary.totalMetadataFiles = metadataFiles.length;
-    dashboard.summary.totalImages = totalImages;
-    dashboard.summary.totalGPSPointsFromMetadata = totalGPSPoints;
-    dashboard.summary.filesWithGPS = filesWithGPS;
-    dashboard.summary.metadataGPSCoverage = ((filesWithGPS / metadataFiles.length) * 100).toFixed(1) + '%';
+    const { session, camera, anomalyType } = req.query;
+    const index = await indexReady(req.dataset);
+    const imagePaths = index.getEntries({ session, camera, anomalyType })
+      .flatMap(entry => entry.images.map(image => [entry.session, entry.camera, entry.anomalyType, 'images', image.name].join('/')));
 
-    res.json(dashboard);
+    const job = {
+      datasetId: req.dataset.id,
+      status: 'running',
+      filters: { session: session || null, camera: camera || null, anomalyType: anomalyType || null },
+      total: imagePaths.length,
+      processed: 0,
+      redacted: 0,
+      alreadyRedacted: 0,
+      failed: 0,
+      errors: [],
+      startedBy: req.user ? req.user.name : null,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      cancelled: false
+    };
+    redactionJobs.set(req.dataset.id, job);
+    runRedactionJob(req.dataset, job, imagePaths);
+
+    res.status(202).json({ success: true, job });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: error.message,
-      message: 'Failed to generate dashboard'
+      message: 'Failed to start redaction job'
     });
   }
 });
 
-// Get anomalies by type across all cameras (now includes GPS)
-app.get('/api/anomalies/:anomalyType', async (req, res) => {
-  try {
-    const { anomalyType } = req.params;
-    const metadataFiles = await scanForMetadataFiles(DATA_PATH);
-    const anomalyFiles = metadataFiles.filter(file => file.anomalyType === anomalyType);
-    
-    const results = [];
-    let totalGPSPoints = 0;
-    
-    for (const file of anomalyFiles) {
-      try {
-        const data = await readCSV(file.path);
-        const gpsData = extractGPSData(data, file.session, file.camera, file.anomalyType);
-        totalGPSPoints += gpsData.length;
-        
-        // Look for images in images/ subdirectory
-        const imagesPath = path.join(path.dirname(file.path), 'images');
-        const images = await getImagesInDirectory(imagesPath);
-        
-        results.push({
-          session: file.session,
-          camera: file.camera,
-          count: data.length,
-          imageCount: images.length,
-          gpsCount: gpsData.length,
-          hasGPS: gpsData.length > 0,
-          data: data,
-          gps: gpsData,
-          images: images.slice(0, 5)
-        });
-      } catch (error) {
-        console.error(`Error reading ${file.path}:`, error.message);
-      }
-    }
-    
-    res.json({
-      success: true,
-      anomalyType,
-      cameraCount: results.length,
-      totalDetections: results.reduce((sum, r) => sum + r.count, 0),
-      totalImages: results.reduce((sum, r) => sum + r.imageCount, 0),
-      totalGPSPoints: totalGPSPoints,
-      camerasWithGPS: results.filter(r => r.hasGPS).length,
-      cameras: results
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      message: `Failed to get ${req.params.anomalyType} anomalies`
-    });
+// NEW: Progress of the dataset's latest redaction job
+api.get('/redaction/jobs', requireRole('admin'), (req, res) => {
+  res.json({
+    success: true,
+    enabled: redactionConfig.enabled,
+    classes: redactionConfig.classes,
+    detector: redactionDetector ? { name: redactionDetector.name, error: redactionDetector.error ? redactServerPaths(redactionDetector.error) : null } : null,
+    job: redactionJobs.get(req.dataset.id) || null
+  });
+});
+
+// NEW: Stop the running redaction job after the current image
+api.delete('/redaction/jobs', audited('redaction-job-cancel'), requireAdmin, (req, res) => {
+  const job = redactionJobs.get(req.dataset.id);
+  if (!job || job.status !== 'running') {
+    return res.status(404).json({ success: false, error: 'No redaction job is running' });
   }
+  job.cancelled = true;
+  res.json({ success: true, job });
 });
 
-// Search functionality (enhanced with GPS data)
-app.get('/api/search', async (req, res) => {
-  try {
-    const { 
-      session, 
-      camera, 
-      anomalyType, 
-      startDate, 
-      endDate,
-      hasGPS,
-      limit = 100 
-    } = req.query;
-    
-    const metadataFiles = await scanForMetadataFiles(DATA_PATH);
-    let filteredFiles = metadataFiles;
-    
-    // Apply filters
-    if (session) {
-      filteredFiles = filteredFiles.filter(f => f.session === session);
+// ---------------------------------------------------------------------------
+// ZIP bundles: the images, metadata.csv rows and gps_log.csv slice of a
+// selection, with a manifest of SHA-256 checksums, streamed as one archive.
+// Entries use data descriptors, so nothing is buffered; ZIP64 records are
+// added when the archive passes 4 GiB or 65535 entries
+// ---------------------------------------------------------------------------
+
+const ZIP_UTF8_WITH_DESCRIPTOR = 0x0808;
+const ZIP_MAX_32 = 0xFFFFFFFF;
+const ZIP_MAX_16 = 0xFFFF;
+
+const CRC32_TABLE = (() => {
+  const table = new Int32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c;
+  }
+  return table;
+})();
+
+const crc32 = (buffer, previous = 0) => {
+  let crc = ~previous;
+  for (let i = 0; i < buffer.length; i++) crc = CRC32_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  return ~crc >>> 0;
+};
+
+// MS-DOS date and time fields of a local timestamp
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+// Write a ZIP archive through a stream writer, one entry at a time. addEntry() takes an
+// (async) iterable of Buffers or strings and resolves to { path, bytes, sha256 }
+const createZipArchive = (writer) => {
+  const entries = [];
+  let offset = 0;
+
+  const put = async (buffer) => {
+    offset += buffer.length;
+    if (!(await writer.write(buffer))) throw new Error('Client closed the connection');
+  };
+
+  const addEntry = async (name, source, { compress = false, modified = new Date() } = {}) => {
+    const fileName = Buffer.from(name, 'utf8');
+    const method = compress ? 8 : 0;
+    const { time, date } = dosDateTime(modified);
+    const headerOffset = offset;
+
+    // CRC and sizes are zero here and follow the data in a descriptor
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(ZIP_UTF8_WITH_DESCRIPTOR, 6);
+    header.writeUInt16LE(method, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt16LE(fileName.length, 26);
+    await put(Buffer.concat([header, fileName]));
+
+    let crc = 0;
+    let size = 0;
+    let compressedSize = 0;
+    const hash = crypto.createHash('sha256');
+    const input = async function* () {
+      for await (const chunk of source) {
+        const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+        crc = crc32(buffer, crc);
+        size += buffer.length;
+        hash.update(buffer);
+        yield buffer;
+      }
+    };
+    const output = compress ? pipeline(Readable.from(input()), zlib.createDeflateRaw(), () => {}) : input();
+    for await (const chunk of output) {
+      compressedSize += chunk.length;
+      await put(chunk);
     }
-    if (camera) {
-      filteredFiles = filteredFiles.filter(f => f.camera === camera);
+    if (size > ZIP_MAX_32 || compressedSize > ZIP_MAX_32) throw new Error(`${name} is larger than a ZIP entry can hold (4 GiB)`);
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(crc, 4);
+    descriptor.writeUInt32LE(compressedSize, 8);
+    descriptor.writeUInt32LE(size, 12);
+    await put(descriptor);
+
+    entries.push({ fileName, method, time, date, crc, compressedSize, size, headerOffset });
+    return { path: name, bytes: size, sha256: hash.digest('hex') };
+  };
+
+  const finish = async () => {
+    const centralOffset = offset;
+    for (const entry of entries) {
+      // Offsets past 4 GiB move into a ZIP64 extra field
+      const zip64 = entry.headerOffset >= ZIP_MAX_32;
+      const extra = Buffer.alloc(zip64 ? 12 : 0);
+      if (zip64) {
+        extra.writeUInt16LE(0x0001, 0);
+        extra.writeUInt16LE(8, 2);
+        extra.writeBigUInt64LE(BigInt(entry.headerOffset), 4);
+      }
+
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(0x02014b50, 0);
+      record.writeUInt16LE(zip64 ? 45 : 20, 4);
+      record.writeUInt16LE(zip64 ? 45 : 20, 6);
+      record.writeUInt16LE(ZIP_UTF8_WITH_DESCRIPTOR, 8);
+      record.writeUInt16LE(entry.method, 10);
+      record.writeUInt16LE(entry.time, 12);
+      record.writeUInt16LE(entry.date, 14);
+      record.writeUInt32LE(entry.crc, 16);
+      record.writeUInt32LE(entry.compressedSize, 20);
+      record.writeUInt32LE(entry.size, 24);
+      record.writeUInt16LE(entry.fileName.length, 28);
+      record.writeUInt16LE(extra.length, 30);
+      record.writeUInt32LE(zip64 ? ZIP_MAX_32 : entry.headerOffset, 42);
+      await put(Buffer.concat([record, entry.fileName, extra]));
     }
-    if (anomalyType) {
-      filteredFiles = filteredFiles.filter(f => f.anomalyType === anomalyType);
+
+    const centralSize = offset - centralOffset;
+    // Past the classic limits the end record only holds markers and readers look for the ZIP64 one
+    const zip64 = entries.length >= ZIP_MAX_16 || centralOffset >= ZIP_MAX_32 || centralSize >= ZIP_MAX_32;
+    if (zip64) {
+      const zip64EndOffset = offset;
+      const zip64End = Buffer.alloc(56);
+      zip64End.writeUInt32LE(0x06064b50, 0);
+      zip64End.writeBigUInt64LE(44n, 4);
+      zip64End.writeUInt16LE(45, 12);
+      zip64End.writeUInt16LE(45, 14);
+      zip64End.writeBigUInt64LE(BigInt(entries.length), 24);
+      zip64End.writeBigUInt64LE(BigInt(entries.length), 32);
+      zip64End.writeBigUInt64LE(BigInt(centralSize), 40);
+      zip64End.writeBigUInt64LE(BigInt(centralOffset), 48);
+
+      const locator = Buffer.alloc(20);
+      locator.writeUInt32LE(0x07064b50, 0);
+      locator.writeBigUInt64LE(BigInt(zip64EndOffset), 8);
+      locator.writeUInt32LE(1, 16);
+      await put(Buffer.concat([zip64End, locator]));
     }
-    
-    const results = [];
-    for (const file of filteredFiles.slice(0, parseInt(limit))) {
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(zip64 ? ZIP_MAX_16 : entries.length, 8);
+    end.writeUInt16LE(zip64 ? ZIP_MAX_16 : entries.length, 10);
+    end.writeUInt32LE(zip64 ? ZIP_MAX_32 : centralSize, 12);
+    end.writeUInt32LE(zip64 ? ZIP_MAX_32 : centralOffset, 16);
+    await put(end);
+  };
+
+  return { addEntry, finish };
+};
+
+// CSV text of rows, one line at a time, with the columns of the first row
+const csvLines = function* (rows) {
+  const columns = rows.length > 0 ? Object.keys(rows[0]) : [];
+  yield `${columns.map(csvCell).join(',')}\n`;
+  for (const row of rows) yield `${columns.map(column => csvCell(row[column])).join(',')}\n`;
+};
+
+// Query parameters that shape the bundle rather than select records
+const ZIP_OPTION_PARAMS = ['download', 'thumbnails', 'redacted', 'w', 'h', 'fmt', 'fit'];
+// Search parameters that neither select folders nor filter rows
+const NON_FILTER_PARAMS = ['limit', 'offset', 'cursor', 'sort', 'fields', 'access_token'];
+
+// A selection that only names folders (plain session/camera/anomalyType values) exports
+// them whole, including images no metadata row points at
+const selectsWholeFolders = (selection) => Object.entries(selection).every(([name, value]) => value === undefined ||
+  NON_FILTER_PARAMS.includes(name) ||
+  (['session', 'camera', 'anomalyType'].includes(name) && typeof value === 'string'));
+
+// Split request options into the record selection and the bundle options
+const parseZipOptions = (options, user) => {
+  const selection = { ...options };
+  ZIP_OPTION_PARAMS.forEach(name => delete selection[name]);
+
+  const flag = (name) => options[name] === true || options[name] === 'true';
+  const thumbnails = flag('thumbnails');
+  const redacted = flag('redacted');
+  if (redacted && !redactionConfig.enabled) throw badRequest('Redaction is not enabled (redaction.enabled in the config file)');
+
+  return {
+    selection,
+    thumbnails,
+    thumbnailOptions: thumbnails ? parseThumbnailOptions(options) : null,
+    // Users who may not see originals always get redacted images
+    redacted: redacted || !mayViewOriginals(user)
+  };
+};
+
+// Detections, images and metadata rows of each selected session/camera/class folder
+const collectZipSelection = (req, index, selection, predicate) => {
+  const reviews = getReviewStore(req.dataset);
+  const wholeFolders = selectsWholeFolders(selection);
+
+  return index.getEntries(predicate.lookup)
+    .map(entry => {
+      const detections = entry.detections.map(detection => withReview(reviews, detection)).filter(predicate.test);
+      const imageNames = new Set(detections.map(detection => detection.imageName).filter(Boolean));
+      if (wholeFolders) entry.images.forEach(image => imageNames.add(image.name));
+      return {
+        entry,
+        detections,
+        rows: detections.map(detection => entry.records[detection.recordIndex]),
+        images: entry.images.filter(image => imageNames.has(image.name))
+      };
+    })
+    .filter(folder => folder.rows.length > 0 || folder.images.length > 0);
+};
+
+// Time span of gps_log.csv to include for a session: the requested range, else the span of the
+// selected rows, else the whole log when whole folders were asked for
+const gpsSliceRange = (predicate, folders, wholeFolders) => {
+  const { start, end } = predicate.range;
+  if (start !== null || end !== null) return { start, end };
+
+  let span = null;
+  folders.forEach(folder => folder.detections.forEach(detection => {
+    const time = Date.parse(detection.timestampISO);
+    if (isNaN(time)) return;
+    span = span ? { start: Math.min(span.start, time), end: Math.max(span.end, time) } : { start: time, end: time };
+  }));
+  if (span) return span;
+  return wholeFolders ? { start: null, end: null } : null;
+};
+
+// The file a bundle carries for an image: the original, its redacted copy, or a thumbnail of either
+const resolveZipImage = async (req, folder, image, options) => {
+  const { session, camera, anomalyType } = folder.entry;
+  const relativePath = [session, camera, anomalyType, 'images', image.name].join('/');
+  const { absolute } = await resolveDataPath(req.dataset, relativePath);
+  const stat = await fs.stat(absolute);
+
+  let filePath = absolute;
+  let variant = 'original';
+  if (options.redacted) {
+    const redactedImage = await getRedactedImage(req.dataset, relativePath);
+    [filePath, variant] = [redactedImage.cachePath, redactedImage.key];
+  }
+
+  const folderPath = [session, camera, anomalyType].join('/');
+  if (options.thumbnails) {
+    const { cachePath } = thumbnailTarget(req.dataset, relativePath, stat, options.thumbnailOptions, variant);
+    await renderThumbnail(filePath, cachePath, options.thumbnailOptions);
+    const name = `${path.basename(image.name, path.extname(image.name))}.${options.thumbnailOptions.format}`;
+    return { filePath: cachePath, name: `${folderPath}/thumbnails/${name}`, type: 'thumbnail', source: relativePath, stat };
+  }
+  // Redacted copies of formats sharp cannot write are PNGs
+  const name = path.basename(image.name, path.extname(image.name)) + path.extname(filePath);
+  return { filePath, name: `${folderPath}/images/${name}`, type: 'image', source: relativePath, stat };
+};
+
+// Write the bundle of a selection: per folder its metadata.csv rows and images, then the
+// gps_log.csv slice of each session, then manifest.json
+const writeZipBundle = async (req, archive, index, predicate, options) => {
+  const folders = collectZipSelection(req, index, options.selection, predicate);
+  const files = [];
+  const skipped = [];
+
+  for (const folder of folders) {
+    const { session, camera, anomalyType } = folder.entry;
+    if (folder.rows.length > 0) {
+      const file = await archive.addEntry(`${session}/${camera}/${anomalyType}/metadata.csv`, csvLines(folder.rows), { compress: true });
+      files.push({ ...file, type: 'metadata', rows: folder.rows.length });
+    }
+
+    for (const image of folder.images) {
+      let resolved;
       try {
-        let data = await readCSV(file.path);
-        
-        // Apply date filters if provided
-        if (startDate || endDate) {
-          data = data.filter(record => {
-            const timestamp = record.timestamp || record.date || record.created_at;
-            if (!timestamp) return true;
-            
-            const recordDate = new Date(timestamp);
-            if (startDate && recordDate < new Date(startDate)) return false;
-            if (endDate && recordDate > new Date(endDate)) return false;
-            return true;
-          });
-        }
-        
-        // Extract GPS data
-        const gpsData = extractGPSData(data, file.session, file.camera, file.anomalyType);
-        
-        // Apply GPS filter if specified
-        if (hasGPS !== undefined) {
-          const hasGPSBool = hasGPS === 'true';
-          if (hasGPSBool && gpsData.length === 0) continue;
-          if (!hasGPSBool && gpsData.length > 0) continue;
-        }
-        
-        // Get images for this result - look in images/ subdirectory
-        const imagesPath = path.join(path.dirname(file.path), 'images');
-        const images = await getImagesInDirectory(imagesPath);
-        
-        results.push({
-          session: file.session,
-          camera: file.camera,
-          anomalyType: file.anomalyType,
-          count: data.length,
-          imageCount: images.length,
-          gpsCount: gpsData.length,
-          hasGPS: gpsData.length > 0,
-          data: data,
-          gps: gpsData,
-          images: images.slice(0, 5)
-        });
+        resolved = await resolveZipImage(req, folder, image, options);
       } catch (error) {
-        console.error(`Error reading ${file.path}:`, error.message);
+        // A missing or unrenderable image is listed in the manifest rather than failing the bundle,
+        // and never replaced by its unredacted original
+        skipped.push({ path: [session, camera, anomalyType, 'images', image.name].join('/'), error: error.message });
+        continue;
       }
+      const file = await archive.addEntry(resolved.name, createReadStream(resolved.filePath), { modified: resolved.stat.mtime });
+      files.push({ ...file, type: resolved.type, source: resolved.source, redacted: options.redacted });
     }
-    
-    res.json({
-      success: true,
-      filters: { session, camera, anomalyType, startDate, endDate, hasGPS, limit },
-      resultCount: results.length,
-      totalRecords: results.reduce((sum, r) => sum + r.count, 0),
-      totalImages: results.reduce((sum, r) => sum + r.imageCount, 0),
-      totalGPSPoints: results.reduce((sum, r) => sum + r.gpsCount, 0),
-      resultsWithGPS: results.filter(r => r.hasGPS).length,
-      results
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      message: 'Search failed'
-    });
-  }
-});
-
-// NEW: Get GPS data for a specific session/camera/anomaly type
-app.get('/api/gps/:session/:camera/:anomalyType', async (req, res) => {
-  try {
-    const { session, camera, anomalyType } = req.params;
-    const metadataPath = path.join(DATA_PATH, session, camera, anomalyType, 'metadata.csv');
-    
-    const metadataData = await readCSV(metadataPath);
-    const gpsData = extractGPSData(metadataData, session, camera, anomalyType);
-    
-    if (gpsData.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: `No GPS data found for ${session}/${camera}/${anomalyType}`,
-        session,
-        camera,
-        anomalyType,
-        gpsCount: 0
-      });
-    }
-    
-    res.json({
-      success: true,
-      session,
-      camera,
-      anomalyType,
-      count: gpsData.length,
-      data: gpsData,
-      bounds: {
-        latRange: [
-          Math.min(...gpsData.map(p => p.latitude)),
-          Math.max(...gpsData.map(p => p.latitude))
-        ],
-        lngRange: [
-          Math.min(...gpsData.map(p => p.longitude)),
-          Math.max(...gpsData.map(p => p.longitude))
-        ]
-      },
-      metadata: {
-        source: `${session}/${camera}/${anomalyType}/metadata.csv`,
-        type: 'GPS data extracted from metadata'
+  }
+
+  const wholeFolders = selectsWholeFolders(options.selection);
+  const range = gpsSliceRange(predicate, folders, wholeFolders);
+  const sessions = new Set(folders.map(folder => folder.entry.session));
+  if (wholeFolders && predicate.lookup.session) sessions.add(predicate.lookup.session);
+  const logSessions = range ? (await index.findSessionFiles('gps_log.csv')).filter(name => sessions.has(name)) : [];
+
+  for (const session of logSessions) {
+    let rows = 0;
+    const slice = async function* () {
+      let columns = null;
+      for await (const point of streamGpsLog(index, req.dataset, session)) {
+        const time = Date.parse(point.timestampISO);
+        if (range.start !== null && !(time >= range.start)) continue;
+        if (range.end !== null && !(time <= range.end)) continue;
+        if (!columns) {
+          columns = Object.keys(point.originalRecord);
+          yield `${columns.map(csvCell).join(',')}\n`;
+        }
+        rows++;
+        yield `${columns.map(column => csvCell(point.originalRecord[column])).join(',')}\n`;
       }
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      message: `Failed to get GPS data for ${req.params.session}/${req.params.camera}/${req.params.anomalyType}`
+    };
+    const file = await archive.addEntry(`${session}/gps_log.csv`, slice(), { compress: true });
+    files.push({
+      ...file,
+      type: 'gps_log',
+      rows,
+      from: range.start !== null ? new Date(range.start).toISOString() : null,
+      to: range.end !== null ? new Date(range.end).toISOString() : null
     });
   }
-});
 
-// NEW: Get GPS heatmap data for visualization
-app.get('/api/gps/heatmap', async (req, res) => {
+  const selection = { ...options.selection };
+  delete selection.access_token;
+  const manifest = {
+    datasetId: req.dataset.id,
+    createdAt: new Date().toISOString(),
+    createdBy: req.user ? req.user.name : null,
+    selection,
+    query: predicate.filter,
+    options: {
+      thumbnails: options.thumbnails ? options.thumbnailOptions : false,
+      redacted: options.redacted
+    },
+    counts: {
+      folders: folders.length,
+      metadataRows: folders.reduce((sum, folder) => sum + folder.rows.length, 0),
+      images: files.filter(file => file.type === 'image' || file.type === 'thumbnail').length,
+      gpsPoints: files.filter(file => file.type === 'gps_log').reduce((sum, file) => sum + file.rows, 0),
+      skipped: skipped.length
+    },
+    checksum: 'sha256',
+    files,
+    skipped
+  };
+  await archive.addEntry('manifest.json', [JSON.stringify(manifest, null, 2)], { compress: true });
+  await archive.finish();
+  return manifest;
+};
+
+// Stream a ZIP bundle; bad options are answered with JSON before any byte of the archive is sent
+const exportZip = async (req, res, options) => {
+  let writer = null;
   try {
-    const { session, camera, anomalyType, precision = 4 } = req.query;
-    const precisionLevel = parseInt(precision);
-    
-    let allGPSData = [];
-    
-    if (session && camera && anomalyType) {
-      // Get GPS for specific location
-      const metadataPath = path.join(DATA_PATH, session, camera, anomalyType, 'metadata.csv');
-      const metadataData = await readCSV(metadataPath);
-      allGPSData = extractGPSData(metadataData, session, camera, anomalyType);
-    } else {
-      // Get all GPS data from metadata files
-      const metadataFiles = await scanForMetadataFiles(DATA_PATH);
-      
-      for (const file of metadataFiles) {
-        try {
-          if (session && file.session !== session) continue;
-          if (camera && file.camera !== camera) continue;
-          if (anomalyType && file.anomalyType !== anomalyType) continue;
-          
-          const metadataData = await readCSV(file.path);
-          const gpsData = extractGPSData(metadataData, file.session, file.camera, file.anomalyType);
-          allGPSData.push(...gpsData);
-        } catch (error) {
-          console.error(`Error processing ${file.path}:`, error.message);
-        }
-      }
+    const zipOptions = parseZipOptions(options, req.user);
+    const predicate = buildSearchPredicate(zipOptions.selection);
+    const index = await indexReady(req.dataset, req.user);
+
+    const { session, camera, anomalyType } = zipOptions.selection;
+    const fileName = [req.dataset.id, session, camera, anomalyType]
+      .filter(part => typeof part === 'string' && part)
+      .join('-');
+    res.status(200);
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Cache-Control', 'no-store');
+    if (options.download !== 'false' && options.download !== false) {
+      res.setHeader('Content-Disposition', `attachment; filename="${attachmentName(fileName)}${zipOptions.thumbnails ? '-thumbnails' : ''}.zip"`);
     }
-    
-    // Create heatmap points by rounding coordinates to specified precision
-    const heatmapData = {};
-    
-    allGPSData.forEach(point => {
-      const lat = parseFloat(point.latitude.toFixed(precisionLevel));
-      const lng = parseFloat(point.longitude.toFixed(precisionLevel));
-      const key = `${lat},${lng}`;
-      
-      if (!heatmapData[key]) {
-        heatmapData[key] = {
-          latitude: lat,
-          longitude: lng,
-          count: 0,
-          sessions: new Set(),
-          cameras: new Set(),
-          anomalyTypes: new Set()
-        };
-      }
-      
-      heatmapData[key].count++;
-      heatmapData[key].sessions.add(point.session);
-      heatmapData[key].cameras.add(point.camera);
-      heatmapData[key].anomalyTypes.add(point.anomalyType);
-    });
-    
-    // Convert to array and add metadata
-    const heatmapPoints = Object.values(heatmapData).map(point => ({
-      latitude: point.latitude,
-      longitude: point.longitude,
-      intensity: point.count,
-      sessions: Array.from(point.sessions),
-      cameras: Array.from(point.cameras),
-      anomalyTypes: Array.from(point.anomalyTypes)
-    }));
-    
-    res.json({
-      success: true,
-      count: heatmapPoints.length,
-      totalPoints: allGPSData.length,
-      data: heatmapPoints,
-      filters: { session, camera, anomalyType, precision: precisionLevel },
-      metadata: {
-        type: 'GPS heatmap data',
-        description: 'Aggregated GPS points for visualization'
-      }
-    });
+
+    writer = createStreamWriter(res);
+    const manifest = await writeZipBundle(req, createZipArchive(writer), index, predicate, zipOptions);
+    res.end();
+    console.log(`📦 ZIP export of ${req.dataset.id} for ${manifest.createdBy || 'anonymous'}: ${manifest.files.length} files, ${manifest.skipped.length} skipped`);
   } catch (error) {
-    res.status(500).json({
+    if (writer) {
+      // Part of the archive is already out; cutting the response leaves the client with an invalid ZIP
+      if (!writer.closed) console.error(`ZIP export of ${req.dataset.id} failed:`, error.message);
+      return res.destroy(error);
+    }
+    res.status(error.status || 500).json({
       success: false,
       error: error.message,
-      message: 'Failed to generate GPS heatmap data'
+      message: 'Failed to export ZIP bundle'
     });
   }
-});
+};
+
+// NEW: ZIP of the images, metadata rows and GPS slice of a selection (session/camera/anomalyType,
+// startDate/endDate or any /api/search filter), with manifest.json checksums
+api.get('/export/zip', audited('export-zip'), (req, res) => exportZip(req, res, req.query));
+
+api.post('/export/zip', audited('export-zip'), (req, res) => exportZip(req, res, { ...req.query, ...(req.body || {}) }));
 
-// Serve static files from data directory (IMAGES SERVED HERE)
-app.use('/data', express.static(DATA_PATH, {
+// Static file options shared by every dataset's /data mount
+const staticOptions = {
+  // CORS headers come from the cors() middleware, so the configured origins apply to files too
   setHeaders: (res, filePath) => {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Range');
-    
     if (filePath.endsWith('.csv')) {
       res.setHeader('Content-Type', 'text/csv; charset=utf-8');
     } else if (filePath.match(/\.(jpg|jpeg)$/i)) {
@@ -1101,7 +7464,8 @@ app.use('/data', express.static(DATA_PATH, {
     }
     
     if (filePath.match(/\.(jpg|jpeg|png|gif|webp|bmp)$/i)) {
-      res.setHeader('Cache-Control', 'public, max-age=3600');
+      // Shared caches must not keep images that need credentials
+      res.setHeader('Cache-Control', `${authConfig.enabled ? 'private' : 'public'}, max-age=3600`);
       res.setHeader('Accept-Ranges', 'bytes');
     } else {
       res.setHeader('Cache-Control', 'no-cache');
@@ -1109,12 +7473,24 @@ app.use('/data', express.static(DATA_PATH, {
   },
   index: false,
   dotfiles: 'ignore'
-}));
+};
+
+// One express.static handler per dataset, created on first use
+const staticHandlers = new WeakMap();
 
-// Directory listing endpoint
-app.get('/list/:path(*)?', async (req, res) => {
-  const requestedPath = req.params.path || '';
-  const fullPath = path.join(DATA_PATH, requestedPath);
+// Serve static files from the resolved dataset (IMAGES SERVED HERE)
+const serveDatasetFiles = (req, res, next) => {
+  let handler = staticHandlers.get(req.dataset);
+  if (!handler) {
+    handler = express.static(req.dataset.path, staticOptions);
+    staticHandlers.set(req.dataset, handler);
+  }
+  handler(req, res, next);
+};
+
+// Directory listing for the resolved dataset
+const listDatasetDirectory = async (req, res) => {
+  const { absolute: fullPath, relative: requestedPath } = req.dataPath;
   
   try {
     const stat = await fs.stat(fullPath);
@@ -1139,9 +7515,17 @@ app.get('/list/:path(*)?', async (req, res) => {
         }
       }
       
+      // Hide sessions (top level) and cameras (second level) outside the user's scope
+      const depth = requestedPath.split('/').filter(Boolean).length;
+      const visible = files.filter(item => {
+        if (depth === 0) return item.type === 'directory' ? canAccess(req.user, { session: item.name }) : !(req.user && req.user.sessions);
+        if (depth === 1 && item.type === 'directory') return canAccess(req.user, { camera: item.name });
+        return true;
+      });
+      
       res.json({
         path: requestedPath,
-        files: files.sort((a, b) => {
+        files: visible.sort((a, b) => {
           if (a.type !== b.type) {
             return a.type === 'directory' ? -1 : 1;
           }
@@ -1160,8 +7544,228 @@ app.get('/list/:path(*)?', async (req, res) => {
   } catch (error) {
     res.status(404).json({ 
       error: 'Path not found',
-      path: requestedPath,
-      fullPath: fullPath 
+      path: requestedPath
+    });
+  }
+};
+
+// Default dataset keeps the original URLs; other datasets are addressed by ID
+app.use('/data', resolveDataset, audited('view-file'), validateFilePath, authorizeFilePath, serveRedactedImage, serveDatasetFiles);
+app.get('/list/:path(*)?', resolveDataset, audited('list-directory'), validateFilePath, authorizeFilePath, listDatasetDirectory);
+app.use('/datasets/:datasetId/data', resolveDataset, audited('view-file'), validateFilePath, authorizeFilePath, serveRedactedImage, serveDatasetFiles);
+app.get('/datasets/:datasetId/list/:path(*)?', resolveDataset, audited('list-directory'), validateFilePath, authorizeFilePath, listDatasetDirectory);
+app.get('/tiles/:z/:x/:y', resolveDataset, serveDatasetTile);
+app.get('/datasets/:datasetId/tiles/:z/:x/:y', resolveDataset, serveDatasetTile);
+app.get('/thumbs/:path(*)', resolveDataset, audited('view-thumbnail'), validateFilePath, authorizeFilePath, serveThumbnail);
+app.get('/datasets/:datasetId/thumbs/:path(*)', resolveDataset, audited('view-thumbnail'), validateFilePath, authorizeFilePath, serveThumbnail);
+
+// Log in with a local user account and receive a JWT session token
+app.post('/api/auth/login', audited('login'), (req, res) => {
+  const { username, password } = req.body || {};
+  if (!authConfig.enabled) {
+    return res.status(400).json({
+      success: false,
+      error: 'Authentication is not enabled on this server',
+      message: 'Configure auth.users or auth.apiKeys in the config file'
+    });
+  }
+
+  const user = typeof username === 'string' && authConfig.users.get(username);
+  if (!user || typeof password !== 'string' || !verifyPassword(password, user.passwordHash)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid username or password',
+      message: 'Login failed'
+    });
+  }
+
+  res.json({ success: true, ...issueToken(user), user: describeUser(user) });
+});
+
+// The caller's identity, role and scope
+app.get('/api/auth/me', (req, res) => {
+  res.json({
+    success: true,
+    authEnabled: authConfig.enabled,
+    user: describeUser(req.user)
+  });
+});
+
+// Audit log events that must equal the query value when it is given
+const AUDIT_FILTER_FIELDS = ['user', 'action', 'role', 'ip', 'method', 'status', 'datasetId', 'session', 'camera', 'anomalyType'];
+
+// NEW: Audit log query (admins), filtered by user, time range and resource
+app.get('/api/audit', audited('audit-query'), requireRole('admin'), async (req, res) => {
+  try {
+    const { startDate, endDate, resource } = req.query;
+    const start = startDate ? parseTimestamp(startDate) : null;
+    const end = endDate ? parseTimestamp(endDate) : null;
+    if ((startDate && !start) || (endDate && !end)) throw badRequest('startDate and endDate must be valid timestamps');
+
+    // Without a startDate the query covers the last queryDays before endDate (or now)
+    const to = end ? new Date(end.ms).toISOString() : null;
+    const from = new Date(start ? start.ms : (end ? end.ms : Date.now()) - auditConfig.queryDays * 86400000).toISOString();
+
+    // The log is read in time order, so only time sorts are possible
+    const sortSpec = parseSort(req.query.sort || '-time');
+    if (sortSpec.length !== 1 || sortSpec[0].field !== 'time') throw badRequest('The audit log can only be sorted by time (sort=time or sort=-time)');
+    const { limit, offset } = parsePaging(req.query);
+    const fields = parseFields(req.query.fields);
+
+    const needle = typeof resource === 'string' ? resource.toLowerCase() : null;
+    const matches = (event) => {
+      if (AUDIT_FILTER_FIELDS.some(field => typeof req.query[field] === 'string' && String(event[field]) !== req.query[field])) return false;
+      // resource matches part of the route or file, e.g. resource=argus0 or resource=frame_0001.jpg
+      if (needle && ![event.route, event.file].some(value => value && value.toLowerCase().includes(needle))) return false;
+      return true;
+    };
+
+    // Stop reading once the page and one more match (for nextCursor) are found
+    const page = [];
+    let skipped = 0;
+    let more = false;
+    for await (const event of auditLog.read({ from, to, newestFirst: sortSpec[0].direction === -1 })) {
+      if (!matches(event)) continue;
+      if (skipped < offset) {
+        skipped++;
+      } else if (page.length < limit) {
+        page.push(projectRecord(event, fields));
+      } else {
+        more = true;
+        break;
+      }
+    }
+
+    res.json({
+      success: true,
+      retentionDays: auditConfig.retentionDays,
+      range: { from, to },
+      count: page.length,
+      limit,
+      offset,
+      nextCursor: more ? encodeCursor(offset + page.length) : null,
+      sort: [`time:${sortSpec[0].direction === 1 ? 'asc' : 'desc'}`],
+      fields,
+      results: page
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      message: 'Failed to read the audit log'
+    });
+  }
+});
+
+// List registered datasets
+app.get('/api/datasets', (req, res) => {
+  const visible = [...datasets.values()].filter(dataset => canAccess(req.user, { dataset }));
+  res.json({
+    success: true,
+    count: visible.length,
+    defaultDataset: defaultDatasetId,
+    datasets: visible.map(dataset => describeDataset(dataset, req.user))
+  });
+});
+
+// Register a new dataset at runtime
+app.post('/api/datasets', audited('dataset-add'), requireAdmin, async (req, res) => {
+  try {
+    const { id, path: rootPath, name, makeDefault } = req.body || {};
+
+    // Compare real paths, so a symlink inside an allowed root cannot point elsewhere
+    const realPath = await fs.realpath(path.resolve(String(rootPath || ''))).catch(() => null);
+    const realRoots = await Promise.all(datasetRoots.map(root => fs.realpath(root).catch(() => root)));
+    if (!realPath || !realRoots.some(root => isInsideDirectory(root, realPath))) {
+      return res.status(403).json({
+        success: false,
+        error: datasetRoots.length === 0
+          ? 'Adding datasets at runtime is disabled: no datasetRoots in the config file'
+          : `Dataset path is not inside an allowed dataset root: ${rootPath}`,
+        message: 'Failed to register dataset'
+      });
+    }
+
+    let stat;
+    try {
+      stat = await fs.stat(realPath);
+    } catch (error) {
+      stat = null;
+    }
+    if (!rootPath || !stat || !stat.isDirectory()) {
+      return res.status(400).json({
+        success: false,
+        error: `Dataset path is not a readable directory: ${rootPath}`,
+        message: 'Failed to register dataset'
+      });
+    }
+
+    let dataset;
+    try {
+      dataset = registerDataset({ id, path: realPath, name, source: 'runtime' });
+    } catch (error) {
+      return res.status(datasets.has(id) ? 409 : 400).json({
+        success: false,
+        error: error.message,
+        message: 'Failed to register dataset'
+      });
+    }
+    if (makeDefault) defaultDatasetId = dataset.id;
+    getDatasetIndex(dataset);
+
+    try {
+      await saveDatasetConfig();
+    } catch (error) {
+      console.warn(`Could not persist dataset config: ${error.message}`);
+    }
+
+    console.log(`📁 Registered dataset ${dataset.id}: ${dataset.path}`);
+    res.status(201).json({ success: true, dataset: describeDataset(dataset, req.user) });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Failed to register dataset'
+    });
+  }
+});
+
+// Get a single dataset's registration
+app.get('/api/datasets/:datasetId', (req, res) => {
+  const dataset = datasets.get(req.params.datasetId);
+  if (!dataset || !canAccess(req.user, { dataset })) {
+    return res.status(404).json({
+      success: false,
+      error: `Dataset not found: ${req.params.datasetId}`
+    });
+  }
+  res.json({ success: true, dataset: describeDataset(dataset, req.user) });
+});
+
+// Remove a dataset at runtime (files on disk are left untouched)
+app.delete('/api/datasets/:datasetId', audited('dataset-remove'), requireAdmin, async (req, res) => {
+  try {
+    const dataset = unregisterDataset(req.params.datasetId);
+    if (!dataset) {
+      return res.status(404).json({
+        success: false,
+        error: `Dataset not found: ${req.params.datasetId}`
+      });
+    }
+
+    try {
+      await saveDatasetConfig();
+    } catch (error) {
+      console.warn(`Could not persist dataset config: ${error.message}`);
+    }
+
+    console.log(`📁 Removed dataset ${dataset.id}`);
+    res.json({ success: true, removed: dataset.id, defaultDataset: defaultDatasetId });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: `Failed to remove dataset ${req.params.datasetId}`
     });
   }
 });
@@ -1173,32 +7777,137 @@ app.get('/api', (req, res) => {
     version: '3.0.0',
     endpoints: {
       health: 'GET /health - Health check',
+      auth: {
+        login: 'POST /api/auth/login {username, password} - JWT session token for a local user (send as Authorization: Bearer <token>)',
+        me: 'GET /api/auth/me - Current user, role and session/camera scope'
+      },
+      audit: 'GET /api/audit?user=&action=&startDate=&endDate=&resource=&session=&camera=&anomalyType=&datasetId=&ip=&status=&sort=-time|time&limit=&cursor= - Access audit log, newest first (admin role); without startDate the last ' + auditConfig.queryDays + ' days before endDate (or now), read line by line until the page is full. Image views, listings, exports and writes are logged with user, route, resource, client IP and time',
       gps: {
         main: 'GET /api/gps-data - Get GPS tracking data from log file',
         metadata: 'GET /api/gps-data/metadata - Get GPS data extracted from all metadata files',
         combined: 'GET /api/gps-data/combined - Get combined GPS data from all sources',
         specific: 'GET /api/gps/:session/:camera/:anomalyType - Get GPS data for specific camera/class',
-        heatmap: 'GET /api/gps/heatmap?session=&camera=&anomalyType=&precision=4 - Get GPS heatmap data'
+        heatmap: 'GET /api/gps/heatmap?session=&camera=&anomalyType=&precision=4 - Get GPS heatmap data',
+        bbox: 'GET /api/gps/bbox?bbox=minLng,minLat,maxLng,maxLat&session=&camera=&anomalyType= - Detections (with images) inside a bounding box',
+        radius: 'GET /api/gps/radius?lat=&lng=&radius=metres&session=&camera=&anomalyType= - Detections within a distance of a point',
+        polygon: 'POST /api/gps/polygon {polygon: GeoJSON, session, camera, anomalyType} - Detections inside a polygon'
+      },
+      mapExport: {
+        geojson: 'GET /api/export/geojson?session=&camera=&anomalyType=&include=detections,track - GeoJSON FeatureCollection (detection Points, track LineStrings; a track of one fix is a Point)',
+        kml: 'GET /api/export/kml?... - KML with per-class styles (Google Earth)',
+        gpx: 'GET /api/export/gpx?... - GPX waypoints (detections) and tracks (gps_log.csv)'
+      },
+      bundleExport: {
+        zip: 'GET /api/export/zip?session=&camera=&anomalyType=&startDate=&endDate=&<search filters> - Streamed ZIP: selected images, matching metadata.csv rows, the gps_log.csv slice of the same time span and manifest.json with SHA-256 checksums',
+        zipPost: 'POST /api/export/zip {filter, q, session, ...} - Same bundle selected with a JSON search filter',
+        thumbnails: 'thumbnails=true&w=&h=&fmt=&fit= - Thumbnails instead of full images',
+        redacted: 'redacted=true - Redacted images only (always applied for roles that may not see originals)',
+        folders: 'Selecting only session/camera/anomalyType exports whole folders, including images no metadata row points at'
+      },
+      trips: {
+        list: 'GET /api/trips?session=&gapSeconds=&stopSeconds=&splitStopSeconds=&maxSpeedKmh=&polyline=true - Trips from gps_log.csv with distance, speed, stops and detections per km',
+        detail: 'GET /api/trips/:session/:tripIndex?format=geojson - One trip with its simplified polyline'
+      },
+      tiles: 'GET /tiles/{z}/{x}/{y}?session=&camera=&anomalyType=&layers=detections,heatmap - Per-tile GeoJSON, detections clustered below zoom ' + tileConfig.clusterMaxZoom,
+      systemMetrics: 'GET /api/system-metrics?session= - Raw rows of a session\'s system_metrics.csv (the first session that has one by default)',
+      correlation: 'GET /api/analytics/correlation/:session?intervalSeconds=' + analyticsConfig.intervalSeconds + '&camera=&anomalyType=&metrics=temperature,fps&startDate=&endDate=&minOutageIntervals=&includeRejected=false - Detections per interval by class and camera next to metric min/max/avg and vehicle speed; silentCameras per interval, outages (likelyOutage when other cameras kept detecting) and the correlation of detection counts with speed and each metric',
+      cameraHealth: {
+        sessions: 'GET /api/camera-health?session=&camera= - Health report of every camera per session',
+        session: 'GET /api/camera-health/:session?camera= - Per camera: status (ok, degraded, dead) with reasons from comparison with the session\'s other cameras (camera folders without metadata or images are dead), first/last capture, cadence (median interval, images/min against peers), longest gaps (likelyOutage when peers kept capturing), empty/truncated/corrupt/undersized images, metadata rows without images and orphan images'
+      },
+      metrics: {
+        sessions: 'GET /api/metrics?session= - Sessions with system_metrics.csv, their metrics (cpu, gpu, memory, temperature, fps, ... normalised from the CSV headers), units, ranges and latest values',
+        series: 'GET /api/metrics/:session?metrics=cpu,temperature&startDate=&endDate=&bucket=seconds&maxPoints=' + metricsConfig.maxPoints + ' - Time series; min/max/avg buckets when bucket is given or the range has more than maxPoints samples',
+        alerts: 'GET /api/metrics/alerts?session=&rule=thermal-throttling,fps-drop&startDate=&endDate= - Threshold breaches (config.metrics.thresholds) with start, end, duration and peak value'
       },
-      systemMetrics: 'GET /api/system-metrics - Get system performance metrics',
       metadataScan: 'GET /api/metadata/scan - Scan for all metadata files (with image and GPS counts)',
-      specificMetadata: 'GET /api/metadata/:session/:camera/:anomalyType - Get specific metadata (with GPS)',
+      specificMetadata: 'GET /api/metadata/:session/:camera/:anomalyType?reviewStatus= - Get specific metadata (with GPS and review status)',
+      reviews: {
+        list: 'GET /api/reviews?reviewStatus=unreviewed|in_review|confirmed|rejected&reviewer=&tag=&session=&camera=&anomalyType= - Stored reviews',
+        get: 'GET /api/reviews/:session/:camera/:anomalyType/:recordIndex - Review of one detection',
+        update: 'PATCH /api/reviews/:session/:camera/:anomalyType/:recordIndex {reviewer, verdict: true_positive|false_positive|null, label, notes, tags, addTags, removeTags, bbox: {x1, y1, x2, y2}} - Review a detection (reviewer role; the reviewer is the logged-in user, or body/X-Reviewer without authentication)',
+        remove: 'DELETE /api/reviews/:session/:camera/:anomalyType/:recordIndex - Clear a review (reviewer role)',
+        search: 'GET /api/search?reviewStatus=rejected or q=reviewTags ~ blurry - Search results carry reviewStatus, reviewLabel, reviewTags, reviewNotes, reviewer, reviewedAt',
+        readRoutes: 'Records and GPS points of /api/anomalies/:anomalyType, /api/camera/:camera/anomalies and /api/gps/:session/:camera/:anomalyType carry the same review fields; images listed by /api/images/... carry records: [{recordIndex, reviewStatus}]'
+      },
+      schema: {
+        list: 'GET /api/schema - Canonical field mapping and warnings for every metadata file',
+        detail: 'GET /api/schema/:session/:camera/:anomalyType - Inferred column types and canonical field mapping'
+      },
+      timestamps: 'GET /api/timestamps - Per-session clocks (timezone, offset, 1970 correction from GPS time) and timestamp formats found',
       imagesList: 'GET /api/images/:session/:camera/:anomalyType - Get images for specific camera/class',
-      metadataWithImages: 'GET /api/metadata-with-images/:session/:camera/:anomalyType - Get metadata, images, and GPS together',
+      metadataWithImages: 'GET /api/metadata-with-images/:session/:camera/:anomalyType?link=auto|filename|frame|timestamp|index - Metadata rows linked to their images (imageUrl), orphan images and rows without an image, plus GPS',
       cameraAnomalies: 'GET /api/camera/:camera/anomalies - Get all anomalies for a camera (with images and GPS)',
-      anomaliesByType: 'GET /api/anomalies/:anomalyType - Get anomalies by type (with images and GPS)',
-      dashboard: 'GET /api/dashboard - Get complete dashboard summary (with image and GPS info)',
-      search: 'GET /api/search?hasGPS=true&... - Search with filters (includes GPS data and counts)',
+      anomaliesByType: 'GET /api/anomalies/:anomalyType - Get anomalies by type (with images, GPS and incident count)',
+      incidents: {
+        list: 'GET /api/incidents?anomalyType=&session=&camera=&maxGapSeconds=' + incidentConfig.maxGapSeconds + '&maxDistanceMeters=' + incidentConfig.maxDistanceMeters + '&includeRejected=false - Detections of one class close in time and distance merged into incidents',
+        detail: 'GET /api/incidents/:incidentId - One incident with its contributing detections'
+      },
+      dashboard: 'GET /api/dashboard?reviewStatus= - Get complete dashboard summary (with image, GPS and review info)',
+      search: 'GET /api/search?hasGPS=true&startDate=&endDate=&sort=timestampISO&fields=timestamp,timestampISO,confidence&limit=100&cursor=... - Search detection records (paged by offset or nextCursor)',
+      searchFilters: 'GET /api/search?confidence[gte]=0.8&camera[in]=argus0,argus1&q=anomalyType = pothole AND (timestamp >= 10:00 AND timestamp < 11:00) - Filter on any column',
+      searchPost: 'POST /api/search {filter: {and: [{field, op, value}, {or: [...]}]}, sort, fields, limit, cursor} - Same search with a JSON filter',
+      streams: {
+        search: 'GET|POST /api/stream/search/ndjson|csv?<search filters>&fields=&limit=&download=false - Every matching detection, written one record at a time (chunked; no sort or paging)',
+        gps: 'GET /api/stream/gps/ndjson|csv?session=&source=gps_log.csv|metadata.csv&startDate=&endDate=&fields=&limit= - GPS points read row by row from gps_log.csv, then from metadata rows',
+        usage: 'curl -N streams as records arrive; memory stays flat however large the result, and a stream cut short by a server error ends without its final chunk'
+      },
+      index: {
+        status: 'GET /api/index/status - Metadata index status, counts and last refresh time',
+        refresh: 'POST /api/index/refresh - Rebuild the metadata index from disk (admin role, auth enabled)'
+      },
       staticFiles: 'GET /data/... - Static file access (IMAGES SERVED HERE)',
-      directoryListing: 'GET /list/... - Directory listing (with image flags)'
+      boxes: {
+        mapping: 'GET /api/boxes/:session/:camera/:anomalyType - Each metadata record with its image file and bounding box',
+        overlay: 'GET /api/overlay/:session/:camera/:anomalyType/:recordIndex?fmt=jpeg&w=&only=true - Image with the detection boxes, labels and confidence drawn on it'
+      },
+      thumbnails: 'GET /thumbs/...?w=320&h=&fmt=webp|jpeg|png|avif&fit=inside - Resized copy of an image under /data (cached on disk, ETag); listings carry thumbnailUrl next to url',
+      directoryListing: 'GET /list/... - Directory listing (with image flags)',
+      redaction: {
+        images: 'GET /data/.../images/{image}?original=true - With redaction on, images (and /thumbs, /api/overlay) are served blurred; original=true needs a privileged role',
+        startJob: 'POST /api/redaction/jobs?session=&camera=&anomalyType= - Pre-render redacted copies of every indexed image (admin role, auth enabled)',
+        jobStatus: 'GET /api/redaction/jobs - Redaction settings and progress of the latest job (admin role)',
+        cancelJob: 'DELETE /api/redaction/jobs - Stop the running job (admin role, auth enabled)',
+        listings: 'Image listings carry redaction: {available, metadataRegions} when redaction is on'
+      },
+      datasets: {
+        list: 'GET /api/datasets - List registered datasets',
+        add: 'POST /api/datasets {id, path, name, makeDefault} - Register a dataset at runtime (admin role, auth enabled); path must be inside one of datasetRoots',
+        get: 'GET /api/datasets/:datasetId - Get a dataset registration',
+        remove: 'DELETE /api/datasets/:datasetId - Remove a dataset at runtime (admin role, auth enabled)',
+        scopedApi: 'GET /api/datasets/:datasetId/... - Any /api route above, against a specific dataset',
+        scopedFiles: 'GET /datasets/:datasetId/data/... and /datasets/:datasetId/list/... - Files of a specific dataset'
+      }
     },
     gpsFeatures: {
       extraction: 'Automatically extracts GPS coordinates from metadata.csv files',
-      fieldDetection: 'Detects common GPS field names (latitude/lat/gps_lat, longitude/lng/lon/gps_lng)',
+      fieldDetection: 'Maps CSV headers onto canonical fields (latitude, longitude, timestamp, ...) by inferred column type and common names; override per session/camera/class with config.schema.mappings',
       validation: 'Validates GPS coordinates for reasonable ranges (-90 to 90 lat, -180 to 180 lng)',
       aggregation: 'Combines GPS data from multiple sources for comprehensive tracking',
       heatmap: 'Provides aggregated GPS data for heatmap visualization',
-      filtering: 'Supports filtering by GPS availability in search queries'
+      filtering: 'Supports filtering by GPS availability in search queries',
+      geotagging: `Detections without coordinates are positioned from gps_log.csv by timestamp (linear interpolation, max gap ${geotagConfig.maxGapSeconds}s); gpsSource is "measured" or "interpolated", and gpsLogSession names the session whose log placed an interpolated detection; users scoped to sessions only get positions from logs of sessions they may see`
+    },
+    authentication: {
+      enabled: authConfig.enabled,
+      credentials: 'Authorization: Bearer <jwt> | Authorization: ApiKey <key> | X-API-Key: <key> | ?access_token=<jwt> (for image URLs)',
+      roles: 'viewer (read), reviewer (read + reviews), admin (everything, incl. datasets and index refresh)',
+      scope: 'Users and API keys may be limited to datasets, sessions and cameras; other data is hidden or answered with 403',
+      configuration: 'config.json "auth": {users: [{username, passwordHash, role, sessions, cameras, datasets}], apiKeys: [{name, key | keyHash, role, ...}], jwtSecret, tokenTtlSeconds}; "cors": {origins: [...]}; node server.js hash-password <password>'
+    },
+    requestValidation: {
+      paths: 'File paths (/data, /list, /thumbs) are resolved inside the dataset root; ".." segments, absolute paths and symlinks leading outside answer 400',
+      routeParams: 'session, camera and anomalyType must be plain folder names; recordIndex and tripIndex integers; incidentId inc_ + 12 hex digits',
+      responses: 'Responses use paths relative to the dataset; server paths are never returned (dataset paths are shown to admins only)'
+    },
+    searchQueryLanguage: {
+      operators: FILTER_OPERATORS,
+      expression: 'field op value joined with AND / OR / NOT and parentheses; ops = != > >= < <= ~ (contains) =~ /regex/ IN (a, b) NOT IN (a, b)',
+      regex: 'At most ' + MAX_REGEX_LENGTH + ' characters; backreferences and repeated groups holding a quantifier or alternation ((a+)+, (a|b)*) answer 400',
+      timeOfDay: 'Comparing a timestamp column with HH:MM matches on the time of day',
+      timestamps: 'Every record has timestampISO (UTC, normalised from epoch s/ms, ISO or device-local values with the session clock) next to its original timestamp; sort and filter on timestampISO',
+      jsonFilter: '{field, op, value} nodes combined with {and: []}, {or: []}, {not: {}}, or shorthand {column: value | {op: value}}',
+      limits: 'Parentheses, NOT and JSON and/or/not nest at most ' + MAX_FILTER_DEPTH + ' levels deep; q= holds at most ' + MAX_QUERY_TOKENS + ' tokens (400 otherwise)'
     },
     dataStructure: {
       sessions: ['F2', 'floMobility123_F1'],
@@ -1210,43 +7919,40 @@ app.get('/api', (req, res) => {
       mainDataFiles: ['F2/gps_log.csv', 'floMobility123_F1/system_metrics.csv'],
       imageAccess: 'GET /data/{session}/{camera}/{anomalyType}/images/{image.jpg}',
       gpsAccess: 'GPS data extracted from metadata.csv files and available via dedicated endpoints'
+    },
+    datasets: {
+      defaultDataset: defaultDatasetId,
+      registered: [...datasets.keys()],
+      configuration: 'config.json "datasets": [{id, path, name}], DATASETS="id=/path,...", DATA_PATH (+ DATASET_ID), DEFAULT_DATASET; runtime additions only inside config.json "datasetRoots" or DATASET_ROOTS="/dir,..."'
     }
   });
 });
 
+// Dataset-scoped API routes, plus the same routes against the default dataset
+app.use('/api/datasets/:datasetId', resolveDataset, api);
+app.use('/api', resolveDataset, api);
+
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // Client errors raised by express itself (malformed URL encoding, invalid JSON bodies)
+  if (err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({ success: false, error: err.expose ? err.message : 'Bad request' });
+  }
   console.error('Server error:', err);
   res.status(500).json({ error: 'Internal server error' });
 });
 
-// Start server
-app.listen(PORT, async () => {
-  console.log(`🚀 Enhanced Surveillance Data Server with GPS Support running on http://localhost:${PORT}`);
-  console.log(`📁 Serving data from: ${DATA_PATH}`);
-  console.log(`🖼️  Images accessible at: http://localhost:${PORT}/data/{session}/{camera}/{class}/images/{image.jpg}`);
-  console.log(`🌐 CORS enabled for all origins`);
-  console.log(`\n📊 API Endpoints:`);
-  console.log(`  - API Documentation: http://localhost:${PORT}/api`);
-  console.log(`  - Health check: http://localhost:${PORT}/health`);
-  console.log(`  - Dashboard: http://localhost:${PORT}/api/dashboard`);
-  console.log(`  - GPS Data (log): http://localhost:${PORT}/api/gps-data`);
-  console.log(`  - GPS Data (metadata): http://localhost:${PORT}/api/gps-data/metadata`);
-  console.log(`  - GPS Data (combined): http://localhost:${PORT}/api/gps-data/combined`);
-  console.log(`  - GPS Heatmap: http://localhost:${PORT}/api/gps/heatmap`);
-  console.log(`  - System Metrics: http://localhost:${PORT}/api/system-metrics`);
-  console.log(`  - Metadata Scan: http://localhost:${PORT}/api/metadata/scan`);
-  console.log(`  - Images API: http://localhost:${PORT}/api/images/{session}/{camera}/{class}`);
-  console.log(`  - Search (with GPS): http://localhost:${PORT}/api/search?hasGPS=true`);
-  
+// Log the camera/class/GPS structure found in a dataset
+const logDatasetSummary = async (dataset) => {
   // Check if data directory exists
   try {
-    await fs.access(DATA_PATH);
-    console.log(`\n✅ Data directory found: ${DATA_PATH}`);
+    await fs.access(dataset.path);
+    console.log(`\n✅ Data directory found for dataset ${dataset.id}: ${dataset.path}`);
     
-    // Perform comprehensive scan for all metadata files
-    console.log(`\n🔍 Scanning for all metadata.csv files and GPS data...`);
-    const metadataFiles = await scanForMetadataFiles(DATA_PATH);
+    // Build the metadata index (scans all metadata.csv files, images and GPS data)
+    console.log(`\n🔍 Indexing all metadata.csv files and GPS data...`);
+    const index = await indexReady(dataset);
+    const metadataFiles = index.getEntries();
     console.log(`📋 Found ${metadataFiles.length} metadata.csv files`);
     
     if (metadataFiles.length > 0) {
@@ -1261,13 +7967,10 @@ app.listen(PORT, async () => {
         if (!grouped[file.session][file.camera]) grouped[file.session][file.camera] = [];
         
         try {
-          // Read metadata and extract GPS
-          const metadataData = await readCSV(file.path);
-          const gpsData = extractGPSData(metadataData, file.session, file.camera, file.anomalyType);
+          if (file.error) throw new Error(file.error);
           
-          // Count images in images/ subdirectory
-          const imagesPath = path.join(path.dirname(file.path), 'images');
-          const images = await getImagesInDirectory(imagesPath);
+          const gpsData = file.gps;
+          const images = file.images;
           totalImages += images.length;
           totalGPSPoints += gpsData.length;
           
@@ -1326,14 +8029,16 @@ app.listen(PORT, async () => {
     console.log(`\n📄 Checking main data files:`);
     for (const file of mainFiles) {
       try {
-        await fs.access(path.join(DATA_PATH, file));
+        await fs.access(path.join(dataset.path, file));
         console.log(`  ✅ Found: ${file}`);
         
         // Check GPS log file for additional GPS data
         if (file === 'F2/gps_log.csv') {
           try {
-            const gpsLogData = await readCSV(path.join(DATA_PATH, file));
-            console.log(`    📍 Contains ${gpsLogData.length} GPS tracking records`);
+            // Counted row by row: the log is only cached when a route needs it
+            let recordCount = 0;
+            for await (const record of streamCSV(path.join(dataset.path, file))) recordCount++;
+            console.log(`    📍 Contains ${recordCount} GPS tracking records`);
           } catch (error) {
             console.log(`    ⚠️  Error reading GPS log: ${error.message}`);
           }
@@ -1344,7 +8049,7 @@ app.listen(PORT, async () => {
     }
     
   } catch (error) {
-    console.warn(`\n⚠️  WARNING: Data directory issue: ${error.message}`);
+    console.warn(`\n⚠️  WARNING: Data directory issue for dataset ${dataset.id}: ${error.message}`);
     console.log(`Please ensure the directory exists and contains the expected structure:`);
     console.log(`  F2/`);
     console.log(`  ├── gps_log.csv`);
@@ -1356,6 +8061,58 @@ app.listen(PORT, async () => {
     console.log(`  ├── argus1/[classes]/metadata.csv & images/`);
     console.log(`  └── cam1/[classes]/metadata.csv & images/`);
   }
+  
+  const index = getDatasetIndex(dataset);
+  if (index.watchMode !== 'none') {
+    console.log(`\n👀 Watching ${dataset.id} for changes (${index.watchMode})`);
+  }
+};
+
+// Start server
+app.listen(PORT, async () => {
+  console.log(`🚀 Enhanced Surveillance Data Server with GPS Support running on http://localhost:${PORT}`);
+  console.log(`📁 Serving ${datasets.size} dataset(s), default: ${defaultDatasetId || 'none'}`);
+  datasets.forEach(dataset => console.log(`   - ${dataset.id}: ${dataset.path}`));
+  console.log(`🖼️  Images accessible at: http://localhost:${PORT}/data/{session}/{camera}/{class}/images/{image.jpg}`);
+  console.log(`🌐 CORS enabled for ${corsOrigins ? corsOrigins.join(', ') : 'all origins'}`);
+  if (authConfig.enabled) {
+    console.log(`🔐 Authentication enabled: ${authConfig.users.size} user(s), ${authConfig.apiKeys.size} API key(s)`);
+    if (!authConfig.jwtSecretConfigured) {
+      console.warn(`⚠️  No auth.jwtSecret / AUTH_JWT_SECRET set; login tokens will not survive a restart`);
+    }
+  } else {
+    console.warn(`⚠️  Authentication disabled: all data is readable by anyone who can reach port ${PORT}`);
+  }
+  if (auditConfig.enabled) {
+    console.log(`📝 Audit log: ${auditConfig.dir} (kept ${auditConfig.retentionDays} days)`);
+  }
+  if (redactionConfig.enabled) {
+    await loadRedactionCache();
+    console.log(`🕶️  Redaction on for ${redactionConfig.classes.join(', ')}${redactionDetector ? ` + detector ${redactionDetector.name}` : ''}; originals for ${redactionConfig.privilegedRoles.join(', ')}`);
+    if (redactionDetector && redactionDetector.error) console.error(`⚠️  ${redactionDetector.error}`);
+  }
+  console.log(`\n📊 API Endpoints:`);
+  console.log(`  - API Documentation: http://localhost:${PORT}/api`);
+  console.log(`  - Health check: http://localhost:${PORT}/health`);
+  console.log(`  - Dashboard: http://localhost:${PORT}/api/dashboard`);
+  console.log(`  - GPS Data (log): http://localhost:${PORT}/api/gps-data`);
+  console.log(`  - GPS Data (metadata): http://localhost:${PORT}/api/gps-data/metadata`);
+  console.log(`  - GPS Data (combined): http://localhost:${PORT}/api/gps-data/combined`);
+  console.log(`  - GPS Heatmap: http://localhost:${PORT}/api/gps/heatmap`);
+  console.log(`  - System Metrics: http://localhost:${PORT}/api/system-metrics`);
+  console.log(`  - Metadata Scan: http://localhost:${PORT}/api/metadata/scan`);
+  console.log(`  - Images API: http://localhost:${PORT}/api/images/{session}/{camera}/{class}`);
+  console.log(`  - Search (with GPS): http://localhost:${PORT}/api/search?hasGPS=true`);
+  console.log(`  - Datasets: http://localhost:${PORT}/api/datasets`);
+  console.log(`  - Index status: http://localhost:${PORT}/api/index/status`);
+  
+  if (datasets.size === 0) {
+    console.warn(`\n⚠️  WARNING: No datasets configured. Set DATA_PATH, DATASETS or add datasets to ${CONFIG_PATH}`);
+  }
+
+  for (const dataset of datasets.values()) {
+    await logDatasetSummary(dataset);
+  }
 });
 
 // Graceful shutdown
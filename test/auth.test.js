@@ -0,0 +1,266 @@
+// Authentication and authorisation: JWT and API key checks, role levels, session/camera scopes on
+// listings, search and file routes, and unredacted originals only for privileged roles
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const sharp = require('sharp');
+const { startServer } = require('./helpers/server');
+
+const JWT_SECRET = 'auth-test-secret';
+const IMAGE = 'pothole/images/frame_0000.jpg';
+
+let root;
+let server;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Hashes come from the server's own hash-password command
+const hashPassword = (password) => execFileSync(process.execPath, [path.join(__dirname, '..', 'server.js'), 'hash-password', password], {
+  env: { ...process.env, CONFIG_PATH: path.join(root, 'missing.json'), DATA_PATH: '', DATASETS: '' }
+}).toString().trim();
+
+// S1 and S2 each hold cam1 and cam2 with one image; notes.txt sits beside the sessions
+before(async () => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-'));
+  const data = path.join(root, 'data');
+  const image = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#808080' } }).jpeg().toBuffer();
+  for (const session of ['S1', 'S2']) {
+    for (const camera of ['cam1', 'cam2']) {
+      const classDir = path.join(data, session, camera, 'pothole');
+      fs.mkdirSync(path.join(classDir, 'images'), { recursive: true });
+      fs.writeFileSync(path.join(classDir, 'images', 'frame_0000.jpg'), image);
+      fs.writeFileSync(path.join(classDir, 'metadata.csv'), 'timestamp,frame,image,confidence,bbox\n2025-03-01T10:00:00Z,0,frame_0000.jpg,0.9,"[1,1,4,4]"\n');
+    }
+  }
+  fs.writeFileSync(path.join(data, 'S1', 'notes.txt'), 'session notes');
+  fs.writeFileSync(path.join(data, 'notes.txt'), 'dataset notes');
+
+  server = await startServer({
+    root,
+    dataPath: data,
+    config: {
+      auth: {
+        jwtSecret: JWT_SECRET,
+        tokenTtlSeconds: 600,
+        users: [
+          { username: 'admin', passwordHash: hashPassword('admin-pw'), role: 'admin' },
+          { username: 'rev', passwordHash: hashPassword('rev-pw'), role: 'reviewer' },
+          { username: 'scoped', passwordHash: hashPassword('scoped-pw'), role: 'viewer', sessions: ['S1'], cameras: ['cam1'] }
+        ],
+        apiKeys: [
+          { name: 'plain', key: 'plain-key', role: 'viewer' },
+          { name: 'hashed', keyHash: `sha256:${sha256('hashed-key').toUpperCase()}`, role: 'reviewer' },
+          { name: 'scoped-key', key: 'scoped-key', role: 'viewer', sessions: 'S1', cameras: ['cam1'] },
+          { name: 'no-role', key: 'no-role-key' }
+        ]
+      },
+      redaction: { enabled: true }
+    }
+  });
+});
+
+after(() => {
+  if (server) server.stop();
+  if (root) fs.rmSync(root, { recursive: true, force: true });
+});
+
+const base64url = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+// A token signed like the server's own, with any header, payload and secret
+const forgeToken = (payload, { header = { alg: 'HS256', typ: 'JWT' }, secret = JWT_SECRET } = {}) => {
+  const unsigned = `${base64url(header)}.${base64url(payload)}`;
+  return `${unsigned}.${crypto.createHmac('sha256', secret).update(unsigned).digest('base64url')}`;
+};
+
+const now = () => Math.floor(Date.now() / 1000);
+
+const get = (requestPath, headers = {}) => server.request('GET', requestPath, undefined, headers);
+const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+const apiKey = (key) => ({ 'X-API-Key': key });
+
+const login = async (username, password) => {
+  const response = await server.request('POST', '/api/auth/login', { username, password });
+  return { status: response.status, body: JSON.parse(response.body) };
+};
+
+const tokenFor = async (username, password) => (await login(username, password)).body.token;
+
+// Name of the principal /api/auth/me sees, or the status if it refuses the credentials
+const whoAmI = async (headers) => {
+  const response = await get('/api/auth/me', headers);
+  return response.status === 200 ? JSON.parse(response.body).user.name : response.status;
+};
+
+test('login issues a token that authenticates later requests', async () => {
+  const { status, body } = await login('rev', 'rev-pw');
+  assert.strictEqual(status, 200);
+  assert.ok(Date.parse(body.expiresAt) > Date.now());
+  assert.strictEqual(await whoAmI(bearer(body.token)), 'rev');
+  assert.strictEqual(await whoAmI({ Authorization: `bearer ${body.token}` }), 'rev');
+  assert.strictEqual((await get(`/data/S1/cam1/${IMAGE}?access_token=${body.token}`)).status, 200);
+
+  assert.strictEqual((await login('rev', 'wrong')).status, 401);
+  assert.strictEqual((await login('nobody', 'rev-pw')).status, 401);
+  assert.strictEqual((await login('rev')).status, 401);
+});
+
+test('tokens need a valid HS256 signature', async () => {
+  const payload = { sub: 'admin', role: 'admin', iat: now(), exp: now() + 60 };
+  assert.strictEqual(await whoAmI(bearer(forgeToken(payload))), 'admin');
+
+  assert.strictEqual(await whoAmI(bearer(forgeToken(payload, { secret: 'another-secret' }))), 401);
+
+  // Payload swapped under a signature made for another one
+  const [header, , signature] = forgeToken({ ...payload, sub: 'rev' }).split('.');
+  assert.strictEqual(await whoAmI(bearer(`${header}.${base64url(payload)}.${signature}`)), 401);
+
+  // Unsigned and truncated tokens
+  assert.strictEqual(await whoAmI(bearer(`${base64url({ alg: 'none', typ: 'JWT' })}.${base64url(payload)}.`)), 401);
+  assert.strictEqual(await whoAmI(bearer(`${base64url({ alg: 'none', typ: 'JWT' })}.${base64url(payload)}`)), 401);
+  assert.strictEqual(await whoAmI(bearer(`${forgeToken(payload)}.extra`)), 401);
+  assert.strictEqual(await whoAmI(bearer('not-a-token')), 401);
+});
+
+test('tokens naming another algorithm are refused even when the HMAC matches', async () => {
+  const payload = { sub: 'admin', role: 'admin', iat: now(), exp: now() + 60 };
+  for (const alg of ['none', 'HS512', 'RS256', 'hs256']) {
+    assert.strictEqual(await whoAmI(bearer(forgeToken(payload, { header: { alg, typ: 'JWT' } }))), 401, alg);
+  }
+});
+
+test('expired tokens and tokens without a numeric exp are refused', async () => {
+  assert.strictEqual(await whoAmI(bearer(forgeToken({ sub: 'admin', iat: now() - 120, exp: now() - 60 }))), 401);
+  assert.strictEqual(await whoAmI(bearer(forgeToken({ sub: 'admin', iat: now() }))), 401);
+  assert.strictEqual(await whoAmI(bearer(forgeToken({ sub: 'admin', exp: String(now() + 60) }))), 401);
+  // A valid token for an account that is not configured
+  assert.strictEqual(await whoAmI(bearer(forgeToken({ sub: 'ghost', exp: now() + 60 }))), 401);
+});
+
+test('API keys are looked up by their SHA-256 hash', async () => {
+  assert.strictEqual(await whoAmI(apiKey('plain-key')), 'plain');
+  assert.strictEqual(await whoAmI({ Authorization: 'ApiKey plain-key' }), 'plain');
+  // keyHash is accepted with a sha256: prefix and in upper case
+  assert.strictEqual(await whoAmI(apiKey('hashed-key')), 'hashed');
+
+  // The stored hash is not itself a key
+  assert.strictEqual(await whoAmI(apiKey(sha256('hashed-key'))), 401);
+  assert.strictEqual(await whoAmI(apiKey(sha256('plain-key'))), 401);
+  assert.strictEqual(await whoAmI(apiKey('plain-keyx')), 401);
+  // Keys without a role are dropped at startup
+  assert.strictEqual(await whoAmI(apiKey('no-role-key')), 401);
+});
+
+test('requests without credentials are refused except on public paths', async () => {
+  const response = await get('/api/search');
+  assert.strictEqual(response.status, 401);
+  assert.match(response.headers['www-authenticate'], /^Bearer/);
+  assert.strictEqual((await get(`/data/S1/cam1/${IMAGE}`)).status, 401);
+  assert.strictEqual((await get('/list/')).status, 401);
+
+  assert.strictEqual((await get('/health')).status, 200);
+  assert.strictEqual((await get('/api')).status, 200);
+});
+
+test('routes require at least their role', async () => {
+  const viewer = apiKey('plain-key');
+  const reviewer = apiKey('hashed-key');
+  const admin = bearer(await tokenFor('admin', 'admin-pw'));
+  const review = (headers) => server.request('PATCH', '/api/reviews/S1/cam1/pothole/0', { verdict: 'true_positive' }, headers);
+
+  assert.strictEqual((await review(viewer)).status, 403);
+  assert.strictEqual((await review(reviewer)).status, 200);
+  assert.strictEqual((await review(admin)).status, 200);
+
+  assert.strictEqual((await get('/api/audit', viewer)).status, 403);
+  assert.strictEqual((await get('/api/audit', reviewer)).status, 403);
+  assert.strictEqual((await get('/api/audit', admin)).status, 200);
+
+  const refresh = (headers) => server.request('POST', '/api/index/refresh', undefined, headers);
+  assert.strictEqual((await refresh(reviewer)).status, 403);
+  assert.strictEqual((await refresh(admin)).status, 200);
+});
+
+test('scoped users only list their sessions and cameras', async () => {
+  for (const headers of [apiKey('scoped-key'), bearer(await tokenFor('scoped', 'scoped-pw'))]) {
+    const list = async (requestPath) => {
+      const response = await get(requestPath, headers);
+      return response.status === 200 ? JSON.parse(response.body).files.map(file => file.name) : response.status;
+    };
+
+    // Files beside the sessions belong to no session and are hidden too
+    assert.deepStrictEqual(await list('/list/'), ['S1']);
+    assert.deepStrictEqual(await list('/list/S1'), ['cam1', 'notes.txt']);
+    assert.deepStrictEqual(await list('/list/S1/cam1'), ['pothole']);
+    assert.strictEqual(await list('/list/S2'), 403);
+    assert.strictEqual(await list('/list/S1/cam2'), 403);
+    assert.strictEqual(await list('/list/S1/cam2/pothole'), 403);
+    assert.strictEqual(await list('/datasets/default/list/S2'), 403);
+  }
+  assert.deepStrictEqual(JSON.parse((await get('/list/', apiKey('plain-key'))).body).files.map(file => file.name), ['S1', 'S2', 'notes.txt']);
+});
+
+test('scoped users only search their sessions and cameras', async () => {
+  const headers = apiKey('scoped-key');
+  const search = async (query) => {
+    const response = await get(`/api/search?${query}`, headers);
+    assert.strictEqual(response.status, 200, response.body);
+    return JSON.parse(response.body).results.map(record => `${record.session}/${record.camera}`);
+  };
+
+  assert.deepStrictEqual(await search(''), ['S1/cam1']);
+  assert.deepStrictEqual(await search('session=S2'), []);
+  assert.deepStrictEqual(await search('q=camera%20%3D%20cam2'), []);
+  assert.deepStrictEqual(await search('camera[in]=cam1,cam2'), ['S1/cam1']);
+
+  assert.strictEqual((await get('/api/images/S2/cam1/pothole', headers)).status, 403);
+  assert.strictEqual((await get('/api/images/S1/cam2/pothole', headers)).status, 403);
+  assert.strictEqual((await get('/api/images/S1/cam1/pothole', headers)).status, 200);
+  // A malformed folder name is a validation error before it is a scope error
+  for (const requestPath of ['/api/images/.hidden/cam1/pothole', '/api/images/S1/%2e%2e/pothole', '/api/camera/.x/anomalies']) {
+    const response = await get(requestPath, headers);
+    assert.strictEqual(response.status, 400, requestPath);
+    assert.strictEqual(JSON.parse(response.body).message, 'Invalid request parameters');
+  }
+  assert.strictEqual((await get('/api/search', apiKey('plain-key'))).status, 200);
+  assert.strictEqual(JSON.parse((await get('/api/search', apiKey('plain-key'))).body).total, 4);
+});
+
+test('scoped users only read files of their sessions and cameras', async () => {
+  const headers = apiKey('scoped-key');
+  for (const prefix of ['/data', '/thumbs', '/datasets/default/data', '/datasets/default/thumbs']) {
+    assert.strictEqual((await get(`${prefix}/S1/cam1/${IMAGE}`, headers)).status, 200, prefix);
+    assert.strictEqual((await get(`${prefix}/S2/cam1/${IMAGE}`, headers)).status, 403, prefix);
+    assert.strictEqual((await get(`${prefix}/S1/cam2/${IMAGE}`, headers)).status, 403, prefix);
+  }
+  assert.strictEqual((await get('/data/S1/notes.txt', headers)).status, 200);
+  assert.strictEqual((await get('/data/notes.txt', headers)).status, 403);
+  assert.strictEqual((await get(`/data/S2/cam1/${IMAGE}`, apiKey('plain-key'))).status, 200);
+});
+
+test('unredacted originals are refused for roles that are not privileged', async () => {
+  const image = `/data/S1/cam1/${IMAGE}`;
+  const thumbnail = `/thumbs/S1/cam1/${IMAGE}`;
+  const overlay = '/api/overlay/S1/cam1/pothole/0';
+
+  for (const headers of [apiKey('plain-key'), apiKey('hashed-key')]) {
+    const redacted = await get(image, headers);
+    assert.strictEqual(redacted.status, 200);
+    assert.strictEqual(redacted.headers['x-redacted'], 'true');
+    for (const requestPath of [image, thumbnail, overlay]) {
+      const response = await get(`${requestPath}?original=true`, headers);
+      assert.strictEqual(response.status, 403, requestPath);
+      assert.match(JSON.parse(response.body).error, /require one of the roles: admin/);
+    }
+  }
+
+  const admin = bearer(await tokenFor('admin', 'admin-pw'));
+  const original = await get(`${image}?original=true`, admin);
+  assert.strictEqual(original.status, 200);
+  assert.strictEqual(original.headers['x-redacted'], undefined);
+  assert.strictEqual((await get(`${thumbnail}?original=true`, admin)).status, 200);
+  assert.strictEqual((await get(`${overlay}?original=true`, admin)).status, 200);
+});
@@ -0,0 +1,87 @@
+// Shared by the node:test files: runs server.js on a free port with its config, state and caches
+// under a temporary root, and sends raw HTTP requests to it
+const http = require('http');
+const net = require('net');
+const path = require('path');
+const fs = require('fs');
+const { spawn } = require('child_process');
+
+const SERVER_PATH = path.join(__dirname, '..', '..', 'server.js');
+
+const freePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer();
+  probe.on('error', reject);
+  probe.listen(0, '127.0.0.1', () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+// Raw request: the path is sent exactly as given, so "..", %2e%2e and %2f reach the server unnormalised
+const sendRequest = (port, method, requestPath, body, headers = {}) => new Promise((resolve, reject) => {
+  const payload = body === undefined ? null : JSON.stringify(body);
+  const req = http.request({
+    host: '127.0.0.1',
+    port,
+    method,
+    path: requestPath,
+    headers: payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload), ...headers } : headers
+  }, (res) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString('latin1') }));
+  });
+  req.on('error', reject);
+  req.setTimeout(10000, () => req.destroy(new Error(`Timed out: ${method} ${requestPath}`)));
+  req.end(payload);
+});
+
+// Start the server on dataPath; config (if given) is written to root/config.json first
+const startServer = async ({ root, dataPath, config = null, env = {} }) => {
+  const configPath = path.join(root, 'config.json');
+  if (config) fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+
+  const port = await freePort();
+  let log = '';
+  const child = spawn(process.execPath, [SERVER_PATH], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DATA_PATH: dataPath,
+      DATASETS: '',
+      CONFIG_PATH: configPath,
+      STATE_DIR: path.join(root, 'state'),
+      THUMBNAIL_CACHE_DIR: path.join(root, 'thumbnails'),
+      REDACTION_CACHE_DIR: path.join(root, 'redacted'),
+      INDEX_WATCH: 'false',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  child.stdout.on('data', chunk => { log += chunk; });
+  child.stderr.on('data', chunk => { log += chunk; });
+
+  const server = {
+    port,
+    request: (method, requestPath, body, headers) => sendRequest(port, method, requestPath, body, headers),
+    log: () => log,
+    stop: () => {
+      if (child.exitCode === null) child.kill();
+    }
+  };
+
+  for (let attempt = 0; attempt < 100; attempt++) {
+    if (child.exitCode !== null) throw new Error(`Server exited early:\n${log}`);
+    try {
+      const { status } = await server.request('GET', '/health');
+      if (status === 200) return server;
+    } catch (error) {
+      // not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  server.stop();
+  throw new Error(`Server did not start:\n${log}`);
+};
+
+module.exports = { startServer };
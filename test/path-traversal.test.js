@@ -0,0 +1,150 @@
+// Path traversal: every route that takes a file path or a session/camera/class folder name
+// must refuse to reach outside the dataset root. Run with `npm test`.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const sharp = require('sharp');
+const { startServer } = require('./helpers/server');
+
+const SECRET = 'TOP-SECRET-OUTSIDE-THE-DATA-ROOT';
+
+let root;
+let server;
+
+const request = (...args) => server.request(...args);
+
+// data/S1/cam1/pothole holds one real image; outside/ sits next to the data root and is
+// reachable only through "..", an absolute path or the two symlinks planted inside the root
+before(async () => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'traversal-'));
+  const data = path.join(root, 'data');
+  const outside = path.join(root, 'outside');
+  const classDir = path.join(data, 'S1', 'cam1', 'pothole');
+  fs.mkdirSync(path.join(classDir, 'images'), { recursive: true });
+  fs.mkdirSync(outside);
+
+  const image = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#808080' } }).jpeg().toBuffer();
+  fs.writeFileSync(path.join(classDir, 'images', 'frame_0000.jpg'), image);
+  fs.writeFileSync(path.join(classDir, 'metadata.csv'), 'timestamp,frame,image,confidence\n2025-03-01T10:00:00Z,0,frame_0000.jpg,0.9\n');
+  fs.writeFileSync(path.join(outside, 'secret.txt'), SECRET);
+  // A decodable image that still carries the marker, so image routes would serve it if reached
+  fs.writeFileSync(path.join(outside, 'secret.jpg'), Buffer.concat([image, Buffer.from(SECRET)]));
+  fs.symlinkSync(path.join(outside, 'secret.jpg'), path.join(classDir, 'images', 'escape.jpg'));
+  fs.symlinkSync(outside, path.join(data, 'S1', 'escape'));
+
+  server = await startServer({ root, dataPath: data });
+});
+
+after(() => {
+  if (server) server.stop();
+  if (root) fs.rmSync(root, { recursive: true, force: true });
+});
+
+const assertBlocked = (response, label, statuses = [400]) => {
+  assert.ok(!response.body.includes(SECRET), `${label} leaked the file outside the data root`);
+  assert.ok(statuses.includes(response.status), `${label} answered ${response.status}, expected ${statuses.join(' or ')}: ${response.body.slice(0, 200)}`);
+};
+
+const FILE_ROUTES = ['/data/', '/list/', '/thumbs/', '/datasets/default/data/', '/datasets/default/list/', '/datasets/default/thumbs/'];
+
+const absoluteSecret = () => path.join(root, 'outside', 'secret.jpg');
+
+// [label, path after the route prefix, accepted statuses]
+const FILE_ATTACKS = () => [
+  ['dot-dot', '../outside/secret.jpg'],
+  ['nested dot-dot', 'S1/cam1/../../../outside/secret.jpg'],
+  ['encoded dot-dot', '%2e%2e/outside/secret.jpg'],
+  ['upper-case encoded dot-dot', '%2E%2E/%2E%2E/outside/secret.jpg'],
+  ['encoded slashes', 'S1%2f..%2f..%2foutside%2fsecret.jpg'],
+  ['fully encoded', '%2e%2e%2foutside%2fsecret.jpg'],
+  ['encoded backslashes', '..%5coutside%5csecret.jpg'],
+  ['double-encoded', '%252e%252e/outside/secret.jpg', [400, 404]],
+  ['NUL byte', 'S1/cam1/pothole/images/frame_0000.jpg%00.txt'],
+  // /data mounts strip leading slashes and resolve what is left under the root, so this one is a 404 there
+  ['absolute path', absoluteSecret(), [400, 404]],
+  ['encoded absolute path', encodeURIComponent(absoluteSecret()), [400, 404]],
+  ['symlinked file', 'S1/cam1/pothole/images/escape.jpg'],
+  ['symlinked directory', 'S1/escape/secret.jpg']
+];
+
+test('file routes serve files inside the data root', async () => {
+  for (const route of ['/data/', '/thumbs/', '/datasets/default/data/', '/datasets/default/thumbs/']) {
+    const response = await request('GET', `${route}S1/cam1/pothole/images/frame_0000.jpg`);
+    assert.strictEqual(response.status, 200, `${route} answered ${response.status}: ${response.body.slice(0, 200)}`);
+  }
+  for (const route of ['/list/', '/datasets/default/list/']) {
+    const response = await request('GET', `${route}S1/cam1`);
+    assert.strictEqual(response.status, 200, `${route} answered ${response.status}: ${response.body.slice(0, 200)}`);
+  }
+});
+
+test('file routes refuse paths leading outside the data root', async () => {
+  for (const route of FILE_ROUTES) {
+    for (const [label, attack, statuses] of FILE_ATTACKS()) {
+      assertBlocked(await request('GET', `${route}${attack}`), `${label} on ${route}`, statuses);
+    }
+  }
+});
+
+// Every API route naming a folder, each placeholder replaced in turn by a hostile value
+const API_ROUTES = [
+  ['GET', '/metrics/:session'],
+  ['GET', '/analytics/correlation/:session'],
+  ['GET', '/camera-health/:session'],
+  ['GET', '/images/:session/:camera/:anomalyType'],
+  ['GET', '/metadata-with-images/:session/:camera/:anomalyType'],
+  ['GET', '/metadata/:session/:camera/:anomalyType'],
+  ['GET', '/schema/:session/:camera/:anomalyType'],
+  ['GET', '/camera/:camera/anomalies'],
+  ['GET', '/anomalies/:anomalyType'],
+  ['GET', '/gps/:session/:camera/:anomalyType'],
+  ['GET', '/trips/:session/0'],
+  ['GET', '/boxes/:session/:camera/:anomalyType'],
+  ['GET', '/overlay/:session/:camera/:anomalyType/0'],
+  ['GET', '/reviews/:session/:camera/:anomalyType/0'],
+  ['PATCH', '/reviews/:session/:camera/:anomalyType/0', { reviewer: 'test', verdict: 'true_positive' }],
+  ['DELETE', '/reviews/:session/:camera/:anomalyType/0']
+];
+
+const FOLDER_ATTACKS = () => [
+  ['dot-dot', '..'],
+  ['encoded dot-dot', '%2e%2e'],
+  ['encoded separators', '..%2f..%2foutside'],
+  ['encoded backslashes', '..%5c..%5coutside'],
+  ['absolute path', encodeURIComponent(path.join(root, 'outside'))],
+  ['NUL byte', 'S1%00'],
+  ['hidden folder', '.escape']
+];
+
+const VALID = { session: 'S1', camera: 'cam1', anomalyType: 'pothole' };
+
+test('API routes refuse folder names leading outside the data root', async () => {
+  for (const prefix of ['/api', '/api/datasets/default']) {
+    for (const [method, template, body] of API_ROUTES) {
+      const params = template.match(/:\w+/g).map(param => param.slice(1));
+      for (const param of params) {
+        for (const [label, attack] of FOLDER_ATTACKS()) {
+          const requestPath = prefix + template.replace(/:(\w+)/g, (match, name) => (name === param ? attack : VALID[name]));
+          assertBlocked(await request(method, requestPath, body), `${label} as ${param} on ${method} ${prefix}${template}`);
+        }
+      }
+    }
+  }
+});
+
+test('API routes accept the same folders when they are valid', async () => {
+  const response = await request('GET', '/api/images/S1/cam1/pothole');
+  assert.strictEqual(response.status, 200, response.body.slice(0, 200));
+  assert.ok(!response.body.includes(SECRET));
+});
+
+test('dataset ids cannot name a path', async () => {
+  for (const attack of ['..', '%2e%2e', '..%2foutside', encodeURIComponent(path.join(root, 'outside'))]) {
+    for (const route of [`/datasets/${attack}/data/secret.jpg`, `/datasets/${attack}/list/`, `/api/datasets/${attack}/images/S1/cam1/pothole`]) {
+      const response = await request('GET', route);
+      assertBlocked(response, `dataset id ${attack} on ${route}`, [400, 404]);
+    }
+  }
+});
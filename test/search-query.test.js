@@ -0,0 +1,159 @@
+// Search query language: q= expressions, column[op]= parameters and JSON filters, checked
+// through /api/search against a small fixture whose rows are told apart by their image name
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { startServer } = require('./helpers/server');
+
+let root;
+let server;
+
+// cam1/pothole: a.jpg b.jpg c.jpg, cam2/crack: d.jpg e.jpg; note is empty on b and e
+before(async () => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'search-query-'));
+  const data = path.join(root, 'data');
+  const write = (folder, rows) => {
+    fs.mkdirSync(path.join(data, folder), { recursive: true });
+    fs.writeFileSync(path.join(data, folder, 'metadata.csv'), ['timestamp,frame,image,confidence,note', ...rows, ''].join('\n'));
+  };
+  write('S1/cam1/pothole', [
+    '2025-03-01T08:15:00Z,0,a.jpg,0.95,curb',
+    '2025-03-01T12:30:00Z,1,b.jpg,0.40,',
+    '2025-03-01T18:45:00Z,2,c.jpg,0.75,lane'
+  ]);
+  write('S1/cam2/crack', [
+    '2025-03-01T09:00:00Z,0,d.jpg,0.60,curb',
+    '2025-03-01T22:10:00Z,1,e.jpg,0.85,'
+  ]);
+
+  server = await startServer({ root, dataPath: data });
+});
+
+after(() => {
+  if (server) server.stop();
+  if (root) fs.rmSync(root, { recursive: true, force: true });
+});
+
+const search = async (query, body) => {
+  const response = body === undefined
+    ? await server.request('GET', `/api/search?limit=100&${query}`)
+    : await server.request('POST', '/api/search', { limit: 100, ...body });
+  return { status: response.status, body: JSON.parse(response.body) };
+};
+
+// Image names matched by a query string (or POST body), sorted
+const matched = async (query, body) => {
+  const { status, body: result } = await search(query, body);
+  assert.strictEqual(status, 200, `${query || JSON.stringify(body)} answered ${status}: ${result.error}`);
+  return result.results.map(record => record.image).sort();
+};
+
+const q = (expression) => `q=${encodeURIComponent(expression)}`;
+
+const assertRefused = async (query, pattern, requestBody) => {
+  const { status, body } = await search(query, requestBody);
+  assert.strictEqual(status, 400, `${query ? decodeURIComponent(query) : JSON.stringify(requestBody).slice(0, 100)} answered ${status}`);
+  assert.match(body.error, pattern);
+};
+
+test('AND binds tighter than OR, and parentheses override it', async () => {
+  assert.deepStrictEqual(await matched(q('camera = cam2 OR confidence > 0.9 AND note = curb')), ['a.jpg', 'd.jpg', 'e.jpg']);
+  assert.deepStrictEqual(await matched(q('(camera = cam2 OR confidence > 0.9) AND note = curb')), ['a.jpg', 'd.jpg']);
+  assert.deepStrictEqual(await matched(q('NOT camera = cam1 AND confidence > 0.7')), ['e.jpg']);
+  assert.deepStrictEqual(await matched(q('NOT (camera = cam1 AND confidence > 0.7)')), ['b.jpg', 'd.jpg', 'e.jpg']);
+  assert.deepStrictEqual(await matched(q('camera = cam1 and not note')), ['b.jpg']);
+});
+
+test('comparison operators, existence and contains', async () => {
+  assert.deepStrictEqual(await matched(q('confidence >= 0.75')), ['a.jpg', 'c.jpg', 'e.jpg']);
+  assert.deepStrictEqual(await matched(q('confidence < 0.6')), ['b.jpg']);
+  assert.deepStrictEqual(await matched(q('camera != cam1')), ['d.jpg', 'e.jpg']);
+  assert.deepStrictEqual(await matched(q('note')), ['a.jpg', 'c.jpg', 'd.jpg']);
+  assert.deepStrictEqual(await matched(q('note ~ UR')), ['a.jpg', 'd.jpg']);
+  assert.deepStrictEqual(await matched(q('image = "c.jpg"')), ['c.jpg']);
+});
+
+test('IN and NOT IN take quoted and bare values', async () => {
+  assert.deepStrictEqual(await matched(q('image IN ("a.jpg", b.jpg, \'e.jpg\')')), ['a.jpg', 'b.jpg', 'e.jpg']);
+  assert.deepStrictEqual(await matched(q('image NOT IN (a.jpg, b.jpg)')), ['c.jpg', 'd.jpg', 'e.jpg']);
+  assert.deepStrictEqual(await matched(q('camera in (cam2) AND confidence not in (0.6)')), ['e.jpg']);
+  // A row without the column is "not in" any list
+  assert.deepStrictEqual(await matched(q('note NOT IN (curb)')), ['b.jpg', 'c.jpg', 'e.jpg']);
+});
+
+test('HH:MM values compare with the time of day of a timestamp', async () => {
+  assert.deepStrictEqual(await matched(q('timestamp >= 12:00')), ['b.jpg', 'c.jpg', 'e.jpg']);
+  assert.deepStrictEqual(await matched(q('timestamp >= 09:00 AND timestamp < 18:45')), ['b.jpg', 'd.jpg']);
+  assert.deepStrictEqual(await matched(q('timestamp > 22:10:00')), []);
+  // Full dates still compare as dates
+  assert.deepStrictEqual(await matched(q('timestamp > 2025-03-01T18:00:00Z')), ['c.jpg', 'e.jpg']);
+});
+
+test('regular expressions match case-insensitively and can be negated', async () => {
+  assert.deepStrictEqual(await matched(q('image =~ /^[AB]\\./')), ['a.jpg', 'b.jpg']);
+  assert.deepStrictEqual(await matched(q('image !~ /^[ab]\\./')), ['c.jpg', 'd.jpg', 'e.jpg']);
+  assert.deepStrictEqual(await matched(q('camera =~ /^cam\\d+$/ AND note =~ /(ur)+b/')), ['a.jpg', 'd.jpg']);
+  assert.deepStrictEqual(await matched('image[regex]=e%5C.jpg$'), ['e.jpg']);
+});
+
+test('regular expressions that can backtrack catastrophically are refused', async () => {
+  await assertRefused(q('image =~ /(a+)+$/'), /nested quantifiers/);
+  await assertRefused(q('image =~ /(a|ab)*c/'), /nested quantifiers/);
+  await assertRefused(q('image =~ /((ab)*)+/'), /nested quantifiers/);
+  await assertRefused(q('image =~ /(\\w{1,5})*x/'), /nested quantifiers/);
+  await assertRefused(q('image =~ /(a)\\1/'), /backreferences/);
+  await assertRefused(q('image =~ /(?<x>a)\\k<x>/'), /backreferences/);
+  await assertRefused(q(`image =~ /${'a'.repeat(201)}/`), /longer than 200/);
+  await assertRefused(q('image =~ /[/'), /Invalid regular expression/);
+  await assertRefused('image[regex]=(a%2B)%2B', /nested quantifiers/);
+});
+
+test('column[op]= parameters', async () => {
+  assert.deepStrictEqual(await matched('confidence[gte]=0.75'), ['a.jpg', 'c.jpg', 'e.jpg']);
+  assert.deepStrictEqual(await matched('confidence[gt]=0.5&confidence[lte]=0.75'), ['c.jpg', 'd.jpg']);
+  assert.deepStrictEqual(await matched('camera[in]=cam2'), ['d.jpg', 'e.jpg']);
+  assert.deepStrictEqual(await matched('image[nin]=a.jpg,d.jpg'), ['b.jpg', 'c.jpg', 'e.jpg']);
+  assert.deepStrictEqual(await matched('camera[ne]=cam1'), ['d.jpg', 'e.jpg']);
+  assert.deepStrictEqual(await matched('note[exists]=false'), ['b.jpg', 'e.jpg']);
+  assert.deepStrictEqual(await matched('image[startsWith]=A&image[endsWith]=.JPG'), ['a.jpg']);
+  assert.deepStrictEqual(await matched('note[contains]=an'), ['c.jpg']);
+  assert.deepStrictEqual(await matched('camera=cam1&confidence[lt]=0.5'), ['b.jpg']);
+});
+
+test('JSON filters combine with q= in a POST body', async () => {
+  const filter = { or: [{ field: 'confidence', op: 'gt', value: 0.9 }, { camera: 'cam2' }] };
+  assert.deepStrictEqual(await matched(null, { filter }), ['a.jpg', 'd.jpg', 'e.jpg']);
+  assert.deepStrictEqual(await matched(null, { filter, q: 'note' }), ['a.jpg', 'd.jpg']);
+  assert.deepStrictEqual(await matched(null, { filter: { not: { confidence: { lt: 0.7 } } } }), ['a.jpg', 'c.jpg', 'e.jpg']);
+  assert.deepStrictEqual(await matched(`where=${encodeURIComponent(JSON.stringify({ image: ['b.jpg', 'c.jpg'] }))}`), ['b.jpg', 'c.jpg']);
+});
+
+test('malformed input answers 400', async () => {
+  await assertRefused(q('confidence >'), /Expected "value"/);
+  await assertRefused(q('(camera = cam1'), /Expected "\)"/);
+  await assertRefused(q('camera = cam1)'), /Unexpected input/);
+  await assertRefused(q('camera = "cam1'), /Unterminated string/);
+  await assertRefused(q('image =~ /abc'), /Unterminated regular expression/);
+  await assertRefused(q('"camera" = cam1'), /must not be quoted/);
+  await assertRefused(q('camera IN (cam1'), /Expected "value"|Expected "\)"/);
+  await assertRefused(q('camera ! cam1'), /Unexpected character/);
+  await assertRefused(q('AND camera = cam1'), /Expected "value"/);
+  await assertRefused('confidence[near]=1', /Unknown filter operator "near"/);
+  await assertRefused('where=%7Bnot-json', /where must be a JSON filter/);
+  await assertRefused(`where=${encodeURIComponent(JSON.stringify({ confidence: { above: 1 } }))}`, /Unknown filter operator "above"/);
+});
+
+test('nesting depth and query length are capped', async () => {
+  // Long enough to overflow the stack if parsed; sent as a body, as the URL would be too long
+  await assertRefused(null, /longer than 1000 tokens/, { q: `${'('.repeat(8000)}confidence > 0.5${')'.repeat(8000)}` });
+  await assertRefused(q(`${'('.repeat(40)}confidence > 0.5${')'.repeat(40)}`), /nested deeper than 32/);
+  await assertRefused(q(`${'NOT '.repeat(40)}confidence > 0.5`), /nested deeper than 32/);
+
+  let filter = { field: 'confidence', op: 'gt', value: 0.5 };
+  for (let i = 0; i < 40; i++) filter = { not: filter };
+  await assertRefused(null, /nested deeper than 32/, { filter });
+
+  assert.deepStrictEqual(await matched(q(`${'('.repeat(30)}confidence > 0.9${')'.repeat(30)}`)), ['a.jpg']);
+});